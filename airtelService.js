@@ -0,0 +1,487 @@
+const axios = require('axios');
+const { doc, getDoc, collection, query, where, limit, getDocs, serverTimestamp } = require("firebase/firestore");
+const { db } = require("./firebase");
+const { markPaymentSuccessful } = require("./paymentService");
+const { emitTransactionEvent } = require("./webhookService");
+const { processOnce } = require("./idempotencyService");
+const { canTransitionTransaction, transitionTransaction } = require("./statusService");
+const { getCachedToken, invalidateToken, fingerprintCredentials } = require("./tokenCache");
+const { decryptProviderSettings } = require("./credentialService");
+
+// Airtel Money Open API URLs
+const SANDBOX_API_URL = 'https://openapiuat.airtel.africa';
+const PRODUCTION_API_URL = 'https://openapi.airtel.africa';
+
+// Currency and dialling code for each supported country
+const AIRTEL_COUNTRIES = {
+  KE: { currency: 'KES', dialCode: '254' },
+  UG: { currency: 'UGX', dialCode: '256' },
+  TZ: { currency: 'TZS', dialCode: '255' },
+  RW: { currency: 'RWF', dialCode: '250' },
+  ZM: { currency: 'ZMW', dialCode: '260' },
+  MW: { currency: 'MWK', dialCode: '265' }
+};
+
+// Airtel transaction status codes mapped to transaction statuses
+const AIRTEL_STATUSES = {
+  TS: 'success',
+  TF: 'failed',
+  TE: 'failed',
+  TA: 'pending',
+  TIP: 'pending'
+};
+
+/**
+ * Gets the Airtel Money settings for a merchant
+ * @param {string} merchantId - The merchant's user ID
+ * @returns {Promise<Object>} - Airtel Money settings
+ */
+const getAirtelSettings = async (merchantId) => {
+  if (!merchantId) {
+    throw new Error('Merchant ID is required for Airtel Money payments');
+  }
+
+  const merchantSettingsRef = doc(db, 'merchantSettings', merchantId);
+  const merchantSettingsDoc = await getDoc(merchantSettingsRef);
+
+  if (!merchantSettingsDoc.exists() || !merchantSettingsDoc.data().airtel) {
+    throw new Error('Airtel Money settings not found for this merchant');
+  }
+
+  const airtelSettings = merchantSettingsDoc.data().airtel;
+
+  if (!airtelSettings.enabled) {
+    throw new Error('Airtel Money payments are not enabled for this merchant');
+  }
+
+  if (!airtelSettings.clientId || !airtelSettings.clientSecret) {
+    throw new Error('Incomplete Airtel Money API credentials for this merchant');
+  }
+
+  if (!AIRTEL_COUNTRIES[airtelSettings.country]) {
+    throw new Error(`Unsupported Airtel Money country. Must be one of: ${Object.keys(AIRTEL_COUNTRIES).join(', ')}`);
+  }
+
+  return decryptProviderSettings('airtel', airtelSettings);
+};
+
+/**
+ * Gets the Airtel Open API base URL for an environment
+ * @param {string} environment - 'sandbox' or 'production'
+ * @returns {string} - Airtel Open API base URL
+ */
+const getBaseUrl = (environment) => {
+  return environment === 'sandbox' ? SANDBOX_API_URL : PRODUCTION_API_URL;
+};
+
+/**
+ * Requests an access token from Airtel
+ * @param {Object} credentials - clientId, clientSecret and environment
+ * @returns {Promise<Object>} - Access token and lifetime in seconds
+ */
+const requestAccessToken = async ({ clientId, clientSecret, environment }) => {
+  const response = await axios.post(`${getBaseUrl(environment)}/auth/oauth2/token`, {
+    client_id: clientId,
+    client_secret: clientSecret,
+    grant_type: 'client_credentials'
+  }, {
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: '*/*'
+    }
+  });
+
+  return {
+    accessToken: response.data.access_token,
+    expiresIn: response.data.expires_in
+  };
+};
+
+/**
+ * Gets a cached Airtel access token for a merchant
+ * @param {string} merchantId - The merchant's user ID
+ * @param {Object} airtelSettings - The merchant's Airtel Money settings
+ * @returns {Promise<string>} - Access token
+ */
+const getAccessToken = async (merchantId, airtelSettings) => {
+  const { clientId, clientSecret, environment } = airtelSettings;
+  const fingerprint = fingerprintCredentials(getBaseUrl(environment), clientId, clientSecret);
+
+  return getCachedToken(`airtel:${merchantId}`, fingerprint, () => {
+    console.log('Requesting Airtel Money access token for merchant:', merchantId);
+    return requestAccessToken(airtelSettings);
+  });
+};
+
+/**
+ * Sends a request to the Airtel Open API, retrying once with a fresh token if Airtel rejects the cached one
+ * @param {string} merchantId - The merchant's user ID
+ * @param {Object} airtelSettings - The merchant's Airtel Money settings
+ * @param {Object} request - HTTP method, path and optional JSON body
+ * @returns {Promise<Object>} - Axios response
+ */
+const sendAirtelRequest = async (merchantId, airtelSettings, { method, path, data }) => {
+  const send = async () => {
+    const accessToken = await getAccessToken(merchantId, airtelSettings);
+    return axios({
+      method,
+      url: `${getBaseUrl(airtelSettings.environment)}${path}`,
+      data,
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        'Content-Type': 'application/json',
+        Accept: '*/*',
+        'X-Country': airtelSettings.country,
+        'X-Currency': AIRTEL_COUNTRIES[airtelSettings.country].currency
+      }
+    });
+  };
+
+  try {
+    return await send();
+  } catch (error) {
+    if (error.response?.status !== 401) {
+      throw error;
+    }
+
+    invalidateToken(`airtel:${merchantId}`);
+    return send();
+  }
+};
+
+/**
+ * Formats a phone number as the national number Airtel expects, without the country code
+ * @param {string} phone - The phone number
+ * @param {string} country - The merchant's Airtel country code
+ * @returns {string} - National phone number
+ */
+const formatPhoneNumber = (phone, country) => {
+  const { dialCode } = AIRTEL_COUNTRIES[country];
+  let phoneNumber = phone.toString().trim().replace(/^\+|\s+/g, "");
+
+  if (phoneNumber.startsWith(dialCode)) {
+    phoneNumber = phoneNumber.substring(dialCode.length);
+  }
+
+  return phoneNumber.replace(/^0+/, "");
+};
+
+/**
+ * Sends a USSD push asking the payer to approve an Airtel Money payment
+ * @param {string} merchantId - The merchant's user ID
+ * @param {Object} paymentData - Payer phone, amount and the transaction being paid
+ * @returns {Promise<Object>} - Airtel transaction ID, status and message
+ */
+const initiateCollection = async (merchantId, { phone, amount, orderId }) => {
+  if (!phone || !amount || !orderId) {
+    throw new Error("Missing required fields. Please provide 'phone', 'amount', and 'orderId'");
+  }
+
+  if (isNaN(amount) || amount <= 0) {
+    throw new Error('Invalid amount. Must be a positive number');
+  }
+
+  const airtelSettings = await getAirtelSettings(merchantId);
+  const { currency } = AIRTEL_COUNTRIES[airtelSettings.country];
+  const msisdn = formatPhoneNumber(phone, airtelSettings.country);
+
+  if (!/^\d{9}$/.test(msisdn)) {
+    throw new Error('Invalid phone number format. Must be a 9 digit Airtel number');
+  }
+
+  const transactionRef = doc(db, 'transactions', orderId);
+  const transactionDoc = await getDoc(transactionRef);
+
+  if (!transactionDoc.exists() || transactionDoc.data().ownerUid !== merchantId) {
+    throw new Error('Transaction not found');
+  }
+
+  if (!canTransitionTransaction(transactionDoc.data().status, 'pending')) {
+    throw new Error(`Transaction is already ${transactionDoc.data().status}`);
+  }
+
+  // Airtel rejects reused IDs, so each push gets its own ID that the callback is matched on
+  const airtelTransactionId = `${orderId}-${Date.now().toString(36)}`;
+
+  const response = await sendAirtelRequest(merchantId, airtelSettings, {
+    method: 'post',
+    path: '/merchant/v1/payments/',
+    data: {
+      reference: (transactionDoc.data().description || 'PayNow payment').substring(0, 64),
+      subscriber: {
+        country: airtelSettings.country,
+        currency,
+        msisdn
+      },
+      transaction: {
+        amount: Number(amount),
+        country: airtelSettings.country,
+        currency,
+        id: airtelTransactionId
+      }
+    }
+  });
+
+  console.log('Airtel Money USSD push response:', response.data);
+
+  if (!response.data?.status?.success) {
+    const error = new Error(response.data?.status?.message || 'Airtel Money request failed');
+    error.response = response;
+    throw error;
+  }
+
+  await transitionTransaction(orderId, 'pending', {
+    actor: `merchant:${merchantId}`,
+    sourceEvent: `airtel.collection_initiated:${airtelTransactionId}`,
+    updates: {
+      airtelTransactionId,
+      payerPhone: transactionDoc.data().payerPhone || `${AIRTEL_COUNTRIES[airtelSettings.country].dialCode}${msisdn}`,
+      currency,
+      // Airtel's results don't report the amount, so the pushed amount is checked when the payment succeeds
+      airtelAmount: Number(amount),
+      paymentProcessor: 'airtel',
+      airtelPushedAt: serverTimestamp()
+    }
+  });
+
+  return {
+    airtelTransactionId,
+    status: response.data.data?.transaction?.status,
+    message: response.data.status.message
+  };
+};
+
+/**
+ * Enquires about the status of an Airtel Money collection
+ * @param {string} merchantId - The merchant's user ID
+ * @param {string} airtelTransactionId - The ID the USSD push was sent with
+ * @returns {Promise<Object>} - Transaction status, Airtel Money ID and message
+ */
+const getCollectionStatus = async (merchantId, airtelTransactionId) => {
+  const airtelSettings = await getAirtelSettings(merchantId);
+
+  const response = await sendAirtelRequest(merchantId, airtelSettings, {
+    method: 'get',
+    path: `/standard/v1/payments/${encodeURIComponent(airtelTransactionId)}`
+  });
+
+  const transaction = response.data?.data?.transaction || {};
+
+  return {
+    status: AIRTEL_STATUSES[transaction.status] || 'pending',
+    statusCode: transaction.status,
+    airtelMoneyId: transaction.airtel_money_id || null,
+    message: transaction.message || response.data?.status?.message,
+    providerResponse: response.data
+  };
+};
+
+/**
+ * Finds the transaction an Airtel Money collection was made for
+ * @param {string} merchantId - The merchant's user ID
+ * @param {string} airtelTransactionId - The ID the USSD push was sent with
+ * @returns {Promise<Object|null>} - Transaction ID and data
+ */
+const findTransactionByAirtelId = async (merchantId, airtelTransactionId) => {
+  const transactionsQuery = query(
+    collection(db, 'transactions'),
+    where('airtelTransactionId', '==', airtelTransactionId),
+    limit(1)
+  );
+  const snapshot = await getDocs(transactionsQuery);
+
+  if (snapshot.empty || snapshot.docs[0].data().ownerUid !== merchantId) {
+    return null;
+  }
+
+  return { id: snapshot.docs[0].id, data: snapshot.docs[0].data() };
+};
+
+/**
+ * Applies a collection result to its transaction, settling successes through the shared payment pipeline
+ * @param {string} merchantId - The merchant whose Airtel credentials reported the result
+ * @param {string} transactionId - The transaction ID
+ * @param {Object} result - Status, Airtel Money ID and message from a callback or status enquiry
+ * @returns {Promise<void>}
+ */
+const applyCollectionResult = async (merchantId, transactionId, { status, airtelMoneyId, message, providerResponse }) => {
+  const transactionRef = doc(db, 'transactions', transactionId);
+  const transactionDoc = await getDoc(transactionRef);
+
+  if (!transactionDoc.exists()) {
+    console.warn('No transaction found with ID:', transactionId);
+    return;
+  }
+
+  if (status === 'success') {
+    await markPaymentSuccessful(transactionId, {
+      merchantId,
+      paidAmount: transactionDoc.data().airtelAmount,
+      currency: transactionDoc.data().currency,
+      paymentProcessor: 'airtel',
+      receiptNumber: airtelMoneyId,
+      updates: {
+        airtelMoneyId,
+        airtelResponse: providerResponse || null,
+        resultDescription: message || 'Payment successful'
+      }
+    });
+    return;
+  }
+
+  if (status !== 'failed') {
+    return;
+  }
+
+  // A late failure must never downgrade a successful payment
+  if (!canTransitionTransaction(transactionDoc.data().status, 'failed')) {
+    return;
+  }
+
+  await transitionTransaction(transactionId, 'failed', {
+    actor: 'provider:airtel',
+    sourceEvent: `airtel:${transactionDoc.data().airtelTransactionId}`,
+    updates: {
+      failureReason: message || 'Payment failed',
+      airtelResponse: providerResponse || null
+    }
+  });
+
+  console.log(`Transaction ${transactionId} marked as failed`);
+
+  await emitTransactionEvent('payment.failed', transactionId);
+};
+
+/**
+ * Checks a transaction's Airtel Money collection and applies the result
+ * @param {string} merchantId - The merchant's user ID
+ * @param {string} transactionId - The transaction ID
+ * @returns {Promise<Object>} - The collection status
+ */
+const checkCollectionStatus = async (merchantId, transactionId) => {
+  const transactionDoc = await getDoc(doc(db, 'transactions', transactionId));
+
+  if (!transactionDoc.exists() || transactionDoc.data().ownerUid !== merchantId) {
+    throw new Error('Transaction not found');
+  }
+
+  const { airtelTransactionId } = transactionDoc.data();
+  if (!airtelTransactionId) {
+    throw new Error('Transaction has not been paid with Airtel Money');
+  }
+
+  const result = await getCollectionStatus(merchantId, airtelTransactionId);
+  await applyCollectionResult(merchantId, transactionId, result);
+
+  return result;
+};
+
+/**
+ * Handles an Airtel Money collection callback. Callbacks aren't signed, so the
+ * result is confirmed with a status enquiry before it is applied.
+ * @param {string} merchantId - The merchant's user ID
+ * @param {Object} callbackData - The callback body
+ * @returns {Promise<void>}
+ */
+const handleCollectionCallback = async (merchantId, callbackData) => {
+  const airtelTransactionId = callbackData?.transaction?.id;
+
+  if (!airtelTransactionId) {
+    throw new Error('Invalid Airtel Money callback payload');
+  }
+
+  const transaction = await findTransactionByAirtelId(merchantId, airtelTransactionId);
+  if (!transaction) {
+    console.warn('No transaction found for Airtel Money collection:', airtelTransactionId);
+    return;
+  }
+
+  const result = await getCollectionStatus(merchantId, airtelTransactionId);
+  await applyCollectionResult(merchantId, transaction.id, result);
+};
+
+/**
+ * Tests Airtel Money API credentials by requesting an access token
+ * @param {Object} credentials - clientId, clientSecret and environment
+ * @returns {Promise<Object>} - Whether the credentials are valid, and the error if not
+ */
+const testCredentials = async ({ clientId, clientSecret, environment }) => {
+  try {
+    const { accessToken } = await requestAccessToken({ clientId, clientSecret, environment });
+    return { success: !!accessToken };
+  } catch (error) {
+    console.error('Error testing Airtel Money credentials:', error.response?.data || error.message);
+    return {
+      success: false,
+      error: error.response?.data?.error_description || error.response?.data?.status?.message || error.message
+    };
+  }
+};
+
+/**
+ * Refunds an Airtel Money collection. Airtel only supports refunding the full amount.
+ * @param {Object} refund - The refund record
+ * @param {Object} transactionData - The transaction data
+ * @returns {Promise<Object>} - Provider refund ID, status and response
+ */
+const refundCollection = async (refund, transactionData) => {
+  if (!transactionData.airtelMoneyId) {
+    throw new Error('Transaction has no Airtel Money ID to refund');
+  }
+
+  if (Number(refund.amount) !== Number(transactionData.amount)) {
+    throw new Error('Airtel Money only supports refunding the full amount');
+  }
+
+  const airtelSettings = await getAirtelSettings(refund.merchantId);
+  const response = await sendAirtelRequest(refund.merchantId, airtelSettings, {
+    method: 'post',
+    path: '/standard/v1/payments/refund',
+    data: {
+      transaction: {
+        airtel_money_id: transactionData.airtelMoneyId
+      }
+    }
+  });
+
+  return {
+    providerRefundId: response.data?.data?.transaction?.airtel_money_id || null,
+    status: response.data?.status?.success ? 'success' : 'failed',
+    failureReason: response.data?.status?.success ? null : response.data?.status?.message,
+    providerResponse: response.data
+  };
+};
+
+// Payment provider interface, registered in providerRegistry.js
+const provider = {
+  name: 'airtel',
+  initiate: async (merchantId, { phone, amount, transactionId }) => {
+    const result = await initiateCollection(merchantId, { phone, amount, orderId: transactionId });
+    return { reference: result.airtelTransactionId, ...result };
+  },
+  verify: (merchantId, reference) => getCollectionStatus(merchantId, reference),
+  refund: refundCollection,
+  parseWebhook: async ({ params, body }) => {
+    if (!body?.transaction?.id) {
+      throw new Error('Invalid Airtel Money callback payload');
+    }
+    return { merchantId: params.merchantId, payload: body };
+  },
+  // Airtel retries callbacks, so each collection is only applied once per status
+  handleWebhook: (event) => processOnce(
+    'airtel',
+    `${event.payload.transaction.id}_${event.payload.transaction.status_code}`,
+    () => handleCollectionCallback(event.merchantId, event.payload)
+  )
+};
+
+module.exports = {
+  provider,
+  AIRTEL_COUNTRIES,
+  getAirtelSettings,
+  initiateCollection,
+  getCollectionStatus,
+  checkCollectionStatus,
+  handleCollectionCallback,
+  testCredentials
+};
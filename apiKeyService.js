@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const { doc, getDoc, setDoc, updateDoc, collection, query, where, limit, getDocs, serverTimestamp, Timestamp } = require("firebase/firestore");
+const { db } = require("./firebase");
+
+// Key types and the prefix each is issued with
+const KEY_PREFIXES = {
+  publishable: 'pk',
+  secret: 'sk'
+};
+
+const KEY_MODES = ['test', 'live'];
+
+// How long a rotated key keeps working so merchants can roll out the new one
+const DEFAULT_ROTATION_GRACE_HOURS = 24;
+
+/**
+ * Hashes an API key for storage and lookup. Keys are random, so a plain SHA-256 is enough.
+ * @param {string} apiKey - The API key
+ * @returns {string} - Key hash
+ */
+const hashApiKey = (apiKey) => {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+};
+
+/**
+ * Generates and stores a new API key. The plain key is only ever returned here.
+ * @param {string} merchantId - The merchant's user ID
+ * @param {string} type - 'publishable' or 'secret'
+ * @param {string} mode - 'test' or 'live'
+ * @param {Object} [extra] - Extra fields to store, e.g. the key it replaces
+ * @returns {Promise<Object>} - The key record, including the plain key
+ */
+const createApiKey = async (merchantId, type, mode, extra = {}) => {
+  if (!KEY_PREFIXES[type]) {
+    throw new Error(`Invalid key type. Must be one of: ${Object.keys(KEY_PREFIXES).join(', ')}`);
+  }
+
+  if (!KEY_MODES.includes(mode)) {
+    throw new Error(`Invalid key mode. Must be one of: ${KEY_MODES.join(', ')}`);
+  }
+
+  const apiKey = `${KEY_PREFIXES[type]}_${mode}_${crypto.randomBytes(24).toString('base64url')}`;
+  const keyRef = doc(collection(db, 'apiKeys'));
+
+  const record = {
+    merchantId,
+    type,
+    mode,
+    keyHash: hashApiKey(apiKey),
+    displayPrefix: apiKey.substring(0, 8),
+    last4: apiKey.slice(-4),
+    status: 'active',
+    expiresAt: null,
+    lastUsedAt: null,
+    ...extra,
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp()
+  };
+  await setDoc(keyRef, record);
+
+  return { id: keyRef.id, apiKey, ...formatApiKey(record) };
+};
+
+/**
+ * Issues a publishable and secret key pair for a merchant
+ * @param {string} merchantId - The merchant's user ID
+ * @param {string} mode - 'test' or 'live'
+ * @returns {Promise<Object>} - The publishable and secret key records, including the plain keys
+ */
+const createApiKeyPair = async (merchantId, mode) => {
+  if (!merchantId) {
+    throw new Error('Merchant ID is required to issue API keys');
+  }
+
+  const publishable = await createApiKey(merchantId, 'publishable', mode);
+  const secret = await createApiKey(merchantId, 'secret', mode);
+
+  return { publishable, secret };
+};
+
+/**
+ * Strips the hash from a key record before it is returned to a merchant
+ * @param {Object} record - The stored key record
+ * @returns {Object} - Public key details
+ */
+const formatApiKey = ({ keyHash, ...record }) => record;
+
+/**
+ * Gets one of a merchant's API keys
+ * @param {string} merchantId - The merchant's user ID
+ * @param {string} keyId - The key ID
+ * @returns {Promise<Object>} - The key record
+ */
+const getMerchantApiKey = async (merchantId, keyId) => {
+  const keyDoc = await getDoc(doc(db, 'apiKeys', keyId));
+
+  if (!keyDoc.exists() || keyDoc.data().merchantId !== merchantId) {
+    throw new Error('API key not found');
+  }
+
+  return { id: keyDoc.id, ...keyDoc.data() };
+};
+
+/**
+ * Lists a merchant's API keys, without their hashes
+ * @param {string} merchantId - The merchant's user ID
+ * @returns {Promise<Array<Object>>} - Key records
+ */
+const listApiKeys = async (merchantId) => {
+  const keysQuery = query(collection(db, 'apiKeys'), where('merchantId', '==', merchantId));
+  const snapshot = await getDocs(keysQuery);
+
+  return snapshot.docs.map(keyDoc => ({ id: keyDoc.id, ...formatApiKey(keyDoc.data()) }));
+};
+
+/**
+ * Rotates an API key: issues a replacement of the same type and mode and expires the
+ * old key after a grace period
+ * @param {string} merchantId - The merchant's user ID
+ * @param {string} keyId - The key to rotate
+ * @param {Object} [options] - Hours the old key keeps working (0 revokes it immediately)
+ * @returns {Promise<Object>} - The new key record, including the plain key
+ */
+const rotateApiKey = async (merchantId, keyId, { graceHours = DEFAULT_ROTATION_GRACE_HOURS } = {}) => {
+  const oldKey = await getMerchantApiKey(merchantId, keyId);
+
+  if (oldKey.status !== 'active') {
+    throw new Error(`API key is already ${oldKey.status}`);
+  }
+
+  const hours = Number(graceHours);
+  if (isNaN(hours) || hours < 0) {
+    throw new Error('Invalid grace period. Must be 0 or more hours');
+  }
+
+  const newKey = await createApiKey(merchantId, oldKey.type, oldKey.mode, { rotatedFrom: keyId });
+
+  await updateDoc(doc(db, 'apiKeys', keyId), hours === 0
+    ? { status: 'revoked', revokedAt: serverTimestamp(), replacedBy: newKey.id, updatedAt: serverTimestamp() }
+    : { expiresAt: Timestamp.fromMillis(Date.now() + hours * 60 * 60 * 1000), replacedBy: newKey.id, updatedAt: serverTimestamp() });
+
+  return newKey;
+};
+
+/**
+ * Revokes an API key immediately
+ * @param {string} merchantId - The merchant's user ID
+ * @param {string} keyId - The key to revoke
+ * @returns {Promise<void>}
+ */
+const revokeApiKey = async (merchantId, keyId) => {
+  const key = await getMerchantApiKey(merchantId, keyId);
+
+  if (key.status === 'revoked') {
+    return;
+  }
+
+  await updateDoc(doc(db, 'apiKeys', keyId), {
+    status: 'revoked',
+    revokedAt: serverTimestamp(),
+    updatedAt: serverTimestamp()
+  });
+};
+
+/**
+ * Resolves the merchant an API key belongs to
+ * @param {string} apiKey - The plain API key from the request
+ * @returns {Promise<Object|null>} - Key ID, merchant ID, type and mode, or null if the key isn't valid
+ */
+const authenticateApiKey = async (apiKey) => {
+  if (!apiKey || !/^(pk|sk)_(test|live)_/.test(apiKey)) {
+    return null;
+  }
+
+  const keysQuery = query(collection(db, 'apiKeys'), where('keyHash', '==', hashApiKey(apiKey)), limit(1));
+  const snapshot = await getDocs(keysQuery);
+
+  if (snapshot.empty) {
+    return null;
+  }
+
+  const keyDoc = snapshot.docs[0];
+  const key = keyDoc.data();
+
+  if (key.status !== 'active' || (key.expiresAt && key.expiresAt.toMillis() <= Date.now())) {
+    return null;
+  }
+
+  // Best effort, so a failed write never blocks the request
+  updateDoc(keyDoc.ref, { lastUsedAt: serverTimestamp() }).catch(error => {
+    console.error('Error recording API key usage:', error);
+  });
+
+  return {
+    id: keyDoc.id,
+    merchantId: key.merchantId,
+    type: key.type,
+    mode: key.mode
+  };
+};
+
+module.exports = {
+  KEY_MODES,
+  createApiKeyPair,
+  listApiKeys,
+  rotateApiKey,
+  revokeApiKey,
+  authenticateApiKey
+};
@@ -0,0 +1,310 @@
+const admin = require('firebase-admin');
+const { doc, getDoc, setDoc, serverTimestamp } = require("firebase/firestore");
+const { db } = require("./firebase");
+const { authenticateApiKey } = require("./apiKeyService");
+const { getProviderMode } = require("./credentialService");
+
+// Initialize Firebase Admin if not already initialized
+let adminApp;
+try {
+  adminApp = admin.app();
+} catch (e) {
+  adminApp = admin.initializeApp({
+    credential: admin.credential.cert(require('./twitterclone-47ebf-firebase-adminsdk-fbsvc-0a7000048b.json')),
+    storageBucket: process.env.FIREBASE_STORAGE_BUCKET || "twitterclone-47ebf.appspot.com"
+  });
+}
+
+// Dashboard user roles. Staff act on behalf of the merchant they belong to.
+const ROLES = ['merchant', 'staff', 'admin'];
+
+/**
+ * Gets the bearer token or X-API-Key header sent with a request
+ * @param {Object} req - Express request
+ * @returns {string|null} - The API key or Firebase ID token
+ */
+const getRequestCredential = (req) => {
+  const authorization = req.headers.authorization || '';
+
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.substring(7).trim();
+  }
+
+  return req.headers['x-api-key'] || null;
+};
+
+/**
+ * Checks whether a credential is a merchant API key rather than a Firebase ID token
+ * @param {string} credential - The request credential
+ * @returns {boolean} - Whether it is an API key
+ */
+const isApiKey = (credential) => /^(pk|sk)_(test|live)_/.test(credential || '');
+
+/**
+ * Verifies a Firebase ID token and loads the user's role, from the user's document or the
+ * `role` custom claim, defaulting to merchant
+ * @param {string} idToken - The Firebase ID token
+ * @returns {Promise<Object|null>} - User ID, role and the merchant the user acts for, or null if the token isn't valid
+ */
+const authenticateFirebaseUser = async (idToken) => {
+  let decodedToken;
+  try {
+    decodedToken = await admin.auth(adminApp).verifyIdToken(idToken);
+  } catch (error) {
+    console.error('Invalid Firebase ID token:', error.message);
+    return null;
+  }
+
+  const userDoc = await getDoc(doc(db, 'users', decodedToken.uid));
+  const userData = userDoc.exists() ? userDoc.data() : {};
+  // The document is read on every request, so a role change applies at once; a token's claim can be an hour stale
+  const role = userData.role || decodedToken.role || 'merchant';
+
+  if (!ROLES.includes(role)) {
+    return null;
+  }
+
+  return {
+    uid: decodedToken.uid,
+    role,
+    merchantId: role === 'merchant' ? decodedToken.uid : role === 'staff' ? userData.merchantId || null : null
+  };
+};
+
+/**
+ * Sends an authentication error response
+ * @param {Object} res - Express response
+ * @param {number} statusCode - HTTP status code
+ * @param {string} errorMessage - Error message
+ */
+const sendAuthError = (res, statusCode, errorMessage) => {
+  res.status(statusCode).json({
+    ResponseCode: "1",
+    errorMessage
+  });
+};
+
+/**
+ * Binds the authenticated merchant to the request. Any merchantId sent in the body or
+ * query must match it, and is replaced with it so routes never act on a merchant the
+ * caller hasn't authenticated as. Admins may act on any merchant.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string|null} merchantId - The authenticated merchant, or null for admins
+ * @returns {boolean} - Whether the request may continue
+ */
+const bindMerchant = (req, res, merchantId) => {
+  const requestedMerchantId = req.body?.merchantId || req.query.merchantId;
+
+  if (req.user?.role === 'admin') {
+    req.merchant = requestedMerchantId ? { id: requestedMerchantId } : null;
+    return true;
+  }
+
+  if (!merchantId) {
+    sendAuthError(res, 403, "User is not linked to a merchant");
+    return false;
+  }
+
+  if (requestedMerchantId && requestedMerchantId !== merchantId) {
+    sendAuthError(res, 403, "Not allowed to act for this merchant");
+    return false;
+  }
+
+  req.merchant = { ...req.merchant, id: merchantId };
+
+  if (req.body && typeof req.body === 'object') {
+    req.body.merchantId = merchantId;
+  }
+  req.query.merchantId = merchantId;
+
+  return true;
+};
+
+/**
+ * Checks that a request made with a test API key won't use the merchant's live provider credentials.
+ * Dashboard users have no key mode and may use either.
+ * @param {Object} merchant - The request's merchant, with the key mode for API key requests
+ * @param {string} provider - The provider the request will use
+ * @returns {Promise<boolean>} - Whether the key may be used with the provider
+ */
+const isKeyModeAllowed = async (merchant, provider) => {
+  if (merchant?.mode !== 'test' || !provider) {
+    return true;
+  }
+
+  return (await getProviderMode(merchant.id, provider)) !== 'live';
+};
+
+/**
+ * Requires a merchant API key and resolves the merchant from it
+ * @param {Object} [options] - Set secret to only accept secret keys, and provider to keep test keys off live credentials
+ * @returns {Function} - Express middleware
+ */
+const requireApiKey = ({ secret = false, provider = null } = {}) => async (req, res, next) => {
+  try {
+    const key = await authenticateApiKey(getRequestCredential(req));
+
+    if (!key) {
+      return sendAuthError(res, 401, "A valid API key is required");
+    }
+
+    if (secret && key.type !== 'secret') {
+      return sendAuthError(res, 403, "This endpoint requires a secret API key");
+    }
+
+    req.merchant = {
+      apiKeyId: key.id,
+      keyType: key.type,
+      mode: key.mode
+    };
+
+    if (!bindMerchant(req, res, key.merchantId)) {
+      return;
+    }
+
+    if (!(await isKeyModeAllowed(req.merchant, provider))) {
+      return sendAuthError(res, 403, `Test API keys can't be used with live ${provider} credentials`);
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error authenticating API key:', error);
+    sendAuthError(res, 500, "Failed to authenticate request");
+  }
+};
+
+/**
+ * Requires a signed-in dashboard user with one of the given roles
+ * @param {...string} roles - Allowed roles
+ * @returns {Function} - Express middleware
+ */
+const requireRole = (...roles) => async (req, res, next) => {
+  try {
+    const credential = getRequestCredential(req);
+    const user = credential && !isApiKey(credential) ? await authenticateFirebaseUser(credential) : null;
+
+    if (!user) {
+      return sendAuthError(res, 401, "A valid Firebase ID token is required");
+    }
+
+    if (!roles.includes(user.role)) {
+      return sendAuthError(res, 403, "You don't have permission to perform this action");
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Error authenticating Firebase user:', error);
+    sendAuthError(res, 500, "Failed to authenticate request");
+  }
+};
+
+/**
+ * Requires either a merchant API key or a signed-in dashboard user, and resolves the
+ * merchant the request acts for
+ * @param {Object} [options] - secret to require a secret key from API clients, roles allowed for dashboard users,
+ * and provider to keep test keys off live credentials
+ * @returns {Function} - Express middleware
+ */
+const requireMerchantAuth = ({ secret = false, roles = ROLES, provider = null } = {}) => {
+  const apiKeyAuth = requireApiKey({ secret, provider });
+  const roleAuth = requireRole(...roles);
+
+  return (req, res, next) => {
+    if (isApiKey(getRequestCredential(req))) {
+      return apiKeyAuth(req, res, next);
+    }
+
+    return roleAuth(req, res, () => {
+      if (bindMerchant(req, res, req.user.merchantId)) {
+        next();
+      }
+    });
+  };
+};
+
+/**
+ * Requires the document a request refers to to belong to the authenticated merchant.
+ * Documents that don't exist are left for the route to handle, and admins may act on any document.
+ * @param {string} collectionName - The Firestore collection
+ * @param {string} idField - The body, params or query field holding the document ID
+ * @returns {Function} - Express middleware
+ */
+const requireOwnership = (collectionName, idField) => async (req, res, next) => {
+  try {
+    const documentId = req.params[idField] || req.body?.[idField] || req.query[idField];
+
+    if (!documentId || req.user?.role === 'admin') {
+      return next();
+    }
+
+    const documentSnapshot = await getDoc(doc(db, collectionName, documentId.toString()));
+
+    if (documentSnapshot.exists()) {
+      const { ownerUid, merchantId } = documentSnapshot.data();
+
+      if ((ownerUid || merchantId) !== req.merchant?.id) {
+        return sendAuthError(res, 404, "Not found");
+      }
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error checking resource ownership:', error);
+    sendAuthError(res, 500, "Failed to authenticate request");
+  }
+};
+
+/**
+ * Describes who made an authenticated request, for audit records such as status history
+ * @param {Object} req - Express request that passed requireMerchantAuth, requireApiKey or requireRole
+ * @returns {string} - 'user:<uid>' or 'apiKey:<key ID>'
+ */
+const getRequestActor = (req) => {
+  if (req.user) {
+    return `user:${req.user.uid}`;
+  }
+
+  return req.merchant?.apiKeyId ? `apiKey:${req.merchant.apiKeyId}` : 'unknown';
+};
+
+/**
+ * Sets a dashboard user's role, as a custom claim and on their user document so it
+ * applies before the user's ID token is refreshed
+ * @param {string} uid - The user's ID
+ * @param {string} role - merchant, staff or admin
+ * @param {string} [merchantId] - The merchant a staff user works for
+ * @param {string} updatedBy - The admin making the change
+ * @returns {Promise<void>}
+ */
+const setUserRole = async (uid, role, merchantId, updatedBy) => {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Invalid role. Must be one of: ${ROLES.join(', ')}`);
+  }
+
+  if (role === 'staff' && !merchantId) {
+    throw new Error('Merchant ID is required for staff users');
+  }
+
+  const user = await admin.auth(adminApp).getUser(uid);
+  await admin.auth(adminApp).setCustomUserClaims(uid, { ...user.customClaims, role });
+
+  await setDoc(doc(db, 'users', uid), {
+    role,
+    merchantId: role === 'staff' ? merchantId : null,
+    roleUpdatedBy: updatedBy,
+    updatedAt: serverTimestamp()
+  }, { merge: true });
+};
+
+module.exports = {
+  ROLES,
+  requireApiKey,
+  requireRole,
+  requireMerchantAuth,
+  requireOwnership,
+  isKeyModeAllowed,
+  getRequestActor,
+  setUserRole
+};
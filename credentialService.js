@@ -0,0 +1,383 @@
+const crypto = require('crypto');
+const { doc, getDoc, setDoc, updateDoc, collection, getDocs, serverTimestamp } = require("firebase/firestore");
+const { db } = require("./firebase");
+
+// Marks values encrypted by this module, followed by the format version
+const ENCRYPTED_PREFIX = 'enc:v1:';
+
+// Credential fields encrypted in each provider's merchantSettings section
+const SECRET_FIELDS = {
+  mpesa: ['consumerKey', 'consumerSecret', 'passkey', 'securityCredential', 'initiatorPassword'],
+  stripe: ['secretKey', 'webhookSecret'],
+  paypal: ['clientSecret'],
+  paystack: ['secretKey'],
+  airtel: ['clientSecret'],
+  flutterwave: ['secretKey', 'webhookHash']
+};
+
+// Shown in place of stored credentials, and ignored if a client sends it back
+const MASKED_VALUE = '********';
+
+// Unwrapped data keys, keyed by their wrapped form, so remote KMS calls aren't repeated on every read
+const MAX_CACHED_DATA_KEYS = 500;
+const dataKeyCache = new Map();
+
+/**
+ * Encrypts a buffer with AES-256-GCM
+ * @param {Buffer} key - 32 byte key
+ * @param {Buffer} plaintext - Data to encrypt
+ * @returns {Object} - IV, auth tag and ciphertext
+ */
+const aesEncrypt = (key, plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), ciphertext };
+};
+
+/**
+ * Decrypts an AES-256-GCM payload
+ * @param {Buffer} key - 32 byte key
+ * @param {Object} payload - IV, auth tag and ciphertext
+ * @returns {Buffer} - Decrypted data
+ */
+const aesDecrypt = (key, { iv, tag, ciphertext }) => {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+};
+
+/**
+ * Gets the local master key from CREDENTIALS_MASTER_KEY (32 bytes, base64 or hex)
+ * @returns {Buffer} - Master key
+ */
+const getLocalMasterKey = () => {
+  const configuredKey = process.env.CREDENTIALS_MASTER_KEY;
+
+  if (!configuredKey) {
+    throw new Error('CREDENTIALS_MASTER_KEY is not configured');
+  }
+
+  const masterKey = /^[0-9a-f]{64}$/i.test(configuredKey)
+    ? Buffer.from(configuredKey, 'hex')
+    : Buffer.from(configuredKey, 'base64');
+
+  if (masterKey.length !== 32) {
+    throw new Error('CREDENTIALS_MASTER_KEY must be 32 bytes, base64 or hex encoded');
+  }
+
+  return masterKey;
+};
+
+/**
+ * A key management service that wraps and unwraps data keys.
+ * @typedef {Object} KeyProvider
+ * @property {string} name - Stored with each value so it is unwrapped by the same provider
+ * @property {Function} wrapKey - (dataKey: Buffer) => Promise<{ keyId: string, wrappedKey: Buffer }>
+ * @property {Function} unwrapKey - ({ keyId, wrappedKey }) => Promise<Buffer>
+ */
+
+/**
+ * Key provider using the master key from the environment
+ * @type {KeyProvider}
+ */
+const localKeyProvider = {
+  name: 'local',
+  wrapKey: async (dataKey) => {
+    const masterKey = getLocalMasterKey();
+    const { iv, tag, ciphertext } = aesEncrypt(masterKey, dataKey);
+    return {
+      // Identifies the master key, so values wrapped with an old key can be found
+      keyId: crypto.createHash('sha256').update(masterKey).digest('hex').substring(0, 16),
+      wrappedKey: Buffer.concat([iv, tag, ciphertext])
+    };
+  },
+  unwrapKey: async ({ wrappedKey }) => {
+    return aesDecrypt(getLocalMasterKey(), {
+      iv: wrappedKey.subarray(0, 12),
+      tag: wrappedKey.subarray(12, 28),
+      ciphertext: wrappedKey.subarray(28)
+    });
+  }
+};
+
+const keyProviders = new Map([[localKeyProvider.name, localKeyProvider]]);
+
+/**
+ * Registers a key provider, e.g. one backed by a cloud KMS
+ * @param {KeyProvider} provider - The key provider
+ */
+const registerKeyProvider = (provider) => {
+  if (!provider.name || typeof provider.wrapKey !== 'function' || typeof provider.unwrapKey !== 'function') {
+    throw new Error('Key providers need a name, wrapKey and unwrapKey');
+  }
+
+  keyProviders.set(provider.name, provider);
+};
+
+/**
+ * Gets a key provider by name
+ * @param {string} name - The provider name
+ * @returns {KeyProvider} - The key provider
+ */
+const getKeyProvider = (name) => {
+  const provider = keyProviders.get(name);
+
+  if (!provider) {
+    throw new Error(`Unknown credentials key provider '${name}'`);
+  }
+
+  return provider;
+};
+
+/**
+ * Checks whether a value was encrypted by this module
+ * @param {*} value - The stored value
+ * @returns {boolean} - Whether it is encrypted
+ */
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+
+/**
+ * Encrypts a credential with a fresh data key, wrapped by the configured key provider
+ * (CREDENTIALS_KEY_PROVIDER, default local)
+ * @param {string} plaintext - The credential
+ * @returns {Promise<string>} - Encrypted value
+ */
+const encryptValue = async (plaintext) => {
+  const provider = getKeyProvider(process.env.CREDENTIALS_KEY_PROVIDER || 'local');
+  const dataKey = crypto.randomBytes(32);
+  const { keyId, wrappedKey } = await provider.wrapKey(dataKey);
+  const { iv, tag, ciphertext } = aesEncrypt(dataKey, Buffer.from(String(plaintext), 'utf8'));
+
+  return ENCRYPTED_PREFIX + [
+    provider.name,
+    Buffer.from(keyId).toString('base64url'),
+    wrappedKey.toString('base64url'),
+    iv.toString('base64url'),
+    tag.toString('base64url'),
+    ciphertext.toString('base64url')
+  ].join(':');
+};
+
+/**
+ * Decrypts a credential. Values that aren't encrypted yet are returned unchanged,
+ * so documents keep working until they are migrated.
+ * @param {*} value - The stored value
+ * @returns {Promise<*>} - The plaintext credential
+ */
+const decryptValue = async (value) => {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const [providerName, keyId, wrappedKey, iv, tag, ciphertext] = value.substring(ENCRYPTED_PREFIX.length).split(':');
+
+  let dataKey = dataKeyCache.get(wrappedKey);
+  if (!dataKey) {
+    dataKey = await getKeyProvider(providerName).unwrapKey({
+      keyId: Buffer.from(keyId, 'base64url').toString(),
+      wrappedKey: Buffer.from(wrappedKey, 'base64url')
+    });
+
+    if (dataKeyCache.size >= MAX_CACHED_DATA_KEYS) {
+      dataKeyCache.delete(dataKeyCache.keys().next().value);
+    }
+    dataKeyCache.set(wrappedKey, dataKey);
+  }
+
+  return aesDecrypt(dataKey, {
+    iv: Buffer.from(iv, 'base64url'),
+    tag: Buffer.from(tag, 'base64url'),
+    ciphertext: Buffer.from(ciphertext, 'base64url')
+  }).toString('utf8');
+};
+
+/**
+ * Encrypts the credential fields of a provider's settings. Empty and already encrypted values are left as they are.
+ * @param {string} provider - The provider section (mpesa, stripe, paypal, paystack, airtel, flutterwave)
+ * @param {Object} settings - The provider settings
+ * @returns {Promise<Object>} - Settings with encrypted credentials
+ */
+const encryptProviderSettings = async (provider, settings) => {
+  const encrypted = { ...settings };
+
+  for (const field of SECRET_FIELDS[provider] || []) {
+    if (encrypted[field] && !isEncrypted(encrypted[field])) {
+      encrypted[field] = await encryptValue(encrypted[field]);
+    }
+  }
+
+  return encrypted;
+};
+
+/**
+ * Decrypts the credential fields of a provider's settings
+ * @param {string} provider - The provider section
+ * @param {Object} settings - The stored provider settings
+ * @returns {Promise<Object>} - Settings with plaintext credentials
+ */
+const decryptProviderSettings = async (provider, settings) => {
+  if (!settings) {
+    return settings;
+  }
+
+  const decrypted = { ...settings };
+
+  for (const field of SECRET_FIELDS[provider] || []) {
+    if (decrypted[field]) {
+      decrypted[field] = await decryptValue(decrypted[field]);
+    }
+  }
+
+  return decrypted;
+};
+
+/**
+ * Replaces credential fields with a masked form that is safe to return to the dashboard
+ * @param {string} provider - The provider section
+ * @param {Object} settings - The stored provider settings
+ * @returns {Object} - Settings with credentials masked
+ */
+const maskProviderSettings = (provider, settings) => {
+  const masked = { ...settings };
+
+  for (const field of SECRET_FIELDS[provider] || []) {
+    if (masked[field]) {
+      masked[field] = MASKED_VALUE;
+    }
+  }
+
+  return masked;
+};
+
+/**
+ * Gets a merchant's settings for a provider with credentials masked
+ * @param {string} merchantId - The merchant's user ID
+ * @param {string} provider - The provider section
+ * @returns {Promise<Object>} - Masked provider settings
+ */
+const getMaskedProviderSettings = async (merchantId, provider) => {
+  if (!SECRET_FIELDS[provider]) {
+    throw new Error(`Unknown provider '${provider}'`);
+  }
+
+  const settingsDoc = await getDoc(doc(db, 'merchantSettings', merchantId));
+  const settings = settingsDoc.exists() ? settingsDoc.data()[provider] : null;
+
+  return settings ? maskProviderSettings(provider, settings) : {};
+};
+
+/**
+ * Creates or updates a merchant's settings for a provider, encrypting credentials before they are stored.
+ * Fields that aren't sent, or are sent back masked, keep their stored values.
+ * @param {string} merchantId - The merchant's user ID
+ * @param {string} provider - The provider section
+ * @param {Object} updates - The settings to change
+ * @returns {Promise<Object>} - The updated settings, with credentials masked
+ */
+const saveProviderSettings = async (merchantId, provider, updates) => {
+  if (!SECRET_FIELDS[provider]) {
+    throw new Error(`Unknown provider '${provider}'`);
+  }
+
+  const changes = Object.fromEntries(Object.entries(updates || {})
+    .filter(([field, value]) => field !== 'merchantId' && value !== undefined && value !== MASKED_VALUE));
+
+  // Only this module writes encrypted values, so clients can't plant ciphertext
+  if (SECRET_FIELDS[provider].some(field => isEncrypted(changes[field]))) {
+    throw new Error('Credentials must be sent in plaintext');
+  }
+
+  const encrypted = await encryptProviderSettings(provider, changes);
+
+  await setDoc(doc(db, 'merchantSettings', merchantId), {
+    [provider]: { ...encrypted, updatedAt: serverTimestamp() }
+  }, { merge: true });
+
+  return getMaskedProviderSettings(merchantId, provider);
+};
+
+/**
+ * Gets whether a merchant's credentials for a provider are live or test credentials, the same way each
+ * provider's service picks its API. Merchants without settings use the providers' test credentials.
+ * @param {string} merchantId - The merchant's user ID
+ * @param {string} provider - The provider section
+ * @returns {Promise<string>} - 'live' or 'test'
+ */
+const getProviderMode = async (merchantId, provider) => {
+  const settingsDoc = await getDoc(doc(db, 'merchantSettings', merchantId));
+  const settings = settingsDoc.exists() ? settingsDoc.data()[provider] : null;
+
+  if (!settings) {
+    return 'test';
+  }
+
+  // Daraja and Airtel default to production, PayPal to its sandbox
+  if (['mpesa', 'airtel'].includes(provider)) {
+    return settings.environment === 'sandbox' ? 'test' : 'live';
+  }
+
+  if (provider === 'paypal') {
+    return settings.environment === 'production' ? 'live' : 'test';
+  }
+
+  // Stripe, Paystack and Flutterwave secret keys say which mode they are for
+  const secretKey = settings.secretKey ? await decryptValue(settings.secretKey) : '';
+
+  if (provider === 'flutterwave') {
+    return secretKey && !secretKey.includes('_TEST') ? 'live' : 'test';
+  }
+
+  return secretKey.startsWith('sk_live_') ? 'live' : 'test';
+};
+
+/**
+ * Encrypts any plaintext credentials left in merchantSettings documents
+ * @param {Object} [options] - Set dryRun to only report what would be encrypted
+ * @returns {Promise<Array<Object>>} - Merchant IDs and the fields that were encrypted
+ */
+const encryptStoredCredentials = async ({ dryRun = false } = {}) => {
+  const snapshot = await getDocs(collection(db, 'merchantSettings'));
+  const migrated = [];
+
+  for (const settingsDoc of snapshot.docs) {
+    const settings = settingsDoc.data();
+    const updates = {};
+
+    for (const provider of Object.keys(SECRET_FIELDS)) {
+      for (const field of SECRET_FIELDS[provider]) {
+        const value = settings[provider]?.[field];
+        if (value && !isEncrypted(value)) {
+          updates[`${provider}.${field}`] = dryRun ? null : await encryptValue(value);
+        }
+      }
+    }
+
+    if (Object.keys(updates).length === 0) {
+      continue;
+    }
+
+    if (!dryRun) {
+      await updateDoc(settingsDoc.ref, updates);
+    }
+
+    migrated.push({ merchantId: settingsDoc.id, fields: Object.keys(updates) });
+  }
+
+  return migrated;
+};
+
+module.exports = {
+  SECRET_FIELDS,
+  registerKeyProvider,
+  isEncrypted,
+  encryptValue,
+  decryptValue,
+  encryptProviderSettings,
+  decryptProviderSettings,
+  maskProviderSettings,
+  getMaskedProviderSettings,
+  getProviderMode,
+  saveProviderSettings,
+  encryptStoredCredentials
+};
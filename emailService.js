@@ -289,6 +289,65 @@ const sendPaymentConfirmationEmail = async (paymentData) => {
   }
 };
 
+const sendRefundConfirmationEmail = async (refundData) => {
+  try {
+    console.log('Preparing to send refund confirmation email:', refundData.transactionId);
+    
+    if (!refundData?.email) {
+      console.warn('Missing recipient email address, cannot send refund email');
+      return { success: false, error: 'Missing recipient email address' };
+    }
+
+    const mailOptions = {
+      from: `"PayNow" <${process.env.EMAIL_USER}>`,
+      to: refundData.email,
+      subject: 'Refund Processed - PayNow',
+      template: 'refundConfirmation',
+      context: {
+        transactionId: refundData.transactionId,
+        customerName: refundData.customerName || 'Valued Customer',
+        amount: refundData.amount,
+        currency: refundData.currency || 'KES',
+        paymentMethod: refundData.paymentMethod,
+        description: refundData.description || 'Payment',
+        reason: refundData.reason || 'Refund requested by merchant',
+        date: new Date().toLocaleDateString()
+      }
+    };
+
+    // Add plain text alternative for better deliverability
+    mailOptions.text = `
+    Refund Processed
+    
+    Dear ${refundData.customerName || 'Valued Customer'},
+    
+    ${refundData.currency || 'KES'} ${refundData.amount} has been refunded for ${refundData.description || 'Payment'}.
+    
+    Transaction ID: ${refundData.transactionId}
+    Payment Method: ${refundData.paymentMethod}
+    Reason: ${refundData.reason || 'Refund requested by merchant'}
+    Date: ${new Date().toLocaleDateString()}
+    
+    Thank you for using PayNow.
+    `;
+
+    // Set a timeout for the email sending operation
+    const emailPromise = transporter.sendMail(mailOptions);
+    const timeoutPromise = new Promise((_, reject) => 
+      setTimeout(() => reject(new Error('Email sending timed out')), 30000)
+    );
+    
+    const info = await Promise.race([emailPromise, timeoutPromise]);
+    console.log('Refund confirmation email sent successfully:', info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending refund confirmation email:', error);
+    
+    // Don't throw error to prevent refund processing failure
+    return { success: false, error: error.message };
+  }
+};
+
 const sendPaymentLinkEmail = async (to, name, paymentUrl, description, amount, currency) => {
   try {
     console.log('Preparing to send payment link email to:', to);
@@ -385,5 +444,6 @@ module.exports = {
   sendOrderStatusUpdateEmail,
   sendOrderCancellationEmail,
   sendPaymentConfirmationEmail,
+  sendRefundConfirmationEmail,
   sendPaymentLinkEmail
 }; 
\ No newline at end of file
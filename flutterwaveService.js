@@ -0,0 +1,323 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { doc, updateDoc, serverTimestamp, getDoc } = require("firebase/firestore");
+const { db } = require("./firebase");
+const { markPaymentSuccessful } = require("./paymentService");
+const { emitTransactionEvent } = require("./webhookService");
+const { processOnce } = require("./idempotencyService");
+const { canTransitionTransaction, transitionTransaction } = require("./statusService");
+const { decryptProviderSettings, decryptValue } = require("./credentialService");
+
+// Flutterwave API base URL
+const FLUTTERWAVE_API_URL = 'https://api.flutterwave.com/v3';
+
+/**
+ * Gets the Flutterwave settings for a merchant
+ * @param {string} merchantId - The merchant's user ID
+ * @returns {Promise<Object>} - Flutterwave settings
+ */
+const getFlutterwaveSettings = async (merchantId) => {
+  if (!merchantId) {
+    throw new Error('Merchant ID is required for Flutterwave payments');
+  }
+
+  const settingsDoc = await getDoc(doc(db, 'merchantSettings', merchantId));
+  const flutterwaveSettings = settingsDoc.exists() ? settingsDoc.data().flutterwave : null;
+
+  if (!flutterwaveSettings || !flutterwaveSettings.enabled || !flutterwaveSettings.secretKey) {
+    throw new Error(`Flutterwave not properly configured for merchant ${merchantId}`);
+  }
+
+  return decryptProviderSettings('flutterwave', flutterwaveSettings);
+};
+
+/**
+ * Gets the Flutterwave secret key for a merchant
+ * @param {string} merchantId - The merchant's user ID
+ * @returns {Promise<string>} - Flutterwave secret key
+ */
+const getFlutterwaveSecretKey = async (merchantId) => {
+  const { secretKey } = await getFlutterwaveSettings(merchantId);
+  return secretKey;
+};
+
+/**
+ * Initializes a Flutterwave standard checkout
+ * @param {Object} paymentData - Payment data including amount, currency, email and reference
+ * @returns {Promise<Object>} - Hosted checkout link and reference
+ */
+const initializePayment = async (paymentData) => {
+  try {
+    const { amount, currency = 'KES', email, phone, name, reference, redirectUrl, description, paymentOptions, metadata = {}, merchantId } = paymentData;
+
+    if (!merchantId) {
+      throw new Error('Merchant ID is required to initialize a Flutterwave payment');
+    }
+
+    const secretKey = await getFlutterwaveSecretKey(merchantId);
+
+    const response = await axios.post(`${FLUTTERWAVE_API_URL}/payments`, {
+      tx_ref: reference,
+      amount,
+      currency: currency.toUpperCase(),
+      redirect_url: redirectUrl,
+      ...(paymentOptions && { payment_options: paymentOptions }),
+      customer: {
+        email,
+        ...(phone && { phonenumber: phone }),
+        ...(name && { name })
+      },
+      customizations: {
+        title: 'PayNow',
+        ...(description && { description })
+      },
+      meta: {
+        ...metadata,
+        transactionId: reference,
+        merchantId
+      }
+    }, {
+      headers: {
+        'Authorization': `Bearer ${secretKey}`,
+        'Content-Type': 'application/json'
+      }
+    });
+
+    // Record the processor so the webhook and invoice know how this transaction is being paid
+    const transactionRef = doc(db, 'transactions', reference);
+    const transactionDoc = await getDoc(transactionRef);
+    if (transactionDoc.exists()) {
+      await updateDoc(transactionRef, {
+        paymentProcessor: 'flutterwave',
+        updatedAt: serverTimestamp()
+      });
+    }
+
+    return { link: response.data.data.link, reference };
+  } catch (error) {
+    console.error('Error initializing Flutterwave payment:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
+/**
+ * Verifies a Flutterwave transaction by its transaction reference
+ * @param {string} reference - Transaction reference (tx_ref)
+ * @param {string} merchantId - The merchant's user ID
+ * @returns {Promise<Object>} - Flutterwave transaction
+ */
+const verifyTransaction = async (reference, merchantId) => {
+  try {
+    const secretKey = await getFlutterwaveSecretKey(merchantId);
+
+    const response = await axios.get(`${FLUTTERWAVE_API_URL}/transactions/verify_by_reference`, {
+      params: { tx_ref: reference },
+      headers: {
+        'Authorization': `Bearer ${secretKey}`
+      }
+    });
+
+    return response.data.data;
+  } catch (error) {
+    console.error('Error verifying Flutterwave transaction:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
+/**
+ * Refunds all or part of a Flutterwave transaction
+ * @param {Object} refundData - Merchant ID, Flutterwave transaction ID and amount
+ * @returns {Promise<Object>} - Provider refund ID, normalized status and raw response
+ */
+const refundTransaction = async (refundData) => {
+  const { merchantId, flutterwaveTransactionId, amount } = refundData;
+
+  if (!flutterwaveTransactionId) {
+    throw new Error('Transaction has no Flutterwave transaction ID to refund');
+  }
+
+  const secretKey = await getFlutterwaveSecretKey(merchantId);
+
+  const response = await axios.post(`${FLUTTERWAVE_API_URL}/transactions/${flutterwaveTransactionId}/refund`, {
+    amount
+  }, {
+    headers: {
+      'Authorization': `Bearer ${secretKey}`,
+      'Content-Type': 'application/json'
+    }
+  });
+
+  const refund = response.data.data;
+  const status = refund.status?.toLowerCase();
+
+  return {
+    providerRefundId: refund.id?.toString(),
+    status: status === 'completed' || status === 'successful' ? 'success' : status === 'failed' ? 'failed' : 'processing',
+    failureReason: status === 'failed' ? (response.data.message || 'Refund failed') : null,
+    providerResponse: { id: refund.id, status: refund.status }
+  };
+};
+
+/**
+ * Verifies a Flutterwave webhook's verif-hash header against the merchant's secret hash
+ * @param {string} merchantId - The merchant the webhook URL belongs to
+ * @param {string} verifHash - The verif-hash header
+ * @returns {Promise<void>}
+ */
+const verifyWebhookHash = async (merchantId, verifHash) => {
+  if (!verifHash) {
+    throw new Error('Missing Flutterwave verif-hash header');
+  }
+
+  const settingsDoc = await getDoc(doc(db, 'merchantSettings', merchantId));
+  const webhookHash = settingsDoc.exists() ? await decryptValue(settingsDoc.data().flutterwave?.webhookHash) : null;
+
+  if (!webhookHash) {
+    throw new Error(`Flutterwave webhook hash not configured for merchant ${merchantId}`);
+  }
+
+  const expected = Buffer.from(webhookHash.toString());
+  const received = Buffer.from(verifHash.toString());
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new Error('Invalid Flutterwave webhook hash');
+  }
+};
+
+/**
+ * Applies a verified Flutterwave transaction to the PayNow transaction it was made for
+ * @param {string} merchantId - The merchant's user ID
+ * @param {Object} flutterwaveTransaction - Transaction returned by Flutterwave's verify API
+ * @returns {Promise<void>}
+ */
+const applyVerifiedTransaction = async (merchantId, flutterwaveTransaction) => {
+  const { id, tx_ref: reference, flw_ref: flutterwaveReference, status, amount, currency, customer } = flutterwaveTransaction;
+  const transactionRef = doc(db, 'transactions', reference);
+  const transactionDoc = await getDoc(transactionRef);
+
+  if (!transactionDoc.exists() || transactionDoc.data().ownerUid !== merchantId) {
+    console.warn('No transaction found for Flutterwave reference:', reference);
+    return;
+  }
+
+  const transactionData = transactionDoc.data();
+
+  if (status === 'successful') {
+    await markPaymentSuccessful(reference, {
+      merchantId,
+      paidAmount: amount,
+      currency,
+      paymentProcessor: 'flutterwave',
+      receiptNumber: flutterwaveReference,
+      sourceEvent: `flutterwave:${id}`,
+      fee: Number(flutterwaveTransaction.app_fee || 0),
+      updates: {
+        flutterwaveTransactionId: id,
+        flutterwaveReference
+      },
+      payer: {
+        email: customer?.email,
+        phone: customer?.phone_number,
+        name: customer?.name
+      }
+    });
+    return;
+  }
+
+  if (status !== 'failed') {
+    return;
+  }
+
+  // A late failure must never downgrade a successful payment
+  if (!canTransitionTransaction(transactionData.status, 'failed')) {
+    console.log(`Transaction ${reference} already ${transactionData.status}, ignoring failure`);
+    return;
+  }
+
+  await transitionTransaction(reference, 'failed', {
+    actor: 'provider:flutterwave',
+    sourceEvent: `flutterwave:${id}`,
+    updates: {
+      flutterwaveTransactionId: id,
+      failureReason: flutterwaveTransaction.processor_response || 'Payment failed',
+      paymentProcessor: 'flutterwave'
+    }
+  });
+
+  console.log(`Transaction ${reference} marked as failed`);
+
+  await emitTransactionEvent('payment.failed', reference);
+};
+
+/**
+ * Handles Flutterwave webhook events. Webhook payloads are re-verified with the
+ * Flutterwave API before they are applied, as Flutterwave recommends.
+ * @param {string} merchantId - The merchant the webhook belongs to
+ * @param {Object} event - Flutterwave webhook event
+ * @returns {Promise<void>}
+ */
+const handleWebhookEvent = async (merchantId, event) => {
+  try {
+    const { event: eventType, data } = event;
+
+    // Flutterwave retries webhooks, so each event is only applied once
+    const eventId = data?.id ? `${eventType}_${data.id}_${data.status}` : null;
+
+    await processOnce('flutterwave', eventId, async () => {
+      switch (eventType) {
+        case 'charge.completed': {
+          const verified = await verifyTransaction(data.tx_ref, merchantId);
+          await applyVerifiedTransaction(merchantId, verified);
+          break;
+        }
+        default:
+          console.log(`Unhandled event type: ${eventType}`);
+      }
+    }, { eventType, merchantId });
+  } catch (error) {
+    console.error('Error handling Flutterwave webhook:', error);
+    throw error;
+  }
+};
+
+/**
+ * Flutterwave payment provider, registered in providerRegistry.js
+ */
+const provider = {
+  name: 'flutterwave',
+  initiate: async (merchantId, { transactionId, ...paymentData }) => {
+    const result = await initializePayment({ ...paymentData, reference: transactionId, merchantId });
+    return { reference: result.reference, authorizationUrl: result.link };
+  },
+  verify: async (merchantId, reference) => {
+    const result = await verifyTransaction(reference, merchantId);
+    let status = 'pending';
+    if (result.status === 'successful') {
+      status = 'success';
+    } else if (result.status === 'failed') {
+      status = 'failed';
+    }
+    return { status, providerResponse: result };
+  },
+  refund: (refund, transactionData) => refundTransaction({
+    merchantId: refund.merchantId,
+    flutterwaveTransactionId: transactionData.flutterwaveTransactionId,
+    amount: refund.amount
+  }),
+  parseWebhook: async ({ merchantId, headers, body }) => {
+    await verifyWebhookHash(merchantId, headers['verif-hash']);
+    return { merchantId, payload: body };
+  },
+  handleWebhook: (event) => handleWebhookEvent(event.merchantId, event.payload)
+};
+
+module.exports = {
+  provider,
+  initializePayment,
+  verifyTransaction,
+  applyVerifiedTransaction,
+  refundTransaction,
+  handleWebhookEvent,
+  verifyWebhookHash,
+  getFlutterwaveSecretKey,
+};
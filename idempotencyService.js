@@ -0,0 +1,269 @@
+const crypto = require('crypto');
+const { doc, runTransaction, updateDoc, deleteDoc, serverTimestamp, Timestamp } = require("firebase/firestore");
+const { db } = require("./firebase");
+
+// A claim older than this is assumed to belong to a handler that crashed, so it can be retried
+const STALE_CLAIM_MINUTES = 10;
+
+// How long the first response to an Idempotency-Key is kept and replayed
+const IDEMPOTENCY_KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10) || 24;
+
+// A request still holding its key after this long is assumed to have crashed, so a retry may take over
+const STALE_IDEMPOTENCY_LOCK_SECONDS = 60;
+
+/**
+ * Builds the document ID for a provider event
+ * @param {string} provider - The payment provider (mpesa, paystack, paypal, stripe)
+ * @param {string} eventId - The provider's event ID
+ * @returns {string} - Document ID
+ */
+const getEventDocId = (provider, eventId) => {
+  // Firestore document IDs can't contain slashes
+  return `${provider}_${eventId}`.replace(/\//g, '_');
+};
+
+/**
+ * Claims a provider event for processing
+ * @param {string} provider - The payment provider
+ * @param {string} eventId - The provider's event ID
+ * @param {Object} metadata - Extra fields stored with the event
+ * @returns {Promise<boolean>} - True if the caller should process the event
+ */
+const claimEvent = async (provider, eventId, metadata = {}) => {
+  const eventRef = doc(db, 'processedEvents', getEventDocId(provider, eventId));
+
+  return runTransaction(db, async (transaction) => {
+    const eventDoc = await transaction.get(eventRef);
+
+    if (eventDoc.exists()) {
+      const { status, claimedAt } = eventDoc.data();
+      const claimAge = claimedAt?.seconds ? Date.now() / 1000 - claimedAt.seconds : 0;
+
+      if (status === 'processed' || claimAge < STALE_CLAIM_MINUTES * 60) {
+        return false;
+      }
+    }
+
+    transaction.set(eventRef, {
+      provider,
+      eventId: eventId.toString(),
+      ...metadata,
+      status: 'processing',
+      claimedAt: serverTimestamp()
+    });
+
+    return true;
+  });
+};
+
+/**
+ * Marks a claimed provider event as processed
+ * @param {string} provider - The payment provider
+ * @param {string} eventId - The provider's event ID
+ * @returns {Promise<void>}
+ */
+const markEventProcessed = async (provider, eventId) => {
+  await updateDoc(doc(db, 'processedEvents', getEventDocId(provider, eventId)), {
+    status: 'processed',
+    processedAt: serverTimestamp()
+  });
+};
+
+/**
+ * Releases a claimed provider event so a retry can process it
+ * @param {string} provider - The payment provider
+ * @param {string} eventId - The provider's event ID
+ * @returns {Promise<void>}
+ */
+const releaseEvent = async (provider, eventId) => {
+  await deleteDoc(doc(db, 'processedEvents', getEventDocId(provider, eventId)));
+};
+
+/**
+ * Runs a handler for a provider event at most once
+ * @param {string} provider - The payment provider
+ * @param {string} eventId - The provider's event ID
+ * @param {Function} handler - Async function that applies the event
+ * @param {Object} metadata - Extra fields stored with the event
+ * @returns {Promise<*>} - The handler's result, or { duplicate: true } if the event was already applied
+ */
+const processOnce = async (provider, eventId, handler, metadata = {}) => {
+  // Without an event ID there is nothing to deduplicate on
+  if (!eventId) {
+    console.warn(`No event ID for ${provider} event, processing without idempotency check`);
+    return handler();
+  }
+
+  const claimed = await claimEvent(provider, eventId, metadata);
+
+  if (!claimed) {
+    console.log(`Skipping already processed ${provider} event:`, eventId);
+    return { duplicate: true };
+  }
+
+  try {
+    const result = await handler();
+    await markEventProcessed(provider, eventId);
+    return result;
+  } catch (error) {
+    try {
+      await releaseEvent(provider, eventId);
+    } catch (releaseError) {
+      console.error(`Error releasing ${provider} event ${eventId}:`, releaseError);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Serializes a value with its object keys sorted, so equal request bodies hash the same
+ * @param {*} value - The value to serialize
+ * @returns {string} - Canonical JSON
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+
+  return JSON.stringify(value ?? null);
+};
+
+/**
+ * Hashes a request, so a reused Idempotency-Key can be matched against the request it was first used for
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path
+ * @param {Object} body - Parsed request body
+ * @returns {string} - Hex SHA-256 of the method, path and canonical body
+ */
+const getRequestHash = (method, path, body) => {
+  return crypto.createHash('sha256')
+    .update(`${method} ${path}\n${canonicalJson(body || {})}`)
+    .digest('hex');
+};
+
+/**
+ * Claims an Idempotency-Key for a request, or finds the response already stored for it
+ * @param {string} merchantId - The merchant the request is for
+ * @param {string} key - The Idempotency-Key header
+ * @param {string} requestHash - Hash of the request's method, path and body
+ * @returns {Promise<Object>} - { claimed: true }, { response } for a completed key, or { conflict } if it can't be used
+ */
+const claimIdempotencyKey = async (merchantId, key, requestHash) => {
+  const keyRef = doc(db, 'idempotencyKeys', crypto.createHash('sha256').update(`${merchantId}:${key}`).digest('hex'));
+
+  return runTransaction(db, async (transaction) => {
+    const keyDoc = await transaction.get(keyRef);
+    const existing = keyDoc.exists() ? keyDoc.data() : null;
+
+    if (existing && existing.expiresAt.toMillis() > Date.now()) {
+      if (existing.requestHash !== requestHash) {
+        return { conflict: 'Idempotency-Key has already been used with a different request' };
+      }
+
+      if (existing.status === 'completed') {
+        return { response: existing.response };
+      }
+
+      const lockAge = existing.lockedAt?.seconds ? Date.now() / 1000 - existing.lockedAt.seconds : 0;
+      if (lockAge < STALE_IDEMPOTENCY_LOCK_SECONDS) {
+        return { conflict: 'A request with this Idempotency-Key is still being processed' };
+      }
+    }
+
+    transaction.set(keyRef, {
+      merchantId,
+      requestHash,
+      status: 'processing',
+      response: null,
+      lockedAt: serverTimestamp(),
+      createdAt: serverTimestamp(),
+      expiresAt: Timestamp.fromMillis(Date.now() + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000)
+    });
+
+    return { claimed: true, keyRef };
+  });
+};
+
+/**
+ * Express middleware that makes a route safe to retry with an Idempotency-Key header. The first
+ * response for a merchant and key is stored and replayed for repeats of the same request; reusing
+ * the key with a different request is rejected. Server errors aren't stored, so they can be retried.
+ * Must run after the merchant has been authenticated.
+ * @returns {Function} - Express middleware
+ */
+const idempotencyKey = () => async (req, res, next) => {
+  const key = req.headers['idempotency-key'];
+
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > 255) {
+    return res.status(400).json({
+      ResponseCode: "1",
+      errorMessage: "Idempotency-Key must be at most 255 characters"
+    });
+  }
+
+  try {
+    const requestHash = getRequestHash(req.method, req.path, req.body);
+
+    const claim = await claimIdempotencyKey(req.merchant.id, key, requestHash);
+
+    if (claim.conflict) {
+      return res.status(409).json({
+        ResponseCode: "1",
+        errorMessage: claim.conflict
+      });
+    }
+
+    if (claim.response) {
+      res.setHeader('Idempotent-Replayed', 'true');
+      return res.status(claim.response.statusCode).json(claim.response.body);
+    }
+
+    // Store whatever the route responds with before it is sent
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const storeResponse = res.statusCode >= 500
+        ? deleteDoc(claim.keyRef)
+        : updateDoc(claim.keyRef, {
+          status: 'completed',
+          // Firestore rejects undefined values, so the body is stored as plain JSON
+          response: { statusCode: res.statusCode, body: JSON.parse(JSON.stringify(body ?? null)) },
+          completedAt: serverTimestamp()
+        });
+
+      storeResponse.catch(error => {
+        console.error('Error storing idempotent response:', error);
+      });
+
+      return json(body);
+    };
+
+    next();
+  } catch (error) {
+    console.error('Error checking Idempotency-Key:', error);
+    res.status(500).json({
+      ResponseCode: "1",
+      errorMessage: "Failed to check Idempotency-Key"
+    });
+  }
+};
+
+module.exports = {
+  canonicalJson,
+  getRequestHash,
+  processOnce,
+  claimEvent,
+  markEventProcessed,
+  releaseEvent,
+  idempotencyKey
+};
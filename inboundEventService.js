@@ -0,0 +1,265 @@
+const { doc, getDoc, setDoc, updateDoc, collection, query, where, getDocs, increment, serverTimestamp } = require("firebase/firestore");
+const { db } = require("./firebase");
+const { getProvider } = require("./providerRegistry");
+
+// Request headers that aren't needed to replay an event and shouldn't be kept
+const UNSTORED_HEADERS = ['authorization', 'cookie'];
+
+// Request headers carrying a merchant's webhook secret, which is encrypted in merchantSettings.
+// They aren't kept, so events verified with them can only be replayed from their parsed form.
+const SECRET_HEADERS = ['verif-hash'];
+
+// Outcomes an inbound event can be replayed from. Events left 'received' were interrupted, e.g. by a restart.
+const REPLAYABLE_STATUSES = ['received', 'failed', 'rejected'];
+
+/**
+ * Stores a raw inbound provider request before anything else is done with it,
+ * so the payload survives a crash or a bug in its handler
+ * @param {string} provider - The payment provider the request came from
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - The stored event, with its ID
+ */
+const recordInboundEvent = async (provider, req) => {
+  const eventRef = doc(collection(db, 'inboundEvents'));
+
+  const headers = Object.fromEntries(Object.entries(req.headers)
+    .filter(([name]) => !UNSTORED_HEADERS.includes(name) && !SECRET_HEADERS.includes(name)));
+
+  const storedEvent = {
+    provider,
+    path: req.originalUrl,
+    params: { ...req.params },
+    merchantId: req.params.merchantId || null,
+    headers,
+    unstoredSecretHeaders: SECRET_HEADERS.filter(name => req.headers[name] !== undefined),
+    // The exact bytes are kept since signatures are computed over them
+    rawBody: req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body || {}),
+    // Only proxies allowed by the app's trust proxy setting can set the client IP
+    sourceIp: req.ip || null,
+    status: 'received',
+    parsedEvent: null,
+    attempts: 0,
+    error: null,
+    receivedAt: serverTimestamp()
+  };
+  await setDoc(eventRef, storedEvent);
+
+  return { id: eventRef.id, ...storedEvent };
+};
+
+/**
+ * Rebuilds the webhook request a provider's parseWebhook expects from a stored event
+ * @param {Object} storedEvent - The stored inbound event
+ * @returns {Object} - Merchant ID, params, headers, raw body and parsed body
+ */
+const buildWebhookRequest = (storedEvent) => {
+  let body;
+  try {
+    body = JSON.parse(storedEvent.rawBody);
+  } catch (error) {
+    body = {};
+  }
+
+  return {
+    merchantId: storedEvent.params?.merchantId,
+    params: storedEvent.params || {},
+    headers: storedEvent.headers || {},
+    rawBody: Buffer.from(storedEvent.rawBody || '', 'utf8'),
+    body
+  };
+};
+
+/**
+ * Verifies a stored event with its provider's parseWebhook. Verified events are stored in
+ * their parsed form so they can be replayed after signatures expire.
+ * @param {string} eventId - The inbound event ID
+ * @param {Object} storedEvent - The stored inbound event
+ * @returns {Promise<Object>} - The provider event
+ */
+const verifyStoredEvent = async (eventId, storedEvent) => {
+  const eventRef = doc(db, 'inboundEvents', eventId);
+
+  let event;
+  try {
+    event = await getProvider(storedEvent.provider).parseWebhook(buildWebhookRequest(storedEvent));
+  } catch (error) {
+    await updateDoc(eventRef, {
+      status: 'rejected',
+      error: error.message,
+      updatedAt: serverTimestamp()
+    });
+    throw error;
+  }
+
+  await updateDoc(eventRef, {
+    // Firestore rejects undefined values, so the event is stored as plain JSON
+    parsedEvent: JSON.parse(JSON.stringify(event)),
+    verifiedAt: serverTimestamp(),
+    updatedAt: serverTimestamp()
+  });
+
+  return event;
+};
+
+/**
+ * Records an inbound provider request and verifies it. Routes respond to verification
+ * failures as the provider expects, then pass the result to applyInboundEvent.
+ * @param {string} provider - The payment provider the request came from
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - The inbound event ID and the provider event
+ */
+const receiveInboundEvent = async (provider, req) => {
+  const storedEvent = await recordInboundEvent(provider, req);
+  const event = await verifyStoredEvent(storedEvent.id, storedEvent);
+
+  return { eventId: storedEvent.id, provider, event };
+};
+
+/**
+ * Runs a verified event through its provider's handler and records the outcome
+ * @param {Object} inboundEvent - The inbound event ID, provider and provider event
+ * @returns {Promise<void>}
+ */
+const applyInboundEvent = async ({ eventId, provider, event }) => {
+  const eventRef = doc(db, 'inboundEvents', eventId);
+
+  try {
+    await getProvider(provider).handleWebhook(event);
+  } catch (error) {
+    await updateDoc(eventRef, {
+      status: 'failed',
+      error: error.message,
+      errorStack: error.stack || null,
+      attempts: increment(1),
+      lastAttemptAt: serverTimestamp(),
+      updatedAt: serverTimestamp()
+    });
+    throw error;
+  }
+
+  await updateDoc(eventRef, {
+    status: 'processed',
+    error: null,
+    errorStack: null,
+    attempts: increment(1),
+    lastAttemptAt: serverTimestamp(),
+    processedAt: serverTimestamp(),
+    updatedAt: serverTimestamp()
+  });
+};
+
+/**
+ * Gets a stored inbound event
+ * @param {string} eventId - The inbound event ID
+ * @returns {Promise<Object>} - The stored event
+ */
+const getInboundEvent = async (eventId) => {
+  const eventDoc = await getDoc(doc(db, 'inboundEvents', eventId));
+
+  if (!eventDoc.exists()) {
+    throw new Error('Inbound event not found');
+  }
+
+  return { id: eventDoc.id, ...eventDoc.data() };
+};
+
+/**
+ * Lists stored inbound events, oldest first
+ * @param {Object} [filters] - Status (default 'failed'), provider, received from/to dates and maximum results
+ * @returns {Promise<Array<Object>>} - Events, without their raw bodies
+ */
+const listInboundEvents = async ({ status = 'failed', provider, from, to, maxResults = 100 } = {}) => {
+  const fromMillis = from ? new Date(from).getTime() : null;
+  const toMillis = to ? new Date(to).getTime() : null;
+
+  if (Number.isNaN(fromMillis) || Number.isNaN(toMillis)) {
+    throw new Error('Invalid date range');
+  }
+
+  const eventsQuery = query(
+    collection(db, 'inboundEvents'),
+    where('status', '==', status),
+    ...(provider ? [where('provider', '==', provider)] : [])
+  );
+  const snapshot = await getDocs(eventsQuery);
+
+  return snapshot.docs
+    .map(eventDoc => {
+      const { rawBody, parsedEvent, errorStack, ...event } = eventDoc.data();
+      return { id: eventDoc.id, ...event };
+    })
+    .filter(event => {
+      const receivedAt = event.receivedAt?.toMillis() || 0;
+      return (fromMillis === null || receivedAt >= fromMillis) && (toMillis === null || receivedAt <= toMillis);
+    })
+    .sort((a, b) => (a.receivedAt?.toMillis() || 0) - (b.receivedAt?.toMillis() || 0))
+    .slice(0, Math.min(Number(maxResults) || 100, 1000));
+};
+
+/**
+ * Replays a failed, rejected or interrupted event through its provider's handler. Events that were verified
+ * when they arrived are replayed from their parsed form; rejected events are verified again, unless
+ * the header they were verified with wasn't kept.
+ * Handlers are idempotent, so replaying an event that was partly applied is safe.
+ * @param {string} eventId - The inbound event ID
+ * @param {string} [replayedBy] - Who replayed it, e.g. the admin's user ID
+ * @returns {Promise<Object>} - The event ID and its new status and error
+ */
+const replayInboundEvent = async (eventId, replayedBy = null) => {
+  const storedEvent = await getInboundEvent(eventId);
+
+  if (!REPLAYABLE_STATUSES.includes(storedEvent.status)) {
+    throw new Error(`Inbound event ${eventId} is ${storedEvent.status} and can't be replayed`);
+  }
+
+  if (!storedEvent.parsedEvent && storedEvent.unstoredSecretHeaders?.length) {
+    throw new Error(`Inbound event ${eventId} was never verified and can't be verified again, since its ${storedEvent.unstoredSecretHeaders.join(', ')} header wasn't kept`);
+  }
+
+  await updateDoc(doc(db, 'inboundEvents', eventId), {
+    replayCount: increment(1),
+    lastReplayedAt: serverTimestamp(),
+    lastReplayedBy: replayedBy
+  });
+
+  try {
+    const event = storedEvent.parsedEvent || await verifyStoredEvent(eventId, storedEvent);
+    await applyInboundEvent({ eventId, provider: storedEvent.provider, event });
+    return { eventId, status: 'processed', error: null };
+  } catch (error) {
+    const { status } = await getInboundEvent(eventId);
+    return { eventId, status, error: error.message };
+  }
+};
+
+/**
+ * Replays several events in the order they were received: either the given IDs, or every
+ * event matching the filters accepted by listInboundEvents
+ * @param {Object} selection - eventIds, or status, provider, from, to and maxResults
+ * @param {string} [replayedBy] - Who replayed them
+ * @returns {Promise<Array<Object>>} - The outcome for each event
+ */
+const replayInboundEvents = async ({ eventIds, ...filters }, replayedBy = null) => {
+  const ids = eventIds?.length ? eventIds : (await listInboundEvents(filters)).map(event => event.id);
+  const results = [];
+
+  // One at a time, since later events for a payment often depend on earlier ones
+  for (const eventId of ids) {
+    try {
+      results.push(await replayInboundEvent(eventId, replayedBy));
+    } catch (error) {
+      results.push({ eventId, status: null, error: error.message });
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  receiveInboundEvent,
+  applyInboundEvent,
+  getInboundEvent,
+  listInboundEvents,
+  replayInboundEvent,
+  replayInboundEvents
+};
@@ -3,8 +3,9 @@ const fs = require('fs');
 const path = require('path');
 const { getStorage } = require('firebase-admin/storage');
 const admin = require('firebase-admin');
-const { doc, setDoc, collection, serverTimestamp } = require('firebase/firestore');
+const { doc, getDoc, setDoc, updateDoc, collection, serverTimestamp } = require('firebase/firestore');
 const { db } = require('./firebase');
+const { emitWebhookEvent } = require('./webhookService');
 
 // Initialize Firebase Admin if not already initialized
 let adminApp;
@@ -218,6 +219,17 @@ const storeInvoiceReference = async (transactionData, invoiceUrl, storagePath) =
     
     // Add to invoices collection
     await setDoc(doc(db, 'invoices', transactionData.id), invoiceData);
+
+    await emitWebhookEvent(transactionData.ownerUid, 'invoice.created', {
+      id: transactionData.id,
+      transactionId: transactionData.id,
+      amount: invoiceData.amount,
+      currency: invoiceData.currency,
+      description: invoiceData.description,
+      customerName: invoiceData.customerName,
+      customerEmail: invoiceData.customerEmail,
+      invoiceUrl
+    });
     
     // Update transaction with invoice URL
     await setDoc(doc(db, 'transactions', transactionData.id), {
@@ -257,6 +269,14 @@ const storeCustomerInformation = async (transactionData) => {
     
     console.log(`Checking for customer with ID: ${customerId} for merchant: ${merchantId}`);
     
+    // Skip transactions already counted, so retried callbacks and the invoice step
+    // don't add the same payment to the customer's totals twice
+    const historyDoc = await getDoc(doc(collection(customerRef, 'transactions'), transactionData.id));
+    if (historyDoc.exists()) {
+      console.log(`Transaction ${transactionData.id} already recorded for customer ${customerId}`);
+      return;
+    }
+    
     const customerData = {
       name: transactionData.payerName || 'Customer',
       lastTransactionDate: serverTimestamp(),
@@ -332,6 +352,98 @@ const storeCustomerInformation = async (transactionData) => {
   }
 };
 
+/**
+ * Reduce a customer's spend stats after money has been returned on a transaction
+ * @param {Object} transactionData - The transaction data (including id)
+ * @param {Object} adjustment - The adjustment to apply
+ * @param {number} adjustment.amount - The amount returned to the customer
+ * @param {string} adjustment.status - The transaction's new status (e.g. reversed, partially_reversed)
+ * @param {boolean} adjustment.fullReversal - Whether the whole transaction was returned
+ */
+const adjustCustomerSpend = async (transactionData, { amount, status, fullReversal }) => {
+  try {
+    if (!transactionData.payerPhone && !transactionData.payerEmail) {
+      console.log('No customer phone number or email provided, skipping customer adjustment');
+      return;
+    }
+    
+    const customerId = transactionData.payerPhone || transactionData.payerEmail;
+    const customerRef = doc(db, 'merchants', transactionData.ownerUid, 'customers', customerId);
+    const customerDoc = await getDoc(customerRef);
+    
+    if (!customerDoc.exists()) {
+      console.log(`No customer ${customerId} found, skipping customer adjustment`);
+      return;
+    }
+    
+    const existing = customerDoc.data();
+    const customerData = {
+      totalSpent: Math.max((existing.totalSpent || 0) - amount, 0),
+      updatedAt: serverTimestamp(),
+    };
+    
+    if (fullReversal) {
+      customerData.totalTransactions = Math.max((existing.totalTransactions || 0) - 1, 0);
+    }
+    
+    // Keep the per payment method stats in line with the totals
+    const processor = transactionData.paymentProcessor;
+    if (processor && existing.paymentMethods?.[processor]) {
+      const paymentStats = { ...existing.paymentMethods };
+      paymentStats[processor] = {
+        ...paymentStats[processor],
+        count: Math.max((paymentStats[processor].count || 0) - (fullReversal ? 1 : 0), 0),
+        totalSpent: Math.max((paymentStats[processor].totalSpent || 0) - amount, 0),
+      };
+      customerData.paymentMethods = paymentStats;
+    }
+    
+    await setDoc(customerRef, customerData, { merge: true });
+    
+    // Update the transaction in the customer's history
+    const historyRef = doc(collection(customerRef, 'transactions'), transactionData.id);
+    const historyDoc = await getDoc(historyRef);
+    if (historyDoc.exists()) {
+      await updateDoc(historyRef, {
+        status,
+        returnedAmount: (historyDoc.data().returnedAmount || 0) + amount,
+        updatedAt: serverTimestamp()
+      });
+    }
+    
+    console.log(`Customer spend adjusted for ${customerId}`);
+  } catch (error) {
+    console.error('Error adjusting customer spend:', error);
+    // Don't throw error, the money has already been returned
+  }
+};
+
+/**
+ * Update the status of a transaction's invoice
+ * @param {string} transactionId - The transaction ID
+ * @param {Object} statusData - The new status and any extra fields to store
+ */
+const updateInvoiceStatus = async (transactionId, statusData) => {
+  try {
+    const invoiceRef = doc(db, 'invoices', transactionId);
+    const invoiceDoc = await getDoc(invoiceRef);
+    
+    if (!invoiceDoc.exists()) {
+      console.log(`No invoice found for transaction ${transactionId}`);
+      return;
+    }
+    
+    await updateDoc(invoiceRef, {
+      ...statusData,
+      updatedAt: serverTimestamp()
+    });
+    
+    console.log(`Invoice status updated for transaction ${transactionId}`);
+  } catch (error) {
+    console.error('Error updating invoice status:', error);
+  }
+};
+
 /**
  * Send invoice by email
  * @param {Object} transactionData - The transaction data
@@ -391,5 +503,7 @@ const processTransactionInvoice = async (transactionData) => {
 module.exports = {
   generateInvoicePDF,
   processTransactionInvoice,
-  storeCustomerInformation
+  storeCustomerInformation,
+  adjustCustomerSpend,
+  updateInvoiceStatus
 };
@@ -0,0 +1,622 @@
+const { doc, collection, query, where, getDocs, runTransaction, increment, serverTimestamp, Timestamp } = require("firebase/firestore");
+const { db } = require("./firebase");
+
+// How long captured payments stay pending before they count towards the merchant's available balance
+const SETTLEMENT_DELAY_HOURS = parseInt(process.env.LEDGER_SETTLEMENT_HOURS, 10) || 48;
+
+// The balances kept for each merchant and currency
+const MERCHANT_BUCKETS = ['available', 'pending', 'reserved'];
+
+/**
+ * Converts an amount to hundredths of the currency unit. Ledger amounts are stored this way so sums are exact.
+ * @param {number|string} amount - The amount
+ * @returns {number} - The amount in hundredths
+ */
+const toMinorUnits = (amount) => Math.round(Number(amount || 0) * 100);
+
+/**
+ * Converts a stored ledger amount back to the currency unit
+ * @param {number} units - The amount in hundredths
+ * @returns {number} - The amount
+ */
+const fromMinorUnits = (units) => units / 100;
+
+/**
+ * Normalizes a currency code, defaulting to KES like the rest of PayNow
+ * @param {string} currency - The currency code
+ * @returns {string} - Upper case currency code
+ */
+const normalizeCurrency = (currency) => (currency || 'KES').toUpperCase();
+
+/**
+ * Gets the ID of one of a merchant's balance accounts
+ * @param {string} merchantId - The merchant's user ID
+ * @param {string} bucket - available, pending or reserved
+ * @param {string} currency - The currency code
+ * @returns {string} - Account ID
+ */
+const merchantAccount = (merchantId, bucket, currency) => `merchant:${merchantId}:${bucket}:${normalizeCurrency(currency)}`;
+
+/**
+ * Gets the ID of the account for money held by a payment provider
+ * @param {string} provider - The payment processor
+ * @param {string} currency - The currency code
+ * @returns {string} - Account ID
+ */
+const providerAccount = (provider, currency) => `provider:${provider || 'unknown'}:clearing:${normalizeCurrency(currency)}`;
+
+/**
+ * Describes an account from its ID. Merchant accounts are owed to the merchant, so credits increase them;
+ * provider accounts hold the money, so debits increase them.
+ * @param {string} accountId - The account ID
+ * @returns {Object} - Owner type and ID, bucket, currency and normal side
+ */
+const describeAccount = (accountId) => {
+  const [ownerType, ownerId, bucket, currency] = accountId.split(':');
+  return { ownerType, ownerId, bucket, currency, normalSide: ownerType === 'merchant' ? 'credit' : 'debit' };
+};
+
+/**
+ * Builds the two lines of a journal that moves an amount from one account to another
+ * @param {string} debitAccount - The account debited
+ * @param {string} creditAccount - The account credited
+ * @param {number} units - The amount in hundredths
+ * @returns {Array<Object>} - Journal lines
+ */
+const transfer = (debitAccount, creditAccount, units) => [
+  { account: debitAccount, side: 'debit', amount: units },
+  { account: creditAccount, side: 'credit', amount: units }
+];
+
+/**
+ * Adds up a journal's debits and credits
+ * @param {Array<Object>} lines - Journal lines
+ * @returns {Object} - Total debits and credits in hundredths
+ */
+const sumLines = (lines) => lines.reduce((totals, line) => {
+  totals[line.side === 'debit' ? 'debits' : 'credits'] += line.amount;
+  return totals;
+}, { debits: 0, credits: 0 });
+
+/**
+ * Writes journals and their account totals inside a Firestore transaction. Callers make sure
+ * each journal is only written once, usually by giving it an ID derived from what it records.
+ * @param {Object} transaction - The Firestore transaction
+ * @param {Array<Array>} journals - [journal ID, journal] pairs; each journal has a type, merchant, currency, references, description and lines
+ */
+const writeJournals = (transaction, journals) => {
+  const accountTotals = new Map();
+
+  for (const [journalId, journal] of journals) {
+    if (journal.lines.some(line => !Number.isInteger(line.amount) || line.amount <= 0)) {
+      throw new Error(`Ledger journal ${journalId} has an invalid amount`);
+    }
+
+    const { debits, credits } = sumLines(journal.lines);
+    if (debits !== credits) {
+      throw new Error(`Ledger journal ${journalId} doesn't balance: ${debits} debited, ${credits} credited`);
+    }
+
+    transaction.set(doc(db, 'ledgerJournals', journalId), {
+      ...journal,
+      amount: debits,
+      createdAt: serverTimestamp()
+    });
+
+    for (const line of journal.lines) {
+      const totals = accountTotals.get(line.account) || { debits: 0, credits: 0 };
+      totals[line.side === 'debit' ? 'debits' : 'credits'] += line.amount;
+      accountTotals.set(line.account, totals);
+    }
+  }
+
+  // Lines on the same account are combined so each account is written once per transaction
+  for (const [accountId, totals] of accountTotals) {
+    transaction.set(doc(db, 'ledgerAccounts', accountId), {
+      ...describeAccount(accountId),
+      debits: increment(totals.debits),
+      credits: increment(totals.credits),
+      updatedAt: serverTimestamp()
+    }, { merge: true });
+  }
+};
+
+/**
+ * Writes one journal inside a Firestore transaction
+ * @param {Object} transaction - The Firestore transaction
+ * @param {string} journalId - The journal ID
+ * @param {Object} journal - Type, merchant, currency, references, description and lines
+ */
+const writeJournal = (transaction, journalId, journal) => writeJournals(transaction, [[journalId, journal]]);
+
+/**
+ * Posts a journal in its own Firestore transaction, unless one with the same ID already exists
+ * @param {string} journalId - The journal ID
+ * @param {Object} journal - Type, merchant, currency, references, description and lines
+ * @param {Array<string>} [conflictingIds] - Other journals that mean this one must not be posted
+ * @returns {Promise<boolean>} - Whether the journal was posted
+ */
+const postJournal = async (journalId, journal, conflictingIds = []) => {
+  return runTransaction(db, async (transaction) => {
+    for (const id of [journalId, ...conflictingIds]) {
+      if ((await transaction.get(doc(db, 'ledgerJournals', id))).exists()) {
+        return false;
+      }
+    }
+
+    writeJournal(transaction, journalId, journal);
+    return true;
+  });
+};
+
+/**
+ * Records a successful payment as pending funds for the merchant, less any fee the provider kept
+ * @param {string} transactionId - The transaction ID
+ * @param {Object} transactionData - The transaction, with its owner, amount, currency and processor
+ * @param {Object} [options] - The provider's fee, if it reported one
+ * @returns {Promise<boolean>} - Whether the payment was recorded, false if it already was
+ */
+const recordPayment = async (transactionId, transactionData, { fee = 0 } = {}) => {
+  const merchantId = transactionData.ownerUid;
+  if (!merchantId) {
+    throw new Error(`Transaction ${transactionId} has no merchant to record the payment for`);
+  }
+
+  const currency = normalizeCurrency(transactionData.currency);
+  const provider = transactionData.paymentProcessor || 'unknown';
+  const amount = toMinorUnits(transactionData.amount);
+  const feeAmount = Math.min(toMinorUnits(fee), amount);
+  const pendingAccount = merchantAccount(merchantId, 'pending', currency);
+  const clearingAccount = providerAccount(provider, currency);
+  const paymentJournalId = `payment_${transactionId}`;
+
+  return runTransaction(db, async (transaction) => {
+    if ((await transaction.get(doc(db, 'ledgerJournals', paymentJournalId))).exists()) {
+      return false;
+    }
+
+    const journals = [[paymentJournalId, {
+      type: 'payment',
+      merchantId,
+      currency,
+      provider,
+      transactionId,
+      description: transactionData.description || 'Payment',
+      lines: transfer(clearingAccount, pendingAccount, amount),
+      netAmount: amount - feeAmount,
+      settleAt: Timestamp.fromMillis(Date.now() + SETTLEMENT_DELAY_HOURS * 60 * 60 * 1000),
+      settled: false
+    }]];
+
+    if (feeAmount > 0) {
+      journals.push([`fee_${transactionId}`, {
+        type: 'fee',
+        merchantId,
+        currency,
+        provider,
+        transactionId,
+        description: `${provider} fee`,
+        lines: transfer(pendingAccount, clearingAccount, feeAmount)
+      }]);
+    }
+
+    writeJournals(transaction, journals);
+    return true;
+  });
+};
+
+/**
+ * Moves payments whose settlement delay has passed from the merchant's pending balance to available
+ * @returns {Promise<Array<string>>} - IDs of the transactions settled
+ */
+const settleDuePayments = async () => {
+  const snapshot = await getDocs(query(
+    collection(db, 'ledgerJournals'),
+    where('type', '==', 'payment'),
+    where('settled', '==', false)
+  ));
+  const now = Date.now();
+  const settled = [];
+
+  for (const journalDoc of snapshot.docs) {
+    const payment = journalDoc.data();
+
+    if ((payment.settleAt?.toMillis() || 0) > now) {
+      continue;
+    }
+
+    try {
+      const applied = await runTransaction(db, async (transaction) => {
+        const current = await transaction.get(journalDoc.ref);
+        if (current.data().settled) {
+          return false;
+        }
+
+        transaction.update(journalDoc.ref, { settled: true, settledAt: serverTimestamp() });
+
+        // A payment whose fee took all of it leaves nothing to settle
+        if (payment.netAmount > 0) {
+          writeJournal(transaction, `settlement_${payment.transactionId}`, {
+            type: 'settlement',
+            merchantId: payment.merchantId,
+            currency: payment.currency,
+            provider: payment.provider,
+            transactionId: payment.transactionId,
+            description: 'Settlement',
+            lines: transfer(
+              merchantAccount(payment.merchantId, 'pending', payment.currency),
+              merchantAccount(payment.merchantId, 'available', payment.currency),
+              payment.netAmount
+            )
+          });
+        }
+
+        return true;
+      });
+
+      if (applied) {
+        settled.push(payment.transactionId);
+      }
+    } catch (error) {
+      console.error(`Error settling payment ${payment.transactionId}:`, error);
+    }
+  }
+
+  return settled;
+};
+
+/**
+ * Holds a refund's amount out of the merchant's available balance while the provider processes it.
+ * Runs inside the transaction that creates the refund.
+ * @param {Object} transaction - The Firestore transaction
+ * @param {string} refundId - The refund ID
+ * @param {Object} refund - The refund record
+ */
+const recordRefundReserved = (transaction, refundId, refund) => {
+  writeJournal(transaction, `refund_reserved_${refundId}`, {
+    type: 'refund_reserved',
+    merchantId: refund.merchantId,
+    currency: normalizeCurrency(refund.currency),
+    provider: refund.paymentProcessor,
+    transactionId: refund.transactionId,
+    refundId,
+    description: 'Refund reserved',
+    lines: transfer(
+      merchantAccount(refund.merchantId, 'available', refund.currency),
+      merchantAccount(refund.merchantId, 'reserved', refund.currency),
+      toMinorUnits(refund.amount)
+    )
+  });
+};
+
+/**
+ * Records a refund's final outcome: a successful refund leaves through the provider, and a failed
+ * one releases its reserved amount. Runs inside the transaction that completes the refund.
+ * @param {Object} transaction - The Firestore transaction
+ * @param {string} refundId - The refund ID
+ * @param {Object} refund - The refund record
+ * @param {string} status - 'success' or 'failed'
+ */
+const recordRefundCompleted = (transaction, refundId, refund, status) => {
+  const currency = normalizeCurrency(refund.currency);
+  const amount = toMinorUnits(refund.amount);
+  const availableAccount = merchantAccount(refund.merchantId, 'available', currency);
+  const reservedAccount = merchantAccount(refund.merchantId, 'reserved', currency);
+  const journal = {
+    merchantId: refund.merchantId,
+    currency,
+    provider: refund.paymentProcessor,
+    transactionId: refund.transactionId,
+    refundId
+  };
+
+  if (status === 'success') {
+    // Refunds made at the provider, or created before the ledger, were never reserved
+    writeJournal(transaction, `refund_${refundId}`, {
+      ...journal,
+      type: 'refund',
+      description: refund.reason || 'Refund',
+      lines: transfer(refund.ledgerReserved ? reservedAccount : availableAccount, providerAccount(refund.paymentProcessor, currency), amount)
+    });
+    return;
+  }
+
+  if (refund.ledgerReserved) {
+    writeJournal(transaction, `refund_released_${refundId}`, {
+      ...journal,
+      type: 'refund_released',
+      description: 'Failed refund released',
+      lines: transfer(reservedAccount, availableAccount, amount)
+    });
+  }
+};
+
+/**
+ * Records money a provider took back from a payment, e.g. a chargeback or an M-Pesa reversal
+ * @param {string} transactionId - The transaction ID
+ * @param {Object} transactionData - The transaction
+ * @param {Object} reversal - The provider's reversal ID and the amount reversed
+ * @returns {Promise<boolean>} - Whether the reversal was recorded, false if it already was
+ */
+const recordReversal = async (transactionId, transactionData, { reversalId, amount }) => {
+  const merchantId = transactionData.ownerUid;
+  if (!merchantId) {
+    throw new Error(`Transaction ${transactionId} has no merchant to record the reversal for`);
+  }
+
+  const currency = normalizeCurrency(transactionData.currency);
+
+  return postJournal(`reversal_${transactionId}_${reversalId}`, {
+    type: 'reversal',
+    merchantId,
+    currency,
+    provider: transactionData.paymentProcessor || 'unknown',
+    transactionId,
+    reversalId,
+    description: 'Reversal',
+    lines: transfer(
+      merchantAccount(merchantId, 'available', currency),
+      providerAccount(transactionData.paymentProcessor, currency),
+      toMinorUnits(amount)
+    )
+  });
+};
+
+/**
+ * Holds a payout's amount out of the merchant's available balance until the provider reports its result
+ * @param {string} payoutId - The payout ID
+ * @param {Object} payout - The payout record
+ * @returns {Promise<boolean>} - Whether the reservation was recorded
+ */
+const recordPayoutReserved = async (payoutId, payout) => {
+  return postJournal(`payout_reserved_${payoutId}`, {
+    type: 'payout_reserved',
+    merchantId: payout.merchantId,
+    currency: normalizeCurrency(payout.currency),
+    provider: 'mpesa',
+    payoutId,
+    description: 'Payout reserved',
+    lines: transfer(
+      merchantAccount(payout.merchantId, 'available', payout.currency),
+      merchantAccount(payout.merchantId, 'reserved', payout.currency),
+      toMinorUnits(payout.amount)
+    )
+  });
+};
+
+/**
+ * Records a payout's final outcome: a successful payout leaves through the provider, and a failed
+ * one releases its reserved amount. Only the first outcome reported for a payout is recorded.
+ * @param {string} payoutId - The payout ID
+ * @param {Object} payout - The payout record
+ * @param {boolean} succeeded - Whether the payout went through
+ * @returns {Promise<boolean>} - Whether the outcome was recorded
+ */
+const recordPayoutCompleted = async (payoutId, payout, succeeded) => {
+  const currency = normalizeCurrency(payout.currency);
+  const amount = toMinorUnits(payout.amount);
+  const reservedAccount = merchantAccount(payout.merchantId, 'reserved', currency);
+  const journal = {
+    merchantId: payout.merchantId,
+    currency,
+    provider: 'mpesa',
+    payoutId
+  };
+
+  if (succeeded) {
+    return postJournal(`payout_${payoutId}`, {
+      ...journal,
+      type: 'payout',
+      description: payout.remarks || 'Payout',
+      lines: transfer(reservedAccount, providerAccount('mpesa', currency), amount)
+    }, [`payout_released_${payoutId}`]);
+  }
+
+  return postJournal(`payout_released_${payoutId}`, {
+    ...journal,
+    type: 'payout_released',
+    description: 'Failed payout released',
+    lines: transfer(reservedAccount, merchantAccount(payout.merchantId, 'available', currency), amount)
+  }, [`payout_${payoutId}`]);
+};
+
+/**
+ * Gets a merchant's available, pending and reserved balances in each currency they have taken payments in
+ * @param {string} merchantId - The merchant's user ID
+ * @returns {Promise<Array<Object>>} - Balances by currency
+ */
+const getMerchantBalances = async (merchantId) => {
+  const snapshot = await getDocs(query(
+    collection(db, 'ledgerAccounts'),
+    where('ownerType', '==', 'merchant'),
+    where('ownerId', '==', merchantId)
+  ));
+  const balances = {};
+
+  for (const accountDoc of snapshot.docs) {
+    const { bucket, currency, debits = 0, credits = 0 } = accountDoc.data();
+    balances[currency] = balances[currency] || { currency, available: 0, pending: 0, reserved: 0 };
+    balances[currency][bucket] = fromMinorUnits(credits - debits);
+  }
+
+  return Object.values(balances);
+};
+
+/**
+ * Works out how a journal changed a merchant's balances
+ * @param {Object} journal - The journal
+ * @param {string} merchantId - The merchant's user ID
+ * @returns {Object} - Change to each balance, in hundredths
+ */
+const getBalanceChanges = (journal, merchantId) => {
+  const changes = Object.fromEntries(MERCHANT_BUCKETS.map(bucket => [bucket, 0]));
+
+  for (const line of journal.lines) {
+    const { ownerType, ownerId, bucket } = describeAccount(line.account);
+    if (ownerType === 'merchant' && ownerId === merchantId) {
+      changes[bucket] += line.side === 'credit' ? line.amount : -line.amount;
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * Builds a merchant's statement for one currency: their opening and closing balances for the period
+ * and every ledger entry in between, with the running balances after each one
+ * @param {string} merchantId - The merchant's user ID
+ * @param {Object} [options] - Currency (default KES) and from/to dates
+ * @returns {Promise<Object>} - The statement
+ */
+const getMerchantStatement = async (merchantId, { currency, from, to } = {}) => {
+  const fromMillis = from ? new Date(from).getTime() : null;
+  const toMillis = to ? new Date(to).getTime() : null;
+
+  if (Number.isNaN(fromMillis) || Number.isNaN(toMillis)) {
+    throw new Error('Invalid date range');
+  }
+
+  const statementCurrency = normalizeCurrency(currency);
+  const snapshot = await getDocs(query(
+    collection(db, 'ledgerJournals'),
+    where('merchantId', '==', merchantId)
+  ));
+
+  const journals = snapshot.docs
+    .map(journalDoc => ({ id: journalDoc.id, ...journalDoc.data() }))
+    .filter(journal => journal.currency === statementCurrency)
+    .sort((a, b) => (a.createdAt?.toMillis() || 0) - (b.createdAt?.toMillis() || 0));
+
+  const zeroBalances = () => Object.fromEntries(MERCHANT_BUCKETS.map(bucket => [bucket, 0]));
+  const toBalances = (units) => Object.fromEntries(MERCHANT_BUCKETS.map(bucket => [bucket, fromMinorUnits(units[bucket])]));
+  const opening = zeroBalances();
+  const running = zeroBalances();
+  const entries = [];
+
+  for (const journal of journals) {
+    const createdAt = journal.createdAt?.toMillis() || 0;
+
+    if (toMillis !== null && createdAt > toMillis) {
+      break;
+    }
+
+    const changes = getBalanceChanges(journal, merchantId);
+    MERCHANT_BUCKETS.forEach(bucket => { running[bucket] += changes[bucket]; });
+
+    // Entries before the period only count towards its opening balances
+    if (fromMillis !== null && createdAt < fromMillis) {
+      MERCHANT_BUCKETS.forEach(bucket => { opening[bucket] += changes[bucket]; });
+      continue;
+    }
+
+    entries.push({
+      id: journal.id,
+      type: journal.type,
+      description: journal.description,
+      transactionId: journal.transactionId || null,
+      refundId: journal.refundId || null,
+      payoutId: journal.payoutId || null,
+      provider: journal.provider || null,
+      amount: fromMinorUnits(journal.amount),
+      changes: toBalances(changes),
+      balances: toBalances(running),
+      createdAt: journal.createdAt?.toDate().toISOString() || null
+    });
+  }
+
+  return {
+    merchantId,
+    currency: statementCurrency,
+    from: from || null,
+    to: to || null,
+    openingBalances: toBalances(opening),
+    closingBalances: toBalances(running),
+    entries
+  };
+};
+
+/**
+ * Checks that every journal balances, that debits equal credits across the ledger,
+ * and that each account's stored totals match the journals posted to it
+ * @returns {Promise<Object>} - Whether the ledger is consistent, its totals and any problems found
+ */
+const checkLedgerIntegrity = async () => {
+  const [journalSnapshot, accountSnapshot] = await Promise.all([
+    getDocs(collection(db, 'ledgerJournals')),
+    getDocs(collection(db, 'ledgerAccounts'))
+  ]);
+
+  const expectedTotals = new Map();
+  const unbalancedJournals = [];
+  let totalDebits = 0;
+  let totalCredits = 0;
+
+  for (const journalDoc of journalSnapshot.docs) {
+    const lines = journalDoc.data().lines || [];
+    const { debits, credits } = sumLines(lines);
+
+    totalDebits += debits;
+    totalCredits += credits;
+
+    if (debits !== credits) {
+      unbalancedJournals.push({ id: journalDoc.id, debits: fromMinorUnits(debits), credits: fromMinorUnits(credits) });
+    }
+
+    for (const line of lines) {
+      const totals = expectedTotals.get(line.account) || { debits: 0, credits: 0 };
+      totals[line.side === 'debit' ? 'debits' : 'credits'] += line.amount;
+      expectedTotals.set(line.account, totals);
+    }
+  }
+
+  const mismatchedAccounts = [];
+
+  for (const accountDoc of accountSnapshot.docs) {
+    const { debits = 0, credits = 0 } = accountDoc.data();
+    const expected = expectedTotals.get(accountDoc.id) || { debits: 0, credits: 0 };
+    expectedTotals.delete(accountDoc.id);
+
+    if (debits !== expected.debits || credits !== expected.credits) {
+      mismatchedAccounts.push({
+        account: accountDoc.id,
+        recorded: { debits: fromMinorUnits(debits), credits: fromMinorUnits(credits) },
+        expected: { debits: fromMinorUnits(expected.debits), credits: fromMinorUnits(expected.credits) }
+      });
+    }
+  }
+
+  // Journals posted to accounts that have no stored totals at all
+  for (const [accountId, expected] of expectedTotals) {
+    mismatchedAccounts.push({
+      account: accountId,
+      recorded: null,
+      expected: { debits: fromMinorUnits(expected.debits), credits: fromMinorUnits(expected.credits) }
+    });
+  }
+
+  return {
+    ok: totalDebits === totalCredits && unbalancedJournals.length === 0 && mismatchedAccounts.length === 0,
+    journalCount: journalSnapshot.size,
+    accountCount: accountSnapshot.size,
+    totalDebits: fromMinorUnits(totalDebits),
+    totalCredits: fromMinorUnits(totalCredits),
+    unbalancedJournals,
+    mismatchedAccounts
+  };
+};
+
+module.exports = {
+  toMinorUnits,
+  fromMinorUnits,
+  writeJournals,
+  recordPayment,
+  settleDuePayments,
+  recordRefundReserved,
+  recordRefundCompleted,
+  recordReversal,
+  recordPayoutReserved,
+  recordPayoutCompleted,
+  getMerchantBalances,
+  getMerchantStatement,
+  checkLedgerIntegrity
+};
@@ -0,0 +1,1843 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const moment = require('moment');
+const { doc, getDoc, setDoc, updateDoc, collection, query, where, limit, getDocs, runTransaction, increment, serverTimestamp } = require("firebase/firestore");
+const { db } = require("./firebase");
+const { adjustCustomerSpend, updateInvoiceStatus } = require("./invoiceService");
+const { runPostPaymentPipeline, markPaymentSuccessful } = require("./paymentService");
+const { emitTransactionEvent } = require("./webhookService");
+const { processOnce } = require("./idempotencyService");
+const { canTransitionTransaction, applyStatusChange, transitionTransaction } = require("./statusService");
+const { recordReversal, recordPayoutReserved, recordPayoutCompleted } = require("./ledgerService");
+const { getCachedToken, invalidateToken, fingerprintCredentials } = require("./tokenCache");
+const { decryptProviderSettings } = require("./credentialService");
+
+// Daraja API URLs
+const SANDBOX_API_URL = 'https://sandbox.safaricom.co.ke';
+const PRODUCTION_API_URL = 'https://api.safaricom.co.ke';
+
+// Daraja error code returned when an access token has expired or been revoked
+const INVALID_ACCESS_TOKEN_ERROR_CODE = '400.002.02';
+
+// B2C command IDs accepted by Daraja
+const B2C_COMMAND_IDS = ['BusinessPayment', 'SalaryPayment', 'PromotionPayment'];
+
+// IP addresses Safaricom sends Daraja callbacks from
+const SAFARICOM_CALLBACK_IPS = [
+  '196.201.214.200', '196.201.214.206', '196.201.213.114', '196.201.214.207',
+  '196.201.214.208', '196.201.213.44', '196.201.212.127', '196.201.212.138',
+  '196.201.212.129', '196.201.212.136', '196.201.212.74', '196.201.212.69'
+];
+
+// Result codes Daraja accepts from a C2B validation URL
+const C2B_RESULT_CODES = {
+  ACCEPTED: 0,
+  INVALID_MSISDN: 'C2B00011',
+  INVALID_ACCOUNT_NUMBER: 'C2B00012',
+  INVALID_AMOUNT: 'C2B00013',
+  INVALID_KYC_DETAILS: 'C2B00014',
+  INVALID_SHORTCODE: 'C2B00015',
+  OTHER_ERROR: 'C2B00016'
+};
+
+// Validation rules used when the merchant hasn't configured their own
+const DEFAULT_VALIDATION_RULES = {
+  enabled: true,
+  rejectUnknownAccount: true,
+  rejectAmountMismatch: true,
+  amountTolerance: 0,
+  rejectExpiredLinks: true,
+  rejectPaidLinks: true,
+  rejectWrongShortCode: true
+};
+
+/**
+ * Gets the M-Pesa settings for a merchant
+ * @param {string} merchantId - The merchant's user ID
+ * @returns {Promise<Object>} - M-Pesa settings
+ */
+const getMpesaSettings = async (merchantId) => {
+  if (!merchantId) {
+    throw new Error('Merchant ID is required for M-Pesa payments');
+  }
+
+  const merchantSettingsRef = doc(db, 'merchantSettings', merchantId);
+  const merchantSettingsDoc = await getDoc(merchantSettingsRef);
+
+  if (!merchantSettingsDoc.exists() || !merchantSettingsDoc.data().mpesa) {
+    throw new Error('M-Pesa settings not found for this merchant');
+  }
+
+  const mpesaSettings = merchantSettingsDoc.data().mpesa;
+
+  if (!mpesaSettings.enabled) {
+    throw new Error('M-Pesa payments are not enabled for this merchant');
+  }
+
+  return decryptProviderSettings('mpesa', mpesaSettings);
+};
+
+/**
+ * Gets the Daraja base URL for the merchant's environment
+ * @param {Object} mpesaSettings - The merchant's M-Pesa settings
+ * @returns {string} - Daraja base URL
+ */
+const getBaseUrl = (mpesaSettings) => {
+  return mpesaSettings.environment === 'sandbox' ? SANDBOX_API_URL : PRODUCTION_API_URL;
+};
+
+/**
+ * Gets the STK push parameters for the merchant's account type.
+ * Paybill merchants are paid into their shortcode; Buy Goods merchants use their
+ * store number as the BusinessShortCode and are paid into a separate till number.
+ * @param {Object} mpesaSettings - The merchant's M-Pesa settings
+ * @returns {Object|null} - STK push parameters, or null when the configuration is incomplete
+ */
+const getStkConfig = (mpesaSettings) => {
+  const isTill = mpesaSettings.accountType === 'till';
+
+  if (!mpesaSettings.shortCode || !mpesaSettings.passkey || (isTill && !mpesaSettings.tillNumber)) {
+    return null;
+  }
+
+  return {
+    businessShortCode: mpesaSettings.shortCode,
+    partyB: isTill ? mpesaSettings.tillNumber : mpesaSettings.shortCode,
+    transactionType: isTill ? 'CustomerBuyGoodsOnline' : 'CustomerPayBillOnline',
+    // Daraja limits AccountReference to 12 characters
+    accountReference: (mpesaSettings.accountReference || 'PAYNOW').substring(0, 12),
+    transactionDesc: mpesaSettings.transactionDesc || 'Payment for order'
+  };
+};
+
+/**
+ * Gets the token cache key for a merchant's Daraja access token
+ * @param {string} merchantId - The merchant's user ID
+ * @returns {string} - Cache key
+ */
+const getTokenCacheKey = (merchantId) => `mpesa:${merchantId}`;
+
+/**
+ * Gets a Daraja OAuth access token for a merchant, reusing a cached token until it is about to expire
+ * @param {string} merchantId - The merchant's user ID
+ * @returns {Promise<string>} - Access token
+ */
+const getAccessToken = async (merchantId) => {
+  try {
+    if (!merchantId) {
+      throw new Error('Merchant ID is required for M-Pesa access token');
+    }
+
+    const mpesaSettings = await getMpesaSettings(merchantId);
+
+    if (!mpesaSettings.consumerKey || !mpesaSettings.consumerSecret) {
+      throw new Error('Incomplete M-Pesa API credentials for this merchant');
+    }
+
+    const consumer_key = mpesaSettings.consumerKey;
+    const consumer_secret = mpesaSettings.consumerSecret;
+    const baseUrl = getBaseUrl(mpesaSettings);
+
+    // Changing the credentials or environment changes the fingerprint, so the old token is never reused
+    const fingerprint = fingerprintCredentials(baseUrl, consumer_key, consumer_secret);
+
+    return await getCachedToken(getTokenCacheKey(merchantId), fingerprint, async () => {
+      const url = `${baseUrl}/oauth/v1/generate?grant_type=client_credentials`;
+      const auth = "Basic " + Buffer.from(consumer_key + ":" + consumer_secret).toString("base64");
+
+      console.log('Requesting M-Pesa access token for merchant:', merchantId);
+      const response = await axios.get(url, {
+        headers: {
+          Authorization: auth,
+        },
+      });
+
+      return {
+        accessToken: response.data.access_token,
+        expiresIn: response.data.expires_in
+      };
+    });
+  } catch (error) {
+    console.error('Error getting access token:', {
+      status: error.response?.status,
+      statusText: error.response?.statusText,
+      data: error.response?.data,
+      error: error.message
+    });
+    throw new Error('Failed to get access token: ' + (error.response?.data?.errorMessage || error.message));
+  }
+};
+
+/**
+ * Drops a merchant's cached Daraja access token so the next request fetches a new one
+ * @param {string} merchantId - The merchant's user ID
+ */
+const invalidateAccessToken = (merchantId) => {
+  invalidateToken(getTokenCacheKey(merchantId));
+};
+
+/**
+ * Checks whether a Daraja error response means the access token was rejected
+ * @param {Error} error - The axios error
+ * @returns {boolean} - Whether the token was invalid
+ */
+const isInvalidTokenError = (error) => {
+  return error.response?.data?.errorCode === INVALID_ACCESS_TOKEN_ERROR_CODE;
+};
+
+/**
+ * Sends an authenticated request to a Daraja API, fetching a new token and retrying once
+ * if Daraja rejects the cached one
+ * @param {string} merchantId - The merchant's user ID
+ * @param {Object} mpesaSettings - The merchant's M-Pesa settings
+ * @param {string} path - The API path (e.g. "/mpesa/b2c/v1/paymentrequest")
+ * @param {Object} requestBody - The request body
+ * @returns {Promise<Object>} - The axios response
+ */
+const postToDaraja = async (merchantId, mpesaSettings, path, requestBody) => {
+  const send = async () => {
+    const accessToken = await getAccessToken(merchantId);
+    return axios.post(`${getBaseUrl(mpesaSettings)}${path}`, requestBody, {
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      }
+    });
+  };
+
+  try {
+    return await send();
+  } catch (error) {
+    if (!isInvalidTokenError(error)) {
+      throw error;
+    }
+
+    console.warn('Daraja rejected the cached access token, retrying with a new one for merchant:', merchantId);
+    invalidateAccessToken(merchantId);
+    return send();
+  }
+};
+
+/**
+ * Sends an STK push prompting the payer to pay a transaction
+ * @param {string} merchantId - The merchant's user ID
+ * @param {Object} paymentData - Payer phone, amount and the transaction (order) ID
+ * @returns {Promise<Object>} - Daraja STK push response
+ */
+const initiateStkPush = async (merchantId, { phone, amount, orderId }) => {
+  const mpesaSettings = await getMpesaSettings(merchantId);
+  const stkConfig = getStkConfig(mpesaSettings);
+
+  if (!stkConfig) {
+    throw new Error('Incomplete M-Pesa configuration for this merchant');
+  }
+
+  const phoneNumber = formatPhoneNumber(phone);
+  const timestamp = moment().format("YYYYMMDDHHmmss");
+  const password = Buffer.from(
+    stkConfig.businessShortCode +
+    mpesaSettings.passkey +
+    timestamp
+  ).toString("base64");
+
+  const requestBody = {
+    BusinessShortCode: stkConfig.businessShortCode,
+    Password: password,
+    Timestamp: timestamp,
+    TransactionType: stkConfig.transactionType,
+    Amount: amount,
+    PartyA: phoneNumber,
+    PartyB: stkConfig.partyB,
+    PhoneNumber: phoneNumber,
+    CallBackURL: `${process.env.BASE_URL}/callback/${orderId}`,
+    AccountReference: stkConfig.accountReference,
+    TransactionDesc: stkConfig.transactionDesc,
+  };
+
+  console.log('Making STK push request:', {
+    environment: mpesaSettings.environment,
+    body: requestBody
+  });
+
+  // Reuses the merchant's cached access token and retries once if Daraja has revoked it
+  const response = await postToDaraja(merchantId, mpesaSettings, '/mpesa/stkpush/v1/processrequest', requestBody);
+
+  console.log('STK push response:', response.data);
+
+  // Ensure the response has the expected format
+  if (!response.data.ResponseCode && response.data.ResponseCode !== "0") {
+    throw new Error('Invalid response format from M-Pesa API');
+  }
+
+  // Keep the CheckoutRequestID so pending payments can be reconciled if the callback never arrives
+  try {
+    const transactionRef = doc(db, 'transactions', orderId);
+    const transactionDoc = await getDoc(transactionRef);
+    if (transactionDoc.exists()) {
+      await updateDoc(transactionRef, {
+        checkoutRequestId: response.data.CheckoutRequestID,
+        merchantRequestId: response.data.MerchantRequestID || null,
+        // STK query results don't report the amount, so reconciled payments are checked against the pushed amount
+        stkAmount: Number(amount),
+        paymentProcessor: 'mpesa',
+        stkPushedAt: serverTimestamp()
+      });
+    }
+  } catch (dbError) {
+    console.error('Error storing STK push reference:', dbError);
+  }
+
+  return response.data;
+};
+
+/**
+ * Queries the status of an STK push request
+ * @param {string} merchantId - The merchant's user ID
+ * @param {string} checkoutRequestId - The CheckoutRequestID returned by the STK push
+ * @returns {Promise<Object>} - Daraja query response
+ */
+const queryStkPushStatus = async (merchantId, checkoutRequestId) => {
+  const mpesaSettings = await getMpesaSettings(merchantId);
+  const stkConfig = getStkConfig(mpesaSettings);
+
+  if (!stkConfig) {
+    throw new Error('Incomplete M-Pesa configuration for this merchant');
+  }
+
+  const timestamp = moment().format("YYYYMMDDHHmmss");
+  const password = Buffer.from(
+    stkConfig.businessShortCode +
+    mpesaSettings.passkey +
+    timestamp
+  ).toString("base64");
+
+  const requestBody = {
+    // Buy Goods queries use the store number, the same shortcode the STK push was sent with
+    BusinessShortCode: stkConfig.businessShortCode,
+    Password: password,
+    Timestamp: timestamp,
+    CheckoutRequestID: checkoutRequestId,
+  };
+
+  const response = await postToDaraja(merchantId, mpesaSettings, '/mpesa/stkpushquery/v1/query', requestBody);
+
+  return response.data;
+};
+
+/**
+ * Formats a phone number into the 2547XXXXXXXX format Daraja expects
+ * @param {string|number} phoneNumber - The phone number to format
+ * @returns {string} - Formatted phone number
+ */
+const formatPhoneNumber = (phoneNumber) => {
+  let formattedPhone = phoneNumber.toString().trim();
+  formattedPhone = formattedPhone.replace(/^\+|^0+|\s+/g, "");
+  if (!formattedPhone.startsWith("254")) {
+    formattedPhone = "254" + formattedPhone;
+  }
+  return formattedPhone;
+};
+
+/**
+ * Gets the security credential for initiator-based Daraja APIs (B2C, reversal, status).
+ * Merchants can either store the credential generated on the Safaricom portal, or store
+ * the initiator password and let us encrypt it with the Safaricom public certificate.
+ * @param {Object} mpesaSettings - The merchant's M-Pesa settings
+ * @returns {string} - Base64 encoded security credential
+ */
+const getSecurityCredential = (mpesaSettings) => {
+  if (mpesaSettings.securityCredential) {
+    return mpesaSettings.securityCredential;
+  }
+
+  if (!mpesaSettings.initiatorPassword) {
+    throw new Error('M-Pesa initiator password or security credential is not configured for this merchant');
+  }
+
+  // Certificate can be stored on the merchant settings or provided per environment
+  let certificate = mpesaSettings.certificate;
+  if (!certificate) {
+    const certificatePath = mpesaSettings.environment === 'sandbox'
+      ? process.env.MPESA_SANDBOX_CERT_PATH
+      : process.env.MPESA_PRODUCTION_CERT_PATH;
+
+    if (!certificatePath) {
+      throw new Error('M-Pesa public certificate is not configured');
+    }
+
+    certificate = fs.readFileSync(certificatePath, 'utf8');
+  }
+
+  return crypto.publicEncrypt({
+    key: certificate,
+    padding: crypto.constants.RSA_PKCS1_PADDING
+  }, Buffer.from(mpesaSettings.initiatorPassword)).toString('base64');
+};
+
+/**
+ * Converts Daraja ResultParameters into a plain object
+ * @param {Object} result - The Result object from a Daraja callback
+ * @returns {Object} - Result parameters keyed by name
+ */
+const parseResultParameters = (result) => {
+  const parameters = result?.ResultParameters?.ResultParameter;
+
+  if (!parameters) {
+    return {};
+  }
+
+  // Daraja sends a single object instead of an array when there is only one parameter
+  return (Array.isArray(parameters) ? parameters : [parameters]).reduce((acc, item) => {
+    acc[item.Key] = item.Value;
+    return acc;
+  }, {});
+};
+
+/**
+ * Initiates a B2C payment (refund or disbursement) and records it in the payouts collection
+ * @param {Object} payoutData - Payout data including merchantId, phone, amount
+ * @returns {Promise<Object>} - The created payout
+ */
+const initiateB2CPayment = async (payoutData) => {
+  const {
+    merchantId,
+    phone,
+    amount,
+    commandId = 'BusinessPayment',
+    remarks,
+    occasion,
+    transactionId,
+    orderId,
+    refundId,
+    purpose = 'disbursement'
+  } = payoutData;
+
+  if (!merchantId) {
+    throw new Error('Merchant ID is required for M-Pesa payouts');
+  }
+
+  if (!phone || !amount) {
+    throw new Error('Phone number and amount are required for M-Pesa payouts');
+  }
+
+  if (isNaN(amount) || amount <= 0) {
+    throw new Error('Invalid amount. Must be a positive number');
+  }
+
+  // Daraja only moves whole shillings, and the ledger reserves exactly what is saved here
+  if (!Number.isInteger(Number(amount))) {
+    throw new Error('Invalid amount. M-Pesa payouts must be in whole shillings');
+  }
+
+  if (!B2C_COMMAND_IDS.includes(commandId)) {
+    throw new Error(`Invalid command ID. Must be one of: ${B2C_COMMAND_IDS.join(', ')}`);
+  }
+
+  const phoneNumber = formatPhoneNumber(phone);
+  if (!/^254\d{9}$/.test(phoneNumber)) {
+    throw new Error('Invalid phone number format. Must be 12 digits starting with 254');
+  }
+
+  const mpesaSettings = await getMpesaSettings(merchantId);
+  const shortCode = mpesaSettings.b2cShortCode || mpesaSettings.shortCode;
+
+  if (!shortCode || !mpesaSettings.initiatorName) {
+    throw new Error('Incomplete M-Pesa B2C configuration for this merchant');
+  }
+
+  const securityCredential = getSecurityCredential(mpesaSettings);
+
+  // Create the payout record first so the callback URLs can reference it
+  const payoutRef = doc(collection(db, 'payouts'));
+  const payout = {
+    merchantId,
+    phone: phoneNumber,
+    amount: Number(amount),
+    currency: 'KES',
+    commandId,
+    purpose,
+    remarks: remarks || 'PayNow payout',
+    occasion: occasion || '',
+    transactionId: transactionId || null,
+    orderId: orderId || null,
+    refundId: refundId || null,
+    shortCode,
+    status: 'pending',
+    // Refund payouts are reserved in the ledger by their refund
+    ledgerReserved: purpose !== 'refund',
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp()
+  };
+  await setDoc(payoutRef, payout);
+
+  if (payout.ledgerReserved) {
+    await recordPayoutReserved(payoutRef.id, payout);
+  }
+
+  const requestBody = {
+    InitiatorName: mpesaSettings.initiatorName,
+    SecurityCredential: securityCredential,
+    CommandID: commandId,
+    Amount: Number(amount),
+    PartyA: shortCode,
+    PartyB: phoneNumber,
+    Remarks: payout.remarks,
+    QueueTimeOutURL: `${process.env.BASE_URL}/mpesa/b2c/timeout/${payoutRef.id}`,
+    ResultURL: `${process.env.BASE_URL}/mpesa/b2c/result/${payoutRef.id}`,
+    Occasion: payout.occasion
+  };
+
+  try {
+    const response = await postToDaraja(merchantId, mpesaSettings, '/mpesa/b2c/v1/paymentrequest', requestBody);
+
+    console.log('B2C payment response:', response.data);
+
+    await updateDoc(payoutRef, {
+      status: 'processing',
+      conversationId: response.data.ConversationID || null,
+      originatorConversationId: response.data.OriginatorConversationID || null,
+      responseDescription: response.data.ResponseDescription || '',
+      updatedAt: serverTimestamp()
+    });
+
+    return {
+      id: payoutRef.id,
+      ...payout,
+      status: 'processing',
+      conversationId: response.data.ConversationID,
+      originatorConversationId: response.data.OriginatorConversationID
+    };
+  } catch (error) {
+    console.error('Error initiating B2C payment:', error.response?.data || error.message);
+
+    const errorMessage = error.response?.data?.errorMessage || error.message;
+    await updateDoc(payoutRef, {
+      status: 'failed',
+      failureReason: errorMessage,
+      errorCode: error.response?.data?.errorCode || null,
+      updatedAt: serverTimestamp()
+    });
+
+    if (payout.ledgerReserved) {
+      await recordPayoutCompleted(payoutRef.id, payout, false);
+    }
+
+    throw new Error('Failed to initiate M-Pesa payout: ' + errorMessage);
+  }
+};
+
+/**
+ * Handles the B2C result callback from Daraja
+ * @param {string} payoutId - The payout document ID
+ * @param {Object} callbackData - The callback payload
+ * @returns {Promise<void>}
+ */
+const handleB2CResult = async (payoutId, callbackData) => {
+  const result = callbackData?.Result;
+
+  if (!result) {
+    console.error('Invalid B2C result payload for payout:', payoutId);
+    return;
+  }
+
+  const payoutRef = doc(db, 'payouts', payoutId);
+  const payoutDoc = await getDoc(payoutRef);
+
+  if (!payoutDoc.exists()) {
+    console.warn('No payout found with ID:', payoutId);
+    return;
+  }
+
+  // Daraja may resend results; only apply the first one
+  if (['success', 'failed'].includes(payoutDoc.data().status)) {
+    return;
+  }
+
+  const parameters = parseResultParameters(result);
+  const isSuccessful = Number(result.ResultCode) === 0;
+
+  await updateDoc(payoutRef, {
+    status: isSuccessful ? 'success' : 'failed',
+    resultCode: result.ResultCode,
+    resultDescription: result.ResultDesc || '',
+    mpesaReceiptNumber: parameters.TransactionReceipt || result.TransactionID || null,
+    receiverName: parameters.ReceiverPartyPublicName || null,
+    completedAt: parameters.TransactionCompletedDateTime || null,
+    utilityAccountBalance: parameters.B2CUtilityAccountAvailableFunds ?? null,
+    workingAccountBalance: parameters.B2CWorkingAccountAvailableFunds ?? null,
+    ...(!isSuccessful && { failureReason: result.ResultDesc || 'Payout failed' }),
+    resultData: callbackData,
+    updatedAt: serverTimestamp()
+  });
+
+  console.log(`Payout ${payoutId} marked as ${isSuccessful ? 'successful' : 'failed'}`);
+
+  // Payouts made before the ledger weren't reserved in it
+  if (payoutDoc.data().ledgerReserved) {
+    const recorded = await recordPayoutCompleted(payoutId, payoutDoc.data(), isSuccessful);
+
+    if (!recorded && isSuccessful && payoutDoc.data().status === 'timeout') {
+      console.error(`Payout ${payoutId} succeeded after timing out; its ledger reservation was already released and needs reconciling`);
+    }
+  }
+
+  // Payouts made through the refunds API complete their refund
+  if (payoutDoc.data().refundId) {
+    if (isSuccessful && payoutDoc.data().status === 'timeout') {
+      console.error(`Payout ${payoutId} succeeded after timing out; refund ${payoutDoc.data().refundId} was already failed and needs reconciling`);
+    }
+
+    // Required here because refundService depends on this module
+    const { completeRefund } = require('./refundService');
+    await completeRefund(payoutDoc.data().refundId, {
+      status: isSuccessful ? 'success' : 'failed',
+      providerRefundId: parameters.TransactionReceipt || result.TransactionID || null,
+      failureReason: isSuccessful ? null : result.ResultDesc || 'Payout failed'
+    });
+  }
+};
+
+/**
+ * Handles the B2C queue timeout callback from Daraja
+ * @param {string} payoutId - The payout document ID
+ * @param {Object} callbackData - The callback payload
+ * @returns {Promise<void>}
+ */
+const handleB2CTimeout = async (payoutId, callbackData) => {
+  const payoutRef = doc(db, 'payouts', payoutId);
+  const payoutDoc = await getDoc(payoutRef);
+
+  if (!payoutDoc.exists()) {
+    console.warn('No payout found with ID:', payoutId);
+    return;
+  }
+
+  // Don't overwrite a result that arrived before the timeout notification
+  if (['success', 'failed'].includes(payoutDoc.data().status)) {
+    return;
+  }
+
+  await updateDoc(payoutRef, {
+    status: 'timeout',
+    failureReason: 'Request timed out in the M-Pesa queue',
+    timeoutData: callbackData || null,
+    updatedAt: serverTimestamp()
+  });
+
+  console.log(`Payout ${payoutId} timed out`);
+
+  // The payout was never sent, so its reserved amount goes back to the merchant
+  if (payoutDoc.data().ledgerReserved) {
+    await recordPayoutCompleted(payoutId, payoutDoc.data(), false);
+  }
+
+  // A payout that timed out in the queue was never sent, so its refund failed
+  if (payoutDoc.data().refundId) {
+    // Required here because refundService depends on this module
+    const { completeRefund } = require('./refundService');
+    await completeRefund(payoutDoc.data().refundId, {
+      status: 'failed',
+      failureReason: 'Payout timed out in the M-Pesa queue'
+    });
+  }
+};
+
+/**
+ * Runs the post-payment pipeline for a successful M-Pesa payment
+ * @param {string} transactionId - The transaction ID
+ * @param {Object} transactionData - The stored transaction data
+ * @param {Object} paymentDetails - Receipt number, payer phone and name from M-Pesa
+ * @returns {Promise<void>}
+ */
+const processSuccessfulPayment = async (transactionId, transactionData, paymentDetails) => {
+  const { mpesaReceiptNumber, phoneNumber, payerName } = paymentDetails;
+
+  await runPostPaymentPipeline(transactionId, {
+    ...transactionData,
+    paymentProcessor: 'mpesa',
+    mpesaReceiptNumber,
+    payerPhone: transactionData.payerPhone || phoneNumber,
+    payerName: payerName || transactionData.payerName
+  }, { receiptNumber: mpesaReceiptNumber });
+};
+
+/**
+ * Applies an STK push callback to its transaction
+ * @param {string} transactionId - The transaction ID from the callback URL
+ * @param {Object} callbackData - The callback payload from Daraja
+ * @returns {Promise<void>}
+ */
+const handleStkCallback = async (transactionId, callbackData) => {
+  // Update transaction status in Firebase
+  const transactionRef = doc(db, 'transactions', transactionId);
+  const transactionDoc = await getDoc(transactionRef);
+
+  if (!transactionDoc.exists()) {
+    console.warn('No transaction found with ID:', transactionId);
+    return;
+  }
+
+  const transactionData = transactionDoc.data();
+  const stkCallback = callbackData.Body.stkCallback;
+
+  let newStatus = 'failed';
+  let mpesaReceiptNumber = null;
+  let paidAmount = null;
+  let resultDesc = 'Payment failed';
+
+  if (stkCallback.ResultCode === 0) {
+    newStatus = 'success';
+    resultDesc = 'Payment successful';
+    const callbackItems = stkCallback.CallbackMetadata?.Item;
+    if (callbackItems) {
+      const receiptItem = callbackItems.find(item => item.Name === 'MpesaReceiptNumber');
+      if (receiptItem) {
+        mpesaReceiptNumber = receiptItem.Value;
+      }
+      const amountItem = callbackItems.find(item => item.Name === 'Amount');
+      if (amountItem) {
+        paidAmount = Number(amountItem.Value);
+      }
+    }
+  } else {
+    resultDesc = stkCallback.ResultDesc || 'Payment failed';
+  }
+
+  if (!canTransitionTransaction(transactionData.status, newStatus)) {
+    console.warn(`Ignoring M-Pesa callback moving transaction ${transactionId} from ${transactionData.status} to ${newStatus}`);
+
+    // A reconciled payment doesn't have its receipt number until the callback arrives
+    if (newStatus === 'success' && mpesaReceiptNumber && !transactionData.mpesaReceiptNumber) {
+      await updateDoc(transactionRef, {
+        mpesaReceiptNumber,
+        mpesaResponse: callbackData,
+        updatedAt: serverTimestamp()
+      });
+    }
+    return;
+  }
+
+  // Extract additional data from callback metadata if available
+  let phoneNumber = transactionData.payerPhone || "";
+  let firstName = "Customer";
+  let middleName = "";
+  let lastName = "";
+  let transactionDate = moment().format("YYYYMMDDHHmmss");
+  let businessShortCode = stkCallback.BusinessShortCode || "4121151";
+
+  // Try to extract real customer data from the callback
+  if (stkCallback.CallbackMetadata?.Item) {
+    const items = stkCallback.CallbackMetadata.Item;
+
+    // Look for phone number
+    const phoneItem = items.find(item => item.Name === 'PhoneNumber');
+    if (phoneItem && phoneItem.Value) {
+      phoneNumber = phoneItem.Value.toString();
+    }
+
+    // Look for transaction date
+    const dateItem = items.find(item => item.Name === 'TransactionDate');
+    if (dateItem && dateItem.Value) {
+      transactionDate = dateItem.Value.toString();
+    }
+  }
+
+  // Try to get customer name from transaction data or generate it
+  if (transactionData.payerName) {
+    const nameParts = transactionData.payerName.split(' ');
+    firstName = nameParts[0] || "Customer";
+    if (nameParts.length === 2) {
+      lastName = nameParts[1] || "";
+    } else if (nameParts.length > 2) {
+      middleName = nameParts[1] || "";
+      lastName = nameParts.slice(2).join(' ') || "";
+    }
+  }
+
+  const updates = {
+    mpesaResponse: callbackData, // Store the full callback data
+    mpesaReceiptNumber: mpesaReceiptNumber,
+    resultDescription: resultDesc,
+    callbackData: {
+      TransactionType: "Pay Bill",
+      TransID: mpesaReceiptNumber || "",
+      TransTime: transactionDate,
+      TransAmount: transactionData.amount?.toString() || "",
+      BusinessShortCode: businessShortCode,
+      BillRefNumber: transactionId,
+      InvoiceNumber: transactionData.invoiceNumber || "",
+      OrgAccountBalance: transactionData.accountBalance || "",
+      ThirdPartyTransID: transactionData.thirdPartyTransID || "",
+      MSISDN: phoneNumber,
+      FirstName: firstName,
+      MiddleName: middleName,
+      LastName: lastName
+    }
+  };
+  const sourceEvent = `mpesa.stk_callback:${stkCallback.CheckoutRequestID}`;
+
+  if (newStatus === 'success') {
+    if (paidAmount === null) {
+      // Left pending for reconciliation, which checks the pushed amount
+      console.error(`M-Pesa callback for transaction ${transactionId} reported success without an amount`);
+      return;
+    }
+
+    // Settles the payment only if the amount paid covers the transaction, then runs the success pipeline
+    await markPaymentSuccessful(transactionId, {
+      merchantId: transactionData.ownerUid,
+      paidAmount,
+      currency: 'KES',
+      paymentProcessor: 'mpesa',
+      receiptNumber: mpesaReceiptNumber,
+      updates: { ...updates, paidAmount },
+      payer: { phone: phoneNumber },
+      sourceEvent
+    });
+    return;
+  }
+
+  await transitionTransaction(transactionId, newStatus, {
+    actor: 'provider:mpesa',
+    sourceEvent,
+    updates
+  });
+
+  await emitTransactionEvent('payment.failed', transactionId);
+};
+
+/**
+ * Registers the C2B confirmation and validation URLs for a merchant's shortcode
+ * @param {string} merchantId - The merchant's user ID
+ * @param {string} responseType - What M-Pesa should do if validation is unreachable ('Completed' or 'Cancelled')
+ * @returns {Promise<Object>} - Daraja registration response
+ */
+const registerC2BUrls = async (merchantId, responseType = 'Completed') => {
+  if (!['Completed', 'Cancelled'].includes(responseType)) {
+    throw new Error("Invalid response type. Must be 'Completed' or 'Cancelled'");
+  }
+
+  const mpesaSettings = await getMpesaSettings(merchantId);
+  const shortCode = mpesaSettings.shortCode;
+
+  if (!shortCode) {
+    throw new Error('Incomplete M-Pesa configuration for this merchant');
+  }
+
+  // Daraja rejects URLs containing keywords such as "mpesa" or "safaricom"
+  const confirmationUrl = `${process.env.BASE_URL}/c2b/confirmation/${merchantId}`;
+  const validationUrl = `${process.env.BASE_URL}/c2b/validation/${merchantId}`;
+
+  try {
+    const response = await postToDaraja(merchantId, mpesaSettings, '/mpesa/c2b/v1/registerurl', {
+      ShortCode: shortCode,
+      ResponseType: responseType,
+      ConfirmationURL: confirmationUrl,
+      ValidationURL: validationUrl
+    });
+
+    console.log('C2B URL registration response:', response.data);
+
+    await updateDoc(doc(db, 'merchantSettings', merchantId), {
+      'mpesa.c2bRegistration': {
+        shortCode,
+        responseType,
+        confirmationUrl,
+        validationUrl,
+        registeredAt: serverTimestamp()
+      }
+    });
+
+    return response.data;
+  } catch (error) {
+    console.error('Error registering C2B URLs:', error.response?.data || error.message);
+    throw new Error('Failed to register C2B URLs: ' + (error.response?.data?.errorMessage || error.message));
+  }
+};
+
+/**
+ * Finds the transaction or payment link an M-Pesa account number refers to.
+ * BillRefNumber is matched against transaction IDs, invoice numbers and payment link slugs.
+ * @param {string} merchantId - The merchant's user ID
+ * @param {string} billRefNumber - The account number the customer entered
+ * @returns {Promise<Object|null>} - The match, or null when nothing matches
+ */
+const findC2BMatch = async (merchantId, billRefNumber) => {
+  const reference = (billRefNumber || '').toString().trim();
+
+  if (!reference) {
+    return null;
+  }
+
+  // Transaction IDs
+  const transactionDoc = await getDoc(doc(db, 'transactions', reference));
+  if (transactionDoc.exists() && transactionDoc.data().ownerUid === merchantId) {
+    return { type: 'transaction', id: transactionDoc.id, data: transactionDoc.data() };
+  }
+
+  // Invoice numbers
+  const invoiceSnapshot = await getDocs(query(
+    collection(db, 'transactions'),
+    where('ownerUid', '==', merchantId),
+    where('invoiceNumber', '==', reference),
+    limit(1)
+  ));
+  if (!invoiceSnapshot.empty) {
+    const invoiceDoc = invoiceSnapshot.docs[0];
+    return { type: 'transaction', id: invoiceDoc.id, data: invoiceDoc.data() };
+  }
+
+  // Payment link slugs
+  const linkSnapshot = await getDocs(query(
+    collection(db, 'paymentLinks'),
+    where('ownerUid', '==', merchantId),
+    where('slug', '==', reference),
+    limit(1)
+  ));
+  if (!linkSnapshot.empty) {
+    const linkDoc = linkSnapshot.docs[0];
+    return { type: 'paymentLink', id: linkDoc.id, data: linkDoc.data() };
+  }
+
+  return null;
+};
+
+/**
+ * Checks whether a request came from one of Safaricom's Daraja callback IP addresses.
+ * Set MPESA_VERIFY_SOURCE_IP to false to accept callbacks from anywhere, e.g. when testing locally.
+ * @param {string} ip - The client IP address
+ * @returns {boolean} - Whether the IP is one of Safaricom's
+ */
+const isSafaricomSourceIp = (ip) => {
+  if (process.env.MPESA_VERIFY_SOURCE_IP === 'false') {
+    return true;
+  }
+
+  // Express reports IPv4 clients on dual-stack sockets as IPv4-mapped IPv6 addresses
+  return SAFARICOM_CALLBACK_IPS.includes((ip || '').replace(/^::ffff:/, ''));
+};
+
+/**
+ * Handles a C2B confirmation for a Paybill/Till payment made outside STK push
+ * @param {string} merchantId - The merchant's user ID
+ * @param {Object} confirmationData - The confirmation payload from Daraja
+ * @returns {Promise<Object>} - The stored C2B payment record
+ */
+const handleC2BConfirmation = async (merchantId, confirmationData) => {
+  const { TransID, TransAmount, BillRefNumber, MSISDN, FirstName, MiddleName, LastName } = confirmationData;
+
+  if (!TransID) {
+    throw new Error('Missing TransID in C2B confirmation');
+  }
+
+  // Confirmations are keyed by receipt number so a resent confirmation is only applied once
+  const c2bRef = doc(db, 'c2bPayments', TransID);
+  const c2bDoc = await getDoc(c2bRef);
+
+  if (c2bDoc.exists()) {
+    console.log('C2B confirmation already processed:', TransID);
+    return { id: TransID, ...c2bDoc.data() };
+  }
+
+  const payerName = [FirstName, MiddleName, LastName].filter(Boolean).join(' ');
+  const amount = Number(TransAmount);
+  const match = await findC2BMatch(merchantId, BillRefNumber);
+
+  const c2bPayment = {
+    merchantId,
+    mpesaReceiptNumber: TransID,
+    amount,
+    billRefNumber: BillRefNumber || '',
+    phoneNumber: MSISDN ? MSISDN.toString() : '',
+    payerName,
+    confirmationData,
+    status: match ? 'matched' : 'unmatched',
+    matchType: match?.type || null,
+    transactionId: null,
+    createdAt: serverTimestamp()
+  };
+
+  if (!match) {
+    console.warn('No transaction or payment link matched C2B payment:', TransID, BillRefNumber);
+    await setDoc(c2bRef, c2bPayment);
+    return { id: TransID, ...c2bPayment };
+  }
+
+  // Payments that don't match the amount asked for are kept for the merchant to review, not applied.
+  // Payment links without a fixed amount accept whatever the customer pays.
+  const expectedAmount = Number(match.data.amount) || 0;
+  if (expectedAmount > 0) {
+    const { amountTolerance } = await getValidationRules(merchantId);
+
+    if (isNaN(amount) || Math.abs(amount - expectedAmount) > Number(amountTolerance || 0)) {
+      console.warn(`C2B payment ${TransID} of ${TransAmount} doesn't match the expected ${expectedAmount}`);
+      c2bPayment.status = 'amount_mismatch';
+      c2bPayment.expectedAmount = expectedAmount;
+      await setDoc(c2bRef, c2bPayment);
+      return { id: TransID, ...c2bPayment };
+    }
+  }
+
+  let transactionId;
+  let transactionData;
+
+  if (match.type === 'transaction') {
+    transactionId = match.id;
+    transactionData = match.data;
+
+    if (transactionData.status === 'success') {
+      console.warn('C2B payment matched an already paid transaction:', transactionId);
+      c2bPayment.status = 'duplicate';
+      c2bPayment.transactionId = transactionId;
+      await setDoc(c2bRef, c2bPayment);
+      return { id: TransID, ...c2bPayment };
+    }
+  } else {
+    // Payment links don't have a transaction until someone pays, so create one
+    const transactionRef = doc(collection(db, 'transactions'));
+    transactionId = transactionRef.id;
+    transactionData = {
+      ownerUid: merchantId,
+      linkId: match.id,
+      linkSlug: match.data.slug,
+      amount,
+      currency: match.data.currency || 'KES',
+      description: match.data.description || 'Payment',
+      payerPhone: c2bPayment.phoneNumber,
+      payerName,
+      paymentProcessor: 'mpesa',
+      paymentChannel: 'c2b',
+      status: 'pending',
+      createdAt: serverTimestamp()
+    };
+    await setDoc(transactionRef, transactionData);
+  }
+
+  await transitionTransaction(transactionId, 'success', {
+    actor: 'provider:mpesa',
+    sourceEvent: `mpesa.c2b_confirmation:${TransID}`,
+    updates: {
+      paymentProcessor: 'mpesa',
+      paymentChannel: 'c2b',
+      mpesaReceiptNumber: TransID,
+      paidAmount: amount,
+      resultDescription: 'Payment successful',
+      callbackData: {
+        TransactionType: confirmationData.TransactionType || "Pay Bill",
+        TransID,
+        TransTime: confirmationData.TransTime || "",
+        TransAmount: TransAmount?.toString() || "",
+        BusinessShortCode: confirmationData.BusinessShortCode || "",
+        BillRefNumber: BillRefNumber || "",
+        InvoiceNumber: confirmationData.InvoiceNumber || "",
+        OrgAccountBalance: confirmationData.OrgAccountBalance || "",
+        ThirdPartyTransID: confirmationData.ThirdPartyTransID || "",
+        MSISDN: c2bPayment.phoneNumber,
+        FirstName: FirstName || "",
+        MiddleName: MiddleName || "",
+        LastName: LastName || ""
+      }
+    }
+  });
+
+  if (match.type === 'paymentLink') {
+    await updateDoc(doc(db, 'paymentLinks', match.id), {
+      paid: true,
+      lastTransactionId: transactionId,
+      lastPaidAt: serverTimestamp()
+    });
+  }
+
+  c2bPayment.transactionId = transactionId;
+  await setDoc(c2bRef, c2bPayment);
+
+  await processSuccessfulPayment(transactionId, transactionData, {
+    mpesaReceiptNumber: TransID,
+    phoneNumber: c2bPayment.phoneNumber,
+    payerName
+  });
+
+  console.log(`C2B payment ${TransID} applied to transaction ${transactionId}`);
+  return { id: TransID, ...c2bPayment };
+};
+
+/**
+ * Gets the C2B validation rules for a merchant, falling back to the defaults
+ * @param {string} merchantId - The merchant's user ID
+ * @returns {Promise<Object>} - Validation rules and the merchant's shortcode
+ */
+const getValidationRules = async (merchantId) => {
+  if (!merchantId) {
+    return { ...DEFAULT_VALIDATION_RULES };
+  }
+
+  const settingsDoc = await getDoc(doc(db, 'merchantSettings', merchantId));
+  const mpesaSettings = settingsDoc.exists() ? (settingsDoc.data().mpesa || {}) : {};
+
+  return {
+    ...DEFAULT_VALIDATION_RULES,
+    ...(mpesaSettings.validationRules || {}),
+    shortCodes: [mpesaSettings.shortCode, mpesaSettings.tillNumber].filter(Boolean).map(String)
+  };
+};
+
+/**
+ * Builds a validation response for Daraja
+ * @param {string|number} resultCode - One of C2B_RESULT_CODES
+ * @param {string} reason - Why the payment was rejected (stored, not sent to Daraja)
+ * @returns {Object} - Validation result
+ */
+const buildValidationResult = (resultCode, reason = '') => ({
+  accepted: resultCode === C2B_RESULT_CODES.ACCEPTED,
+  ResultCode: resultCode,
+  ResultDesc: resultCode === C2B_RESULT_CODES.ACCEPTED ? 'Accepted' : 'Rejected',
+  reason
+});
+
+/**
+ * Validates a C2B payment before M-Pesa moves the money
+ * @param {Object} params - Validation parameters
+ * @param {string} params.merchantId - The merchant's user ID
+ * @param {Object|null} params.match - The transaction, order or payment link the payment refers to
+ * @param {Object} params.validationData - The validation payload from Daraja
+ * @returns {Promise<Object>} - Validation result with ResultCode and ResultDesc
+ */
+const validateC2BPayment = async ({ merchantId, match, validationData }) => {
+  const rules = await getValidationRules(merchantId);
+
+  if (!rules.enabled) {
+    return buildValidationResult(C2B_RESULT_CODES.ACCEPTED);
+  }
+
+  if (rules.rejectWrongShortCode && rules.shortCodes.length && validationData.BusinessShortCode &&
+      !rules.shortCodes.includes(validationData.BusinessShortCode.toString())) {
+    return buildValidationResult(C2B_RESULT_CODES.INVALID_SHORTCODE, 'Payment was made to a different shortcode');
+  }
+
+  if (!match) {
+    return rules.rejectUnknownAccount
+      ? buildValidationResult(C2B_RESULT_CODES.INVALID_ACCOUNT_NUMBER, 'Unknown account reference')
+      : buildValidationResult(C2B_RESULT_CODES.ACCEPTED);
+  }
+
+  const { type, data } = match;
+  let expectedAmount = null;
+
+  if (type === 'paymentLink') {
+    const isExpired = (data.expiryDate && data.expiryDate.seconds < Date.now() / 1000) ||
+                      (data.status && data.status !== 'active');
+    if (rules.rejectExpiredLinks && isExpired) {
+      return buildValidationResult(C2B_RESULT_CODES.OTHER_ERROR, 'Payment link is expired or inactive');
+    }
+    if (rules.rejectPaidLinks && data.paid) {
+      return buildValidationResult(C2B_RESULT_CODES.OTHER_ERROR, 'Payment link has already been paid');
+    }
+    expectedAmount = data.amount;
+  } else if (type === 'transaction') {
+    if (rules.rejectPaidLinks && data.status === 'success') {
+      return buildValidationResult(C2B_RESULT_CODES.OTHER_ERROR, 'Transaction has already been paid');
+    }
+    expectedAmount = data.amount;
+  } else if (type === 'order') {
+    if (data.status === 'cancelled') {
+      return buildValidationResult(C2B_RESULT_CODES.OTHER_ERROR, 'Order has been cancelled');
+    }
+    if (rules.rejectPaidLinks && (data.paid || data.paymentStatus === 'paid')) {
+      return buildValidationResult(C2B_RESULT_CODES.OTHER_ERROR, 'Order has already been paid');
+    }
+    expectedAmount = data.total ?? data.amount;
+  }
+
+  // Links and orders without a fixed amount accept whatever the customer pays
+  if (rules.rejectAmountMismatch && expectedAmount && Number(expectedAmount) > 0) {
+    const difference = Math.abs(Number(validationData.TransAmount) - Number(expectedAmount));
+    if (isNaN(difference) || difference > Number(rules.amountTolerance || 0)) {
+      return buildValidationResult(C2B_RESULT_CODES.INVALID_AMOUNT, `Expected amount ${expectedAmount}, received ${validationData.TransAmount}`);
+    }
+  }
+
+  return buildValidationResult(C2B_RESULT_CODES.ACCEPTED);
+};
+
+/**
+ * Sends an initiator-authenticated query (transaction status or account balance) to Daraja
+ * and records it under the merchant so the asynchronous result can be stored against it
+ * @param {string} merchantId - The merchant's user ID
+ * @param {string} type - Query type ('transaction_status' or 'account_balance')
+ * @param {Object} options - Query options
+ * @param {string} options.path - Daraja API path
+ * @param {string} options.routePrefix - Our callback route prefix
+ * @param {Object} options.requestBody - Request body fields specific to the query
+ * @param {Object} options.record - Extra fields stored on the query record
+ * @returns {Promise<Object>} - The created query record
+ */
+const sendInitiatorQuery = async (merchantId, type, { path, routePrefix, requestBody, record = {} }) => {
+  const mpesaSettings = await getMpesaSettings(merchantId);
+
+  if (!mpesaSettings.shortCode || !mpesaSettings.initiatorName) {
+    throw new Error('Incomplete M-Pesa initiator configuration for this merchant');
+  }
+
+  const securityCredential = getSecurityCredential(mpesaSettings);
+  const queryRef = doc(collection(db, 'merchants', merchantId, 'mpesaQueries'));
+
+  await setDoc(queryRef, {
+    type,
+    merchantId,
+    shortCode: mpesaSettings.shortCode,
+    ...record,
+    status: 'pending',
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp()
+  });
+
+  try {
+    const response = await postToDaraja(merchantId, mpesaSettings, path, {
+      Initiator: mpesaSettings.initiatorName,
+      SecurityCredential: securityCredential,
+      PartyA: mpesaSettings.shortCode,
+      IdentifierType: '4',
+      ...requestBody,
+      ResultURL: `${process.env.BASE_URL}${routePrefix}/result/${merchantId}/${queryRef.id}`,
+      QueueTimeOutURL: `${process.env.BASE_URL}${routePrefix}/timeout/${merchantId}/${queryRef.id}`
+    });
+
+    console.log(`M-Pesa ${type} response:`, response.data);
+
+    await updateDoc(queryRef, {
+      status: 'processing',
+      conversationId: response.data.ConversationID || null,
+      originatorConversationId: response.data.OriginatorConversationID || null,
+      updatedAt: serverTimestamp()
+    });
+
+    return {
+      id: queryRef.id,
+      type,
+      status: 'processing',
+      conversationId: response.data.ConversationID
+    };
+  } catch (error) {
+    console.error(`Error sending M-Pesa ${type} query:`, error.response?.data || error.message);
+
+    const errorMessage = error.response?.data?.errorMessage || error.message;
+    await updateDoc(queryRef, {
+      status: 'failed',
+      failureReason: errorMessage,
+      updatedAt: serverTimestamp()
+    });
+
+    throw new Error(`Failed to send M-Pesa ${type.replace('_', ' ')} query: ` + errorMessage);
+  }
+};
+
+/**
+ * Queries the status of an M-Pesa transaction by its receipt number
+ * @param {string} merchantId - The merchant's user ID
+ * @param {string} receiptNumber - The M-Pesa receipt number
+ * @param {string} remarks - Optional remarks
+ * @returns {Promise<Object>} - The created query record
+ */
+const queryTransactionStatus = async (merchantId, receiptNumber, remarks) => {
+  if (!receiptNumber) {
+    throw new Error('Receipt number is required for a transaction status query');
+  }
+
+  return sendInitiatorQuery(merchantId, 'transaction_status', {
+    path: '/mpesa/transactionstatus/v1/query',
+    routePrefix: '/mpesa/transaction-status',
+    requestBody: {
+      CommandID: 'TransactionStatusQuery',
+      TransactionID: receiptNumber,
+      Remarks: remarks || 'Transaction status query',
+      Occasion: ''
+    },
+    record: { receiptNumber }
+  });
+};
+
+/**
+ * Queries the balance of a merchant's M-Pesa shortcode
+ * @param {string} merchantId - The merchant's user ID
+ * @returns {Promise<Object>} - The created query record
+ */
+const queryAccountBalance = async (merchantId) => {
+  return sendInitiatorQuery(merchantId, 'account_balance', {
+    path: '/mpesa/accountbalance/v1/query',
+    routePrefix: '/mpesa/account-balance',
+    requestBody: {
+      CommandID: 'AccountBalance',
+      Remarks: 'Account balance query'
+    }
+  });
+};
+
+/**
+ * Parses the AccountBalance result parameter, e.g.
+ * "Working Account|KES|700000.00|700000.00|0.00|0.00&Float Account|KES|0.00|0.00|0.00|0.00"
+ * @param {string} accountBalance - The raw AccountBalance value
+ * @returns {Array<Object>} - Balances per account
+ */
+const parseAccountBalance = (accountBalance) => {
+  if (!accountBalance) {
+    return [];
+  }
+
+  return accountBalance.toString().split('&').map((account) => {
+    const [name, currency, currentBalance, availableBalance, reservedBalance, unclearedBalance] = account.split('|');
+    return {
+      name,
+      currency,
+      currentBalance: Number(currentBalance) || 0,
+      availableBalance: Number(availableBalance) || 0,
+      reservedBalance: Number(reservedBalance) || 0,
+      unclearedBalance: Number(unclearedBalance) || 0
+    };
+  });
+};
+
+/**
+ * Handles the result callback for a transaction status or account balance query
+ * @param {string} merchantId - The merchant's user ID
+ * @param {string} queryId - The query document ID
+ * @param {Object} callbackData - The callback payload
+ * @returns {Promise<void>}
+ */
+const handleQueryResult = async (merchantId, queryId, callbackData) => {
+  const result = callbackData?.Result;
+
+  if (!result) {
+    console.error('Invalid M-Pesa query result payload:', merchantId, queryId);
+    return;
+  }
+
+  const queryRef = doc(db, 'merchants', merchantId, 'mpesaQueries', queryId);
+  const queryDoc = await getDoc(queryRef);
+
+  if (!queryDoc.exists()) {
+    console.warn('No M-Pesa query found with ID:', queryId);
+    return;
+  }
+
+  const { type } = queryDoc.data();
+  const parameters = parseResultParameters(result);
+  const isSuccessful = Number(result.ResultCode) === 0;
+
+  const update = {
+    status: isSuccessful ? 'success' : 'failed',
+    resultCode: result.ResultCode,
+    resultDescription: result.ResultDesc || '',
+    parameters,
+    resultData: callbackData,
+    updatedAt: serverTimestamp()
+  };
+
+  if (isSuccessful && type === 'account_balance') {
+    update.balances = parseAccountBalance(parameters.AccountBalance);
+
+    // Keep the latest float on the merchant so the dashboard doesn't have to look up queries
+    await setDoc(doc(db, 'merchants', merchantId), {
+      mpesaBalance: {
+        accounts: update.balances,
+        queryId,
+        updatedAt: serverTimestamp()
+      }
+    }, { merge: true });
+  }
+
+  await updateDoc(queryRef, update);
+  console.log(`M-Pesa ${type} query ${queryId} marked as ${update.status}`);
+};
+
+/**
+ * Handles the queue timeout callback for a transaction status or account balance query
+ * @param {string} merchantId - The merchant's user ID
+ * @param {string} queryId - The query document ID
+ * @param {Object} callbackData - The callback payload
+ * @returns {Promise<void>}
+ */
+const handleQueryTimeout = async (merchantId, queryId, callbackData) => {
+  const queryRef = doc(db, 'merchants', merchantId, 'mpesaQueries', queryId);
+  const queryDoc = await getDoc(queryRef);
+
+  if (!queryDoc.exists()) {
+    console.warn('No M-Pesa query found with ID:', queryId);
+    return;
+  }
+
+  // Don't overwrite a result that arrived before the timeout notification
+  if (['success', 'failed'].includes(queryDoc.data().status)) {
+    return;
+  }
+
+  await updateDoc(queryRef, {
+    status: 'timeout',
+    failureReason: 'Request timed out in the M-Pesa queue',
+    timeoutData: callbackData || null,
+    updatedAt: serverTimestamp()
+  });
+};
+
+/**
+ * Sends a reversal request to Daraja for a stored M-Pesa payment, without checking
+ * how much of the payment is left to reverse
+ * @param {string} merchantId - The merchant's user ID
+ * @param {string} transactionId - The transaction ID
+ * @param {Object} transactionData - The stored transaction data
+ * @param {Object} options - Amount, remarks and the refund the reversal belongs to, if any
+ * @returns {Promise<Object>} - The created reversal
+ */
+const requestReversal = async (merchantId, transactionId, transactionData, { amount, remarks, refundId = null, amountReserved = false }) => {
+  if (!transactionData.mpesaReceiptNumber) {
+    throw new Error('Transaction has no M-Pesa receipt number to reverse');
+  }
+
+  if (!Number.isInteger(Number(amount))) {
+    throw new Error('Invalid amount. M-Pesa reversals must be in whole shillings');
+  }
+
+  const mpesaSettings = await getMpesaSettings(merchantId);
+
+  if (!mpesaSettings.shortCode || !mpesaSettings.initiatorName) {
+    throw new Error('Incomplete M-Pesa initiator configuration for this merchant');
+  }
+
+  const securityCredential = getSecurityCredential(mpesaSettings);
+
+  // Create the reversal record first so the callback URLs can reference it
+  const reversalRef = doc(collection(db, 'reversals'));
+  const reversal = {
+    merchantId,
+    transactionId,
+    refundId,
+    receiptNumber: transactionData.mpesaReceiptNumber,
+    amount,
+    currency: transactionData.currency || 'KES',
+    remarks: remarks || 'PayNow reversal',
+    // Direct reversals hold their amount in the transaction's pendingReversalAmount until they finish
+    amountReserved,
+    status: 'pending',
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp()
+  };
+  await setDoc(reversalRef, reversal);
+
+  try {
+    const response = await postToDaraja(merchantId, mpesaSettings, '/mpesa/reversal/v1/request', {
+      Initiator: mpesaSettings.initiatorName,
+      SecurityCredential: securityCredential,
+      CommandID: 'TransactionReversal',
+      TransactionID: transactionData.mpesaReceiptNumber,
+      Amount: Number(amount),
+      ReceiverParty: mpesaSettings.shortCode,
+      // Daraja spells this field "Reciever"
+      RecieverIdentifierType: '11',
+      ResultURL: `${process.env.BASE_URL}/mpesa/reversal/result/${reversalRef.id}`,
+      QueueTimeOutURL: `${process.env.BASE_URL}/mpesa/reversal/timeout/${reversalRef.id}`,
+      Remarks: reversal.remarks,
+      Occasion: ''
+    });
+
+    console.log('Reversal response:', response.data);
+
+    await updateDoc(reversalRef, {
+      status: 'processing',
+      conversationId: response.data.ConversationID || null,
+      originatorConversationId: response.data.OriginatorConversationID || null,
+      updatedAt: serverTimestamp()
+    });
+
+    await updateDoc(doc(db, 'transactions', transactionId), {
+      reversalStatus: 'processing',
+      lastReversalId: reversalRef.id,
+      updatedAt: serverTimestamp()
+    });
+
+    return {
+      id: reversalRef.id,
+      ...reversal,
+      status: 'processing',
+      conversationId: response.data.ConversationID
+    };
+  } catch (error) {
+    console.error('Error initiating M-Pesa reversal:', error.response?.data || error.message);
+
+    const errorMessage = error.response?.data?.errorMessage || error.message;
+    await updateDoc(reversalRef, {
+      status: 'failed',
+      failureReason: errorMessage,
+      updatedAt: serverTimestamp()
+    });
+
+    throw new Error('Failed to initiate M-Pesa reversal: ' + errorMessage);
+  }
+};
+
+/**
+ * Initiates a reversal of a stored M-Pesa payment
+ * @param {Object} reversalData - Reversal data including merchantId and transactionId
+ * @returns {Promise<Object>} - The created reversal
+ */
+const initiateReversal = async (reversalData) => {
+  const { merchantId, transactionId, amount, remarks } = reversalData;
+
+  if (!merchantId || !transactionId) {
+    throw new Error('Merchant ID and transaction ID are required for M-Pesa reversals');
+  }
+
+  const transactionRef = doc(db, 'transactions', transactionId);
+
+  // Reserve the amount on the transaction so concurrent reversals and refunds can't exceed what was paid
+  const { transactionData, reversalAmount } = await runTransaction(db, async (transaction) => {
+    const transactionDoc = await transaction.get(transactionRef);
+
+    if (!transactionDoc.exists() || transactionDoc.data().ownerUid !== merchantId) {
+      throw new Error('Transaction not found');
+    }
+
+    const transactionData = transactionDoc.data();
+
+    if (!['success', 'partially_reversed', 'partially_refunded'].includes(transactionData.status)) {
+      throw new Error(`Transaction cannot be reversed from status '${transactionData.status}'`);
+    }
+
+    // Default to reversing whatever hasn't been reversed or refunded yet
+    const remainingAmount = Number(transactionData.amount) -
+      (transactionData.reversedAmount || 0) -
+      (transactionData.refundedAmount || 0) -
+      (transactionData.pendingRefundAmount || 0) -
+      (transactionData.pendingReversalAmount || 0);
+    const reversalAmount = amount ? Number(amount) : remainingAmount;
+
+    if (isNaN(reversalAmount) || reversalAmount <= 0 || reversalAmount > remainingAmount) {
+      throw new Error(`Invalid reversal amount. Must be between 1 and ${remainingAmount}`);
+    }
+
+    transaction.update(transactionRef, {
+      pendingReversalAmount: (transactionData.pendingReversalAmount || 0) + reversalAmount,
+      updatedAt: serverTimestamp()
+    });
+
+    return { transactionData, reversalAmount };
+  });
+
+  try {
+    return await requestReversal(merchantId, transactionId, transactionData, {
+      amount: reversalAmount,
+      remarks,
+      amountReserved: true
+    });
+  } catch (error) {
+    await releaseReversalAmount(transactionId, reversalAmount);
+    throw error;
+  }
+};
+
+/**
+ * Releases a direct reversal's amount from its transaction's pendingReversalAmount
+ * @param {string} transactionId - The transaction ID
+ * @param {number} amount - The reversal amount
+ * @returns {Promise<void>}
+ */
+const releaseReversalAmount = async (transactionId, amount) => {
+  await updateDoc(doc(db, 'transactions', transactionId), {
+    pendingReversalAmount: increment(-amount),
+    updatedAt: serverTimestamp()
+  });
+};
+
+/**
+ * Handles the reversal result callback from Daraja
+ * @param {string} reversalId - The reversal document ID
+ * @param {Object} callbackData - The callback payload
+ * @returns {Promise<void>}
+ */
+const handleReversalResult = async (reversalId, callbackData) => {
+  const result = callbackData?.Result;
+
+  if (!result) {
+    console.error('Invalid reversal result payload for reversal:', reversalId);
+    return;
+  }
+
+  const isSuccessful = Number(result.ResultCode) === 0;
+  const parameters = parseResultParameters(result);
+  const reversalRef = doc(db, 'reversals', reversalId);
+
+  // The result is recorded and the transaction's amounts updated in one transaction,
+  // so resent or simultaneous results are only applied once
+  const applied = await runTransaction(db, async (transaction) => {
+    const reversalDoc = await transaction.get(reversalRef);
+
+    if (!reversalDoc.exists()) {
+      console.warn('No reversal found with ID:', reversalId);
+      return null;
+    }
+
+    const reversal = reversalDoc.data();
+
+    // Daraja may resend results; only apply the first one
+    if (['success', 'failed'].includes(reversal.status)) {
+      return null;
+    }
+
+    // Reversals made through the refunds API update the transaction as a refund, through completeRefund
+    const transactionRef = doc(db, 'transactions', reversal.transactionId);
+    const transactionDoc = reversal.refundId ? null : await transaction.get(transactionRef);
+
+    transaction.update(reversalRef, {
+      status: isSuccessful ? 'success' : 'failed',
+      resultCode: result.ResultCode,
+      resultDescription: result.ResultDesc || '',
+      reversalReceiptNumber: result.TransactionID || null,
+      parameters,
+      ...(!isSuccessful && { failureReason: result.ResultDesc || 'Reversal failed' }),
+      resultData: callbackData,
+      updatedAt: serverTimestamp()
+    });
+
+    if (reversal.refundId) {
+      transaction.update(transactionRef, {
+        reversalStatus: isSuccessful ? 'success' : 'failed',
+        updatedAt: serverTimestamp()
+      });
+      return { reversal };
+    }
+
+    if (!transactionDoc.exists()) {
+      return { reversal };
+    }
+
+    const transactionData = transactionDoc.data();
+
+    // A timed out reversal has already released its reserved amount
+    const releasedAmount = reversal.amountReserved && reversal.status !== 'timeout'
+      ? { pendingReversalAmount: (transactionData.pendingReversalAmount || 0) - reversal.amount }
+      : {};
+
+    if (!isSuccessful) {
+      transaction.update(transactionRef, {
+        reversalStatus: 'failed',
+        ...releasedAmount,
+        updatedAt: serverTimestamp()
+      });
+      return { reversal };
+    }
+
+    const reversedAmount = (transactionData.reversedAmount || 0) + reversal.amount;
+    const fullReversal = reversedAmount >= Number(transactionData.amount);
+    const newStatus = fullReversal ? 'reversed' : 'partially_reversed';
+
+    if (!canTransitionTransaction(transactionData.status, newStatus)) {
+      console.error(`Reversal ${reversalId} succeeded but transaction ${reversal.transactionId} can't move from ${transactionData.status} to ${newStatus}; it needs reconciling`);
+      return { reversal };
+    }
+
+    applyStatusChange(transaction, transactionRef, transactionData.status, newStatus, {
+      actor: 'provider:mpesa',
+      sourceEvent: `mpesa.reversal_result:${reversalId}`,
+      updates: {
+        reversalStatus: 'success',
+        reversedAmount,
+        ...releasedAmount,
+        reversedAt: serverTimestamp()
+      }
+    });
+
+    return { reversal, transactionData, reversedAmount, fullReversal, newStatus };
+  });
+
+  if (!applied) {
+    return;
+  }
+
+  const { reversal, transactionData, reversedAmount, fullReversal, newStatus } = applied;
+
+  if (reversal.refundId) {
+    if (isSuccessful && reversal.status === 'timeout') {
+      console.error(`Reversal ${reversalId} succeeded after timing out; refund ${reversal.refundId} was already failed and needs reconciling`);
+    }
+
+    // Required here because refundService depends on this module
+    const { completeRefund } = require('./refundService');
+    await completeRefund(reversal.refundId, {
+      status: isSuccessful ? 'success' : 'failed',
+      providerRefundId: result.TransactionID || null,
+      failureReason: isSuccessful ? null : result.ResultDesc || 'Reversal failed'
+    });
+    return;
+  }
+
+  if (!isSuccessful) {
+    console.log(`Reversal ${reversalId} failed: ${result.ResultDesc}`);
+    return;
+  }
+
+  if (!newStatus) {
+    return;
+  }
+
+  await recordReversal(reversal.transactionId, transactionData, { reversalId, amount: reversal.amount });
+
+  await updateInvoiceStatus(reversal.transactionId, {
+    status: newStatus,
+    reversedAmount
+  });
+
+  await adjustCustomerSpend({ id: reversal.transactionId, ...transactionData }, {
+    amount: reversal.amount,
+    status: newStatus,
+    fullReversal
+  });
+
+  console.log(`Transaction ${reversal.transactionId} marked as ${newStatus}`);
+};
+
+/**
+ * Handles the reversal queue timeout callback from Daraja
+ * @param {string} reversalId - The reversal document ID
+ * @param {Object} callbackData - The callback payload
+ * @returns {Promise<void>}
+ */
+const handleReversalTimeout = async (reversalId, callbackData) => {
+  const reversalRef = doc(db, 'reversals', reversalId);
+  const reversalDoc = await getDoc(reversalRef);
+
+  if (!reversalDoc.exists()) {
+    console.warn('No reversal found with ID:', reversalId);
+    return;
+  }
+
+  // Don't overwrite a result that arrived before the timeout notification
+  if (['success', 'failed'].includes(reversalDoc.data().status)) {
+    return;
+  }
+
+  await updateDoc(reversalRef, {
+    status: 'timeout',
+    failureReason: 'Request timed out in the M-Pesa queue',
+    timeoutData: callbackData || null,
+    updatedAt: serverTimestamp()
+  });
+
+  await updateDoc(doc(db, 'transactions', reversalDoc.data().transactionId), {
+    reversalStatus: 'timeout',
+    ...(reversalDoc.data().amountReserved && { pendingReversalAmount: increment(-reversalDoc.data().amount) }),
+    updatedAt: serverTimestamp()
+  });
+
+  // A reversal that timed out in the queue was never applied, so its refund failed
+  if (reversalDoc.data().refundId) {
+    // Required here because refundService depends on this module
+    const { completeRefund } = require('./refundService');
+    await completeRefund(reversalDoc.data().refundId, {
+      status: 'failed',
+      failureReason: 'Reversal timed out in the M-Pesa queue'
+    });
+  }
+};
+
+/**
+ * M-Pesa payment provider, registered in providerRegistry.js
+ */
+const provider = {
+  name: 'mpesa',
+  initiate: async (merchantId, { phone, amount, transactionId }) => {
+    const result = await initiateStkPush(merchantId, { phone, amount, orderId: transactionId });
+    return { reference: result.CheckoutRequestID, customerMessage: result.CustomerMessage };
+  },
+  verify: async (merchantId, checkoutRequestId) => {
+    const result = await queryStkPushStatus(merchantId, checkoutRequestId);
+    const resultCode = result.ResultCode?.toString();
+    let status = 'failed';
+    if (resultCode === '0') {
+      status = 'success';
+    } else if (resultCode === '4999') {
+      status = 'pending';
+    } else if (resultCode === '1032') {
+      status = 'cancelled';
+    }
+    return { status, providerResponse: result };
+  },
+  // M-Pesa refunds complete through the reversal and B2C result callbacks
+  refund: async (refund, transactionData) => {
+    if (refund.method === 'b2c') {
+      if (!transactionData.payerPhone) {
+        throw new Error('Transaction has no payer phone number to refund to');
+      }
+
+      const payout = await initiateB2CPayment({
+        merchantId: refund.merchantId,
+        phone: transactionData.payerPhone,
+        amount: refund.amount,
+        remarks: refund.reason || 'PayNow refund',
+        transactionId: refund.transactionId,
+        refundId: refund.id,
+        purpose: 'refund'
+      });
+      return { providerRefundId: null, status: 'processing', payoutId: payout.id };
+    }
+
+    const reversal = await requestReversal(refund.merchantId, refund.transactionId, transactionData, {
+      amount: refund.amount,
+      remarks: refund.reason || 'PayNow refund',
+      refundId: refund.id
+    });
+    return { providerRefundId: null, status: 'processing', reversalId: reversal.id };
+  },
+  // Daraja callbacks aren't signed, so they are only accepted for transactions awaiting an STK result
+  parseWebhook: async ({ params, body }) => {
+    const stkCallback = body?.Body?.stkCallback;
+    if (!stkCallback?.CheckoutRequestID) {
+      throw new Error('Invalid M-Pesa callback payload');
+    }
+
+    const transactionDoc = await getDoc(doc(db, 'transactions', params.orderId));
+    if (transactionDoc.exists() && transactionDoc.data().checkoutRequestId &&
+        transactionDoc.data().checkoutRequestId !== stkCallback.CheckoutRequestID) {
+      throw new Error('M-Pesa callback does not match the transaction');
+    }
+
+    return { transactionId: params.orderId, checkoutRequestId: stkCallback.CheckoutRequestID, payload: body };
+  },
+  // Daraja retries callbacks, so each CheckoutRequestID is only applied once
+  handleWebhook: (event) => processOnce('mpesa', event.checkoutRequestId, () => handleStkCallback(event.transactionId, event.payload), {
+    transactionId: event.transactionId
+  })
+};
+
+module.exports = {
+  provider,
+  C2B_RESULT_CODES,
+  getMpesaSettings,
+  getBaseUrl,
+  getStkConfig,
+  getAccessToken,
+  invalidateAccessToken,
+  postToDaraja,
+  initiateStkPush,
+  queryStkPushStatus,
+  formatPhoneNumber,
+  getSecurityCredential,
+  parseResultParameters,
+  initiateB2CPayment,
+  handleB2CResult,
+  handleB2CTimeout,
+  processSuccessfulPayment,
+  handleStkCallback,
+  registerC2BUrls,
+  findC2BMatch,
+  isSafaricomSourceIp,
+  handleC2BConfirmation,
+  validateC2BPayment,
+  queryTransactionStatus,
+  queryAccountBalance,
+  handleQueryResult,
+  handleQueryTimeout,
+  requestReversal,
+  initiateReversal,
+  handleReversalResult,
+  handleReversalTimeout
+};
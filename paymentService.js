@@ -0,0 +1,178 @@
+const { doc, getDoc, serverTimestamp } = require("firebase/firestore");
+const { db } = require("./firebase");
+const { sendPaymentConfirmationEmail } = require("./emailService");
+const { processTransactionInvoice, storeCustomerInformation } = require("./invoiceService");
+const { sendSMS } = require("./smsService");
+const { canTransitionTransaction, transitionTransaction } = require("./statusService");
+const { emitTransactionEvent } = require("./webhookService");
+const { recordPayment } = require("./ledgerService");
+
+// Names used for each processor in customer notifications
+const PAYMENT_METHOD_NAMES = {
+  mpesa: 'M-Pesa',
+  stripe: 'Credit/Debit Card',
+  paypal: 'PayPal',
+  paystack: 'Paystack',
+  airtel: 'Airtel Money',
+  flutterwave: 'Flutterwave'
+};
+
+/**
+ * Gets the name of a payment processor as shown to customers
+ * @param {string} paymentProcessor - The payment processor
+ * @returns {string} - Payment method name
+ */
+const getPaymentMethodName = (paymentProcessor) => {
+  return PAYMENT_METHOD_NAMES[paymentProcessor] || paymentProcessor || 'Payment';
+};
+
+/**
+ * Runs the post-payment pipeline for a transaction that has already been marked successful:
+ * merchant webhooks, ledger entries, customer stats, invoice generation, SMS and email confirmation
+ * @param {string} transactionId - The transaction ID
+ * @param {Object} transactionData - The transaction data, including the payment details
+ * @param {Object} options - The receipt number to show the payer, and the provider's fee if it reported one
+ * @returns {Promise<string|null>} - The invoice URL, if one was generated
+ */
+const runPostPaymentPipeline = async (transactionId, transactionData, { receiptNumber, fee } = {}) => {
+  const paymentData = { id: transactionId, ...transactionData, status: 'success' };
+  let invoiceUrl = transactionData.invoiceUrl || null;
+
+  await emitTransactionEvent('payment.succeeded', transactionId);
+
+  try {
+    await recordPayment(transactionId, paymentData, { fee });
+  } catch (ledgerError) {
+    // A ledger problem mustn't fail a payment the provider has already taken
+    console.error('Error recording payment in the ledger:', ledgerError);
+  }
+
+  try {
+    // Store customer information
+    await storeCustomerInformation(paymentData);
+
+    // Generate and store invoice
+    invoiceUrl = await processTransactionInvoice(paymentData);
+    console.log('Invoice generated successfully:', invoiceUrl);
+  } catch (invoiceError) {
+    console.error('Error generating invoice:', invoiceError);
+    // Don't fail the payment if invoice generation fails
+  }
+
+  const currency = paymentData.currency || 'KES';
+  const paymentMethod = getPaymentMethodName(paymentData.paymentProcessor);
+
+  if (paymentData.payerPhone) {
+    // Include invoice link in the SMS if available
+    const invoiceMessage = invoiceUrl ? ` Your invoice is available at: ${invoiceUrl}` : '';
+    const message = `Thank you for your payment of ${currency} ${paymentData.amount} for ${paymentData.description}! Your transaction was successful. Receipt: ${receiptNumber || 'N/A'}. Transaction ID: ${transactionId.substring(0, 8)}.${invoiceMessage} Thank you for using PayNow.`;
+    try {
+      await sendSMS(paymentData.payerPhone, message);
+      console.log('SMS notification sent successfully to:', paymentData.payerPhone);
+    } catch (smsError) {
+      console.error('Failed to send SMS notification:', smsError);
+    }
+  }
+
+  // Send email confirmation if email is available
+  if (paymentData.payerEmail) {
+    try {
+      await sendPaymentConfirmationEmail({
+        transactionId,
+        email: paymentData.payerEmail,
+        customerName: paymentData.payerName,
+        amount: paymentData.amount,
+        currency,
+        paymentMethod,
+        description: paymentData.description,
+        receiptNumber
+      });
+      console.log('Email confirmation sent successfully to:', paymentData.payerEmail);
+    } catch (emailError) {
+      console.error('Failed to send email confirmation:', emailError);
+    }
+  }
+
+  return invoiceUrl;
+};
+
+/**
+ * Marks a transaction as successfully paid and runs the post-payment pipeline.
+ * Every provider's success path goes through here so payments are only settled once,
+ * and only for the merchant whose credentials verified them and for the full amount.
+ * @param {string} transactionId - The transaction ID
+ * @param {Object} payment - The successful payment
+ * @param {string} payment.merchantId - The merchant whose provider credentials verified the payment
+ * @param {number} payment.paidAmount - The amount the provider reports was paid, in major units
+ * @param {string} payment.currency - The currency the provider reports was paid in
+ * @param {string} payment.paymentProcessor - The processor that took the payment
+ * @param {string} [payment.receiptNumber] - The provider's receipt or payment ID shown to the payer
+ * @param {Object} [payment.updates] - Provider specific fields to store on the transaction
+ * @param {Object} [payment.payer] - Payer email, phone and name reported by the provider, used when the transaction has none
+ * @param {string} [payment.sourceEvent] - The provider event that reported the payment, for the status history
+ * @param {number} [payment.fee] - The fee the provider kept, for the ledger
+ * @returns {Promise<boolean>} - Whether the payment was applied (false if already settled)
+ */
+const markPaymentSuccessful = async (transactionId, { merchantId, paidAmount, currency, paymentProcessor, receiptNumber, updates = {}, payer = {}, sourceEvent, fee }) => {
+  if (!merchantId || paidAmount === undefined || paidAmount === null || !currency) {
+    throw new Error('Merchant, amount paid and currency are required to mark a payment successful');
+  }
+
+  const transactionRef = doc(db, 'transactions', transactionId);
+  const existingDoc = await getDoc(transactionRef);
+
+  if (!existingDoc.exists() || existingDoc.data().ownerUid !== merchantId) {
+    console.warn('No transaction found with ID:', transactionId);
+    return false;
+  }
+
+  const existingData = existingDoc.data();
+
+  // A cheaper payment, or one in another currency, must never settle a transaction
+  if (isNaN(Number(paidAmount)) || Number(paidAmount) < Number(existingData.amount) ||
+      (existingData.currency && currency.toUpperCase() !== existingData.currency.toUpperCase())) {
+    console.error(`${paymentProcessor} payment of ${currency} ${paidAmount} does not cover transaction ${transactionId}`);
+    return false;
+  }
+
+  // Capture endpoints, webhooks and reconciliation can all report the same payment.
+  // Disputed payments may return to success, but only when the dispute is resolved.
+  if (existingData.status === 'disputed' || !canTransitionTransaction(existingData.status, 'success')) {
+    console.log(`Transaction ${transactionId} already ${existingData.status}, skipping`);
+    return false;
+  }
+
+  const payerUpdates = {
+    ...(!existingData.payerEmail && payer.email && { payerEmail: payer.email }),
+    ...(!existingData.payerPhone && payer.phone && { payerPhone: payer.phone }),
+    ...(!existingData.payerName && payer.name && { payerName: payer.name })
+  };
+
+  await transitionTransaction(transactionId, 'success', {
+    actor: `provider:${paymentProcessor}`,
+    sourceEvent: sourceEvent || `${paymentProcessor}:${receiptNumber || 'payment'}`,
+    updates: {
+      ...updates,
+      ...payerUpdates,
+      paymentProcessor,
+      completedAt: serverTimestamp()
+    }
+  });
+
+  console.log(`Transaction ${transactionId} marked as successful`);
+
+  await runPostPaymentPipeline(transactionId, {
+    ...existingData,
+    ...updates,
+    ...payerUpdates,
+    paymentProcessor
+  }, { receiptNumber, fee });
+
+  return true;
+};
+
+module.exports = {
+  markPaymentSuccessful,
+  runPostPaymentPipeline,
+  getPaymentMethodName
+};
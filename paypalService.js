@@ -1,8 +1,15 @@
 const axios = require('axios');
 const admin = require('firebase-admin');
-const { doc: firestoreDoc, getDoc, updateDoc, serverTimestamp } = require("firebase/firestore");
+const { doc: firestoreDoc, getDoc, setDoc, collection, query, where, limit, getDocs, arrayUnion, serverTimestamp } = require("firebase/firestore");
 const { db: firestoreDb } = require("./firebase");
-const { sendPaymentConfirmationEmail } = require("./emailService");
+const { markPaymentSuccessful } = require("./paymentService");
+const { emitTransactionEvent } = require("./webhookService");
+const { adjustCustomerSpend, updateInvoiceStatus } = require("./invoiceService");
+const { processOnce } = require("./idempotencyService");
+const { canTransitionTransaction, transitionTransaction } = require("./statusService");
+const { recordReversal } = require("./ledgerService");
+const { getCachedToken, invalidateToken, fingerprintCredentials } = require("./tokenCache");
+const { decryptValue } = require("./credentialService");
 
 // Use sandbox credentials as fallback
 const DEFAULT_PAYPAL_CLIENT_ID = 'AQwaPBBf1-OF1TS_29leZUm_NWcZMJnpnODwIB6FSoXJykYNPKIzuJLe1uXV0pT-qwuJHvEhEfOUUJR9';
@@ -13,7 +20,8 @@ const SANDBOX_API_URL = 'https://api-m.sandbox.paypal.com';
 const PRODUCTION_API_URL = 'https://api-m.paypal.com';
 
 /**
- * Gets PayPal credentials for a merchant
+ * Gets PayPal credentials for a merchant, falling back to the sandbox defaults only when PayPal
+ * isn't configured. A secret that can't be read or decrypted is an error.
  * @param {string} merchantId - The merchant's user ID
  * @returns {Promise<Object>} - PayPal credentials
  */
@@ -27,46 +35,36 @@ const getPayPalCredentials = async (merchantId) => {
     };
   }
   
-  try {
-    // Get merchant settings from Firestore
-    const settingsRef = firestoreDoc(firestoreDb, 'merchantSettings', merchantId);
-    const settingsDoc = await getDoc(settingsRef);
-    
-    if (!settingsDoc.exists()) {
-      console.warn(`No settings found for merchant ${merchantId}, using default credentials`);
-      return {
-        clientId: DEFAULT_PAYPAL_CLIENT_ID,
-        clientSecret: DEFAULT_PAYPAL_SECRET,
-        environment: 'sandbox'
-      };
-    }
-    
-    const settings = settingsDoc.data();
-    
-    if (!settings.paypal || !settings.paypal.clientId || !settings.paypal.clientSecret || !settings.paypal.enabled) {
-      console.warn(`PayPal not properly configured for merchant ${merchantId}, using default credentials`);
-      return {
-        clientId: DEFAULT_PAYPAL_CLIENT_ID,
-        clientSecret: DEFAULT_PAYPAL_SECRET,
-        environment: 'sandbox'
-      };
-    }
-    
-    // Use the merchant's credentials
+  // Get merchant settings from Firestore
+  const settingsRef = firestoreDoc(firestoreDb, 'merchantSettings', merchantId);
+  const settingsDoc = await getDoc(settingsRef);
+  
+  if (!settingsDoc.exists()) {
+    console.warn(`No settings found for merchant ${merchantId}, using default credentials`);
     return {
-      clientId: settings.paypal.clientId,
-      clientSecret: settings.paypal.clientSecret,
-      environment: settings.paypal.environment || 'sandbox'
+      clientId: DEFAULT_PAYPAL_CLIENT_ID,
+      clientSecret: DEFAULT_PAYPAL_SECRET,
+      environment: 'sandbox'
     };
-  } catch (error) {
-    console.error('Error getting PayPal credentials:', error);
-    // Fallback to default credentials
+  }
+  
+  const settings = settingsDoc.data();
+  
+  if (!settings.paypal || !settings.paypal.clientId || !settings.paypal.clientSecret || !settings.paypal.enabled) {
+    console.warn(`PayPal not properly configured for merchant ${merchantId}, using default credentials`);
     return {
       clientId: DEFAULT_PAYPAL_CLIENT_ID,
       clientSecret: DEFAULT_PAYPAL_SECRET,
       environment: 'sandbox'
     };
   }
+  
+  // Use the merchant's credentials
+  return {
+    clientId: settings.paypal.clientId,
+    clientSecret: await decryptValue(settings.paypal.clientSecret),
+    environment: settings.paypal.environment || 'sandbox'
+  };
 };
 
 /**
@@ -78,31 +76,76 @@ const getAccessToken = async (credentials) => {
   try {
     const { clientId, clientSecret, environment } = credentials;
     const baseURL = environment === 'production' ? PRODUCTION_API_URL : SANDBOX_API_URL;
-    
-    const auth = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
-    
-    console.log(`Getting PayPal access token from ${baseURL}/v1/oauth2/token`);
-    
-    const response = await axios({
-      method: 'post',
-      url: `${baseURL}/v1/oauth2/token`,
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'Accept': 'application/json',
-        'Accept-Language': 'en_US',
-        'Authorization': `Basic ${auth}`
-      },
-      data: 'grant_type=client_credentials'
+
+    // Changing the credentials or environment changes the fingerprint, so the old token is never reused
+    const fingerprint = fingerprintCredentials(baseURL, clientId, clientSecret);
+
+    return await getCachedToken(`paypal:${clientId}`, fingerprint, async () => {
+      const auth = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
+
+      console.log(`Getting PayPal access token from ${baseURL}/v1/oauth2/token`);
+
+      const response = await axios({
+        method: 'post',
+        url: `${baseURL}/v1/oauth2/token`,
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Accept': 'application/json',
+          'Accept-Language': 'en_US',
+          'Authorization': `Basic ${auth}`
+        },
+        data: 'grant_type=client_credentials'
+      });
+
+      console.log('PayPal access token obtained successfully');
+      return {
+        accessToken: response.data.access_token,
+        expiresIn: response.data.expires_in
+      };
     });
-    
-    console.log('PayPal access token obtained successfully');
-    return response.data.access_token;
   } catch (error) {
     console.error('Error getting PayPal access token:', error.response?.data || error.message);
     throw new Error('Failed to get PayPal access token');
   }
 };
 
+/**
+ * Sends an authenticated request to the PayPal API, fetching a new token and retrying once
+ * if PayPal rejects the cached one
+ * @param {Object} credentials - PayPal credentials
+ * @param {Object} config - Axios request config (method, path, data, extra headers)
+ * @returns {Promise<Object>} - The axios response
+ */
+const sendPayPalRequest = async (credentials, { method, path, data, headers = {} }) => {
+  const baseURL = credentials.environment === 'production' ? PRODUCTION_API_URL : SANDBOX_API_URL;
+
+  const send = async () => {
+    const accessToken = await getAccessToken(credentials);
+    return axios({
+      method,
+      url: `${baseURL}${path}`,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${accessToken}`,
+        ...headers
+      },
+      data
+    });
+  };
+
+  try {
+    return await send();
+  } catch (error) {
+    if (error.response?.status !== 401) {
+      throw error;
+    }
+
+    console.warn('PayPal rejected the cached access token, retrying with a new one');
+    invalidateToken(`paypal:${credentials.clientId}`);
+    return send();
+  }
+};
+
 /**
  * Creates a PayPal order
  * @param {Object} paymentData - Payment data including amount, currency, description
@@ -120,18 +163,11 @@ const createOrder = async (paymentData) => {
     
     // Get PayPal credentials for this merchant
     const credentials = await getPayPalCredentials(merchantId);
-    const accessToken = await getAccessToken(credentials);
-    
-    const baseURL = credentials.environment === 'production' ? PRODUCTION_API_URL : SANDBOX_API_URL;
     
           // Create PayPal order
-      const response = await axios({
+      const response = await sendPayPalRequest(credentials, {
         method: 'post',
-        url: `${baseURL}/v2/checkout/orders`,
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${accessToken}`
-        },
+        path: '/v2/checkout/orders',
         data: {
           intent: 'CAPTURE',
           purchase_units: [{
@@ -181,26 +217,30 @@ const capturePayment = async (orderId, merchantId) => {
     
     // Get PayPal credentials for this merchant
     const credentials = await getPayPalCredentials(merchantId);
-    const accessToken = await getAccessToken(credentials);
-    
-    const baseURL = credentials.environment === 'production' ? PRODUCTION_API_URL : SANDBOX_API_URL;
     
     // Capture the payment
-    const response = await axios({
+    const response = await sendPayPalRequest(credentials, {
       method: 'post',
-      url: `${baseURL}/v2/checkout/orders/${orderId}/capture`,
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${accessToken}`
-      }
+      path: `/v2/checkout/orders/${orderId}/capture`
     });
     
     // Extract transaction ID from the custom_id field
     const customId = response.data.purchase_units[0]?.custom_id;
+    const capture = response.data.purchase_units[0]?.payments?.captures[0];
     
-    if (customId) {
-      // This is our transaction ID
-      await handleSuccessfulPayment(response.data, customId);
+    if (customId && capture) {
+      // This is our transaction ID, but the order could have been created with another merchant's
+      if (!(await isMerchantTransaction(merchantId, customId))) {
+        console.error(`PayPal order ${orderId} was captured for transaction ${customId}, which doesn't belong to merchant ${merchantId}`);
+        throw new Error('Transaction not found');
+      }
+      
+      // Captures held for review complete later through the webhook
+      if (capture.status === 'COMPLETED') {
+        await handleSuccessfulPayment(merchantId, customId, { orderId: response.data.id, capture });
+      } else if (capture.status === 'PENDING') {
+        await handlePendingCapture(customId, capture);
+      }
     }
     
     return {
@@ -214,87 +254,413 @@ const capturePayment = async (orderId, merchantId) => {
   }
 };
 
+/**
+ * Refunds all or part of a captured PayPal payment
+ * @param {Object} refundData - Merchant ID, capture ID, amount, currency and our refund ID
+ * @returns {Promise<Object>} - Provider refund ID, normalized status and raw response
+ */
+const refundCapture = async (refundData) => {
+  const { merchantId, captureId, amount, currency = 'usd', refundId, reason } = refundData;
+  
+  if (!captureId) {
+    throw new Error('Transaction has no PayPal capture to refund');
+  }
+  
+  const credentials = await getPayPalCredentials(merchantId);
+  
+  const response = await sendPayPalRequest(credentials, {
+    method: 'post',
+    path: `/v2/payments/captures/${captureId}/refund`,
+    headers: {
+      // Retrying the same refund must not refund the capture twice
+      'PayPal-Request-Id': refundId
+    },
+    data: {
+      amount: {
+        value: Number(amount).toFixed(2),
+        currency_code: currency.toUpperCase()
+      },
+      invoice_id: refundId,
+      note_to_payer: reason || 'Refund from PayNow'
+    }
+  });
+  
+  const { id, status } = response.data;
+  
+  return {
+    providerRefundId: id,
+    status: status === 'COMPLETED' ? 'success' : status === 'CANCELLED' || status === 'FAILED' ? 'failed' : 'processing',
+    failureReason: response.data.status_details?.reason || null,
+    providerResponse: { id, status }
+  };
+};
+
+/**
+ * Gets the fee PayPal kept from a capture
+ * @param {Object} capture - PayPal capture resource
+ * @returns {number} - The fee, or 0 if PayPal didn't report one
+ */
+const getCaptureFee = (capture) => Number(capture.seller_receivable_breakdown?.paypal_fee?.value || 0);
+
 /**
  * Handles successful PayPal payments
- * @param {Object} captureData - PayPal capture data
+ * @param {string} merchantId - The merchant whose PayPal credentials reported the capture
  * @param {string} transactionId - Transaction ID
+ * @param {Object} payment - The PayPal order ID and capture resource
  * @returns {Promise<void>}
  */
-const handleSuccessfulPayment = async (captureData, transactionId) => {
+const handleSuccessfulPayment = async (merchantId, transactionId, { orderId, capture }) => {
   try {
     if (!transactionId) {
       console.error('No transaction ID found in PayPal capture data');
       return;
     }
     
-    const captureId = captureData.purchase_units[0]?.payments?.captures[0]?.id;
-    
-    // Update transaction in Firestore
-    const transactionRef = firestoreDoc(firestoreDb, 'transactions', transactionId);
-    await updateDoc(transactionRef, {
-      status: 'success',
-      paypalOrderId: captureData.id,
-      paypalCaptureId: captureId,
-      completedAt: serverTimestamp(),
-      paymentProcessor: 'paypal'
+    // The capture endpoint and the capture webhook both land here for the same payment
+    await markPaymentSuccessful(transactionId, {
+      merchantId,
+      paidAmount: capture.amount?.value,
+      currency: capture.amount?.currency_code,
+      paymentProcessor: 'paypal',
+      receiptNumber: capture.id,
+      fee: getCaptureFee(capture),
+      updates: {
+        ...(orderId && { paypalOrderId: orderId }),
+        paypalCaptureId: capture.id,
+        captureStatus: 'COMPLETED'
+      }
     });
+  } catch (error) {
+    console.error('Error handling successful payment:', error);
+    throw error;
+  }
+};
+
+/**
+ * Handles PayPal captures held for review (e.g. eCheck or a risk review)
+ * @param {string} transactionId - Transaction ID
+ * @param {Object} capture - PayPal capture resource
+ * @returns {Promise<void>}
+ */
+const handlePendingCapture = async (transactionId, capture) => {
+  const transactionRef = firestoreDoc(firestoreDb, 'transactions', transactionId);
+  const existingDoc = await getDoc(transactionRef);
+  
+  if (!existingDoc.exists()) {
+    console.warn('No transaction found with ID:', transactionId);
+    return;
+  }
+  
+  // A pending notification arriving after completion must not downgrade the payment
+  if (!canTransitionTransaction(existingDoc.data().status, 'processing')) {
+    console.log(`Transaction ${transactionId} already ${existingDoc.data().status}, ignoring pending capture`);
+    return;
+  }
+  
+  await transitionTransaction(transactionId, 'processing', {
+    actor: 'provider:paypal',
+    sourceEvent: `paypal.capture_pending:${capture.id}`,
+    updates: {
+      paypalCaptureId: capture.id,
+      captureStatus: 'PENDING',
+      pendingReason: capture.status_details?.reason || null,
+      paymentProcessor: 'paypal'
+    }
+  });
+  
+  console.log(`Transaction ${transactionId} capture pending: ${capture.status_details?.reason || 'unknown reason'}`);
+};
+
+/**
+ * Handles denied PayPal captures
+ * @param {string} transactionId - Transaction ID
+ * @param {Object} capture - PayPal capture resource
+ * @returns {Promise<void>}
+ */
+const handleFailedPayment = async (transactionId, capture) => {
+  try {
+    const transactionRef = firestoreDoc(firestoreDb, 'transactions', transactionId);
+    const existingDoc = await getDoc(transactionRef);
     
-    // Get the full transaction data for the email
-    const transactionDoc = await getDoc(transactionRef);
-    if (transactionDoc.exists()) {
-      const transactionData = transactionDoc.data();
-      
-      // Send email confirmation if email is available
-      if (transactionData.payerEmail) {
-        await sendPaymentConfirmationEmail({
-          transactionId,
-          email: transactionData.payerEmail,
-          customerName: transactionData.payerName,
-          amount: transactionData.amount,
-          currency: transactionData.currency,
-          paymentMethod: 'PayPal',
-          description: transactionData.description,
-          receiptNumber: captureId
-        });
-      }
+    if (!existingDoc.exists()) {
+      console.warn('No transaction found with ID:', transactionId);
+      return;
     }
     
-    console.log(`Transaction ${transactionId} marked as successful`);
+    // A late failure must never downgrade a successful payment
+    if (!canTransitionTransaction(existingDoc.data().status, 'failed')) {
+      console.log(`Transaction ${transactionId} already ${existingDoc.data().status}, ignoring failure`);
+      return;
+    }
+    
+    // Update transaction in Firestore
+    await transitionTransaction(transactionId, 'failed', {
+      actor: 'provider:paypal',
+      sourceEvent: `paypal.capture_denied:${capture.id}`,
+      updates: {
+        paypalCaptureId: capture.id,
+        captureStatus: 'DENIED',
+        failureReason: capture.status_details?.reason || 'Payment denied by PayPal',
+        paymentProcessor: 'paypal'
+      }
+    });
+    
+    console.log(`Transaction ${transactionId} marked as failed`);
+
+    await emitTransactionEvent('payment.failed', transactionId);
   } catch (error) {
-    console.error('Error handling successful payment:', error);
-    // Don't throw error to prevent webhook processing failure
+    console.error('Error handling failed payment:', error);
+    throw error;
+  }
+};
+
+/**
+ * Handles a refund of a PayPal capture, whether made through the refunds API or the PayPal dashboard
+ * @param {string} transactionId - Transaction ID
+ * @param {Object} refund - PayPal refund resource
+ * @returns {Promise<void>}
+ */
+const handleCaptureRefunded = async (transactionId, refund) => {
+  // Required here because refundService depends on this module
+  const { completeRefund, recordProviderRefund } = require('./refundService');
+  
+  // Refunds made through the refunds API carry our refund ID as the invoice ID
+  if (refund.invoice_id) {
+    const refundDoc = await getDoc(firestoreDoc(firestoreDb, 'refunds', refund.invoice_id));
+    if (refundDoc.exists()) {
+      await completeRefund(refund.invoice_id, { status: 'success', providerRefundId: refund.id });
+      return;
+    }
+  }
+  
+  await recordProviderRefund('paypal', transactionId, {
+    providerRefundId: refund.id,
+    amount: Number(refund.amount?.value || 0),
+    reason: refund.note_to_payer || 'Refunded through PayPal'
+  });
+};
+
+/**
+ * Handles a capture reversed by PayPal, e.g. after a chargeback
+ * @param {string} transactionId - Transaction ID
+ * @param {Object} reversal - PayPal refund resource describing the reversal
+ * @returns {Promise<void>}
+ */
+const handleCaptureReversed = async (transactionId, reversal) => {
+  const transactionRef = firestoreDoc(firestoreDb, 'transactions', transactionId);
+  const transactionDoc = await getDoc(transactionRef);
+  
+  if (!transactionDoc.exists()) {
+    console.warn('No transaction found with ID:', transactionId);
+    return;
+  }
+  
+  const transactionData = transactionDoc.data();
+  
+  // PayPal retries webhooks and a dispute can report the same reversal again
+  if ((transactionData.paypalReversalIds || []).includes(reversal.id)) {
+    console.log(`PayPal reversal ${reversal.id} already applied to transaction ${transactionId}`);
+    return;
+  }
+  
+  const amount = Number(reversal.amount?.value || transactionData.amount);
+  const reversedAmount = (transactionData.reversedAmount || 0) + amount;
+  const fullReversal = reversedAmount + (transactionData.refundedAmount || 0) >= Number(transactionData.amount);
+  const newStatus = fullReversal ? 'reversed' : 'partially_reversed';
+  
+  if (!canTransitionTransaction(transactionData.status, newStatus)) {
+    console.warn(`Ignoring PayPal reversal ${reversal.id} moving transaction ${transactionId} from ${transactionData.status} to ${newStatus}`);
+    return;
   }
+  
+  await transitionTransaction(transactionId, newStatus, {
+    actor: 'provider:paypal',
+    sourceEvent: `paypal.capture_reversed:${reversal.id}`,
+    updates: {
+      reversedAmount,
+      reversalStatus: 'success',
+      paypalReversalId: reversal.id,
+      paypalReversalIds: arrayUnion(reversal.id),
+      reversalReason: reversal.status_details?.reason || 'Reversed by PayPal',
+      reversedAt: serverTimestamp()
+    }
+  });
+
+  await recordReversal(transactionId, transactionData, { reversalId: reversal.id, amount });
+  
+  await updateInvoiceStatus(transactionId, {
+    status: newStatus,
+    reversedAmount
+  });
+  
+  await adjustCustomerSpend({ id: transactionId, ...transactionData }, {
+    amount,
+    status: newStatus,
+    fullReversal
+  });
+  
+  console.log(`Transaction ${transactionId} marked as ${newStatus}`);
+};
+
+/**
+ * Moves a disputed transaction back to the status it had before the dispute was opened
+ * @param {string} transactionId - The transaction ID
+ * @param {Object} transactionData - The transaction
+ * @param {Object} dispute - PayPal dispute resource
+ * @param {string} event_type - PayPal event type
+ * @returns {Promise<void>}
+ */
+const restoreDisputedTransaction = async (transactionId, transactionData, dispute, event_type) => {
+  // Disputes opened before the transaction was flagged have nothing to restore
+  if (transactionData.status !== 'disputed') {
+    return;
+  }
+
+  await transitionTransaction(transactionId, transactionData.statusBeforeDispute || 'success', {
+    actor: 'provider:paypal',
+    sourceEvent: `paypal.${event_type}:${dispute.dispute_id}`,
+    updates: {
+      disputeStatus: 'RESOLVED',
+      disputeOutcome: dispute.dispute_outcome?.outcome_code || null
+    }
+  });
+};
+
+/**
+ * Handles CUSTOMER.DISPUTE.* events, recording the dispute and flagging its transaction
+ * @param {string} merchantId - The merchant whose webhook ID verified the event
+ * @param {string} event_type - PayPal event type
+ * @param {Object} dispute - PayPal dispute resource
+ * @returns {Promise<void>}
+ */
+const handleDisputeEvent = async (merchantId, event_type, dispute) => {
+  const disputedTransaction = dispute.disputed_transactions?.[0] || {};
+  const transactionId = disputedTransaction.custom ||
+    await findTransactionByCaptureId(disputedTransaction.seller_transaction_id);
+  
+  if (!transactionId) {
+    console.error('No transaction found for PayPal dispute:', dispute.dispute_id);
+    return;
+  }
+  
+  const transactionRef = firestoreDoc(firestoreDb, 'transactions', transactionId);
+  const transactionDoc = await getDoc(transactionRef);
+  
+  if (!transactionDoc.exists() || transactionDoc.data().ownerUid !== merchantId) {
+    console.warn('No transaction found with ID:', transactionId);
+    return;
+  }
+  
+  const transactionData = transactionDoc.data();
+  const resolved = event_type === 'CUSTOMER.DISPUTE.RESOLVED';
+  const outcome = dispute.dispute_outcome?.outcome_code || null;
+  const amount = Number(dispute.dispute_amount?.value || transactionData.amount);
+  
+  await setDoc(firestoreDoc(firestoreDb, 'disputes', `paypal_${dispute.dispute_id}`), {
+    merchantId: transactionData.ownerUid || null,
+    transactionId,
+    paymentProcessor: 'paypal',
+    disputeId: dispute.dispute_id,
+    reason: dispute.reason || null,
+    status: dispute.status || null,
+    stage: dispute.dispute_life_cycle_stage || null,
+    amount,
+    currency: dispute.dispute_amount?.currency_code || transactionData.currency || null,
+    outcome,
+    lastEventType: event_type,
+    updatedAt: serverTimestamp()
+  }, { merge: true });
+  
+  if (!resolved) {
+    if (!canTransitionTransaction(transactionData.status, 'disputed')) {
+      console.log(`Transaction ${transactionId} is ${transactionData.status}, not flagging it as disputed`);
+      return;
+    }
+
+    await transitionTransaction(transactionId, 'disputed', {
+      actor: 'provider:paypal',
+      sourceEvent: `paypal.${event_type}:${dispute.dispute_id}`,
+      updates: {
+        // Remember the status to return to if the merchant wins the dispute
+        ...(transactionData.status !== 'disputed' && { statusBeforeDispute: transactionData.status }),
+        disputeId: dispute.dispute_id,
+        disputeStatus: dispute.status || 'OPEN',
+        disputeReason: dispute.reason || null
+      }
+    });
+    console.log(`Transaction ${transactionId} marked as disputed`);
+    return;
+  }
+  
+  // Only the buyer winning moves money back; anything else restores the payment
+  if (outcome === 'RESOLVED_BUYER_FAVOUR') {
+    await restoreDisputedTransaction(transactionId, transactionData, dispute, event_type);
+    await handleCaptureReversed(transactionId, {
+      id: dispute.dispute_id,
+      amount: dispute.dispute_amount,
+      status_details: { reason: `Dispute resolved in buyer's favour: ${dispute.reason || 'unknown reason'}` }
+    });
+    return;
+  }
+  
+  await restoreDisputedTransaction(transactionId, transactionData, dispute, event_type);
+  console.log(`Dispute ${dispute.dispute_id} resolved for transaction ${transactionId}: ${outcome}`);
+};
+
+/**
+ * Checks that a transaction belongs to the merchant whose PayPal account reported it
+ * @param {string} merchantId - The merchant's user ID
+ * @param {string} transactionId - Transaction ID
+ * @returns {Promise<boolean>} - Whether the transaction exists and is the merchant's
+ */
+const isMerchantTransaction = async (merchantId, transactionId) => {
+  const transactionDoc = await getDoc(firestoreDoc(firestoreDb, 'transactions', transactionId));
+  return transactionDoc.exists() && transactionDoc.data().ownerUid === merchantId;
+};
+
+/**
+ * Finds the transaction a PayPal capture belongs to
+ * @param {string} captureId - PayPal capture ID
+ * @returns {Promise<string|null>} - Transaction ID
+ */
+const findTransactionByCaptureId = async (captureId) => {
+  if (!captureId) {
+    return null;
+  }
+  
+  const snapshot = await getDocs(query(
+    collection(firestoreDb, 'transactions'),
+    where('paypalCaptureId', '==', captureId),
+    limit(1)
+  ));
+  
+  return snapshot.empty ? null : snapshot.docs[0].id;
+};
+
+/**
+ * Gets the capture ID a PayPal refund resource belongs to from its "up" link
+ * @param {Object} resource - PayPal refund resource
+ * @returns {string|null} - PayPal capture ID
+ */
+const getParentCaptureId = (resource) => {
+  const upLink = resource?.links?.find(link => link.rel === 'up' && link.href.includes('/captures/'));
+  return upLink ? upLink.href.split('/captures/')[1].split('/')[0] : null;
 };
 
 /**
  * Handles PayPal webhook events
+ * @param {string} merchantId - The merchant whose webhook ID verified the event
  * @param {Object} event - PayPal webhook event
  * @returns {Promise<void>}
  */
-const handleWebhookEvent = async (event) => {
+const handleWebhookEvent = async (merchantId, event) => {
   try {
     const { event_type, resource } = event;
     
-    switch (event_type) {
-      case 'PAYMENT.CAPTURE.COMPLETED':
-        // Extract transaction ID from custom_id
-        const customId = resource?.custom_id || 
-                         resource?.supplementary_data?.related_ids?.order_id;
-        
-        if (customId) {
-          await handleSuccessfulPayment(resource, customId);
-        } else {
-          console.error('No transaction ID found in PayPal webhook event');
-        }
-        break;
-      case 'PAYMENT.CAPTURE.DENIED':
-      case 'PAYMENT.CAPTURE.REFUNDED':
-        // Handle failed or refunded payments
-        // Implementation would be similar to handleSuccessfulPayment
-        break;
-      default:
-        console.log(`Unhandled PayPal event type: ${event_type}`);
-    }
+    // PayPal retries webhooks, so each event is only applied once
+    await processOnce('paypal', event.id, () => applyWebhookEvent(merchantId, event_type, resource), {
+      eventType: event_type
+    });
   } catch (error) {
     console.error('Error handling PayPal webhook:', error);
     throw error;
@@ -302,19 +668,113 @@ const handleWebhookEvent = async (event) => {
 };
 
 /**
- * Verifies PayPal webhook signature
+ * Applies a PayPal webhook event
+ * @param {string} merchantId - The merchant whose webhook ID verified the event
+ * @param {string} event_type - PayPal event type
+ * @param {Object} resource - The event resource
+ * @returns {Promise<void>}
+ */
+const applyWebhookEvent = async (merchantId, event_type, resource) => {
+  if (event_type.startsWith('CUSTOMER.DISPUTE.')) {
+    await handleDisputeEvent(merchantId, event_type, resource);
+    return;
+  }
+  
+  // Capture resources carry our transaction ID as custom_id; refund resources link to their capture
+  const transactionId = resource?.custom_id ||
+    await findTransactionByCaptureId(getParentCaptureId(resource));
+  
+  if (!transactionId) {
+    console.error(`No transaction ID found in PayPal ${event_type} event`);
+    return;
+  }
+  
+  if (!(await isMerchantTransaction(merchantId, transactionId))) {
+    console.warn(`Ignoring PayPal ${event_type} event for transaction ${transactionId}, which doesn't belong to merchant ${merchantId}`);
+    return;
+  }
+  
+  switch (event_type) {
+    case 'PAYMENT.CAPTURE.COMPLETED':
+      await handleSuccessfulPayment(merchantId, transactionId, {
+        orderId: resource.supplementary_data?.related_ids?.order_id,
+        capture: resource
+      });
+      break;
+    case 'PAYMENT.CAPTURE.PENDING':
+      await handlePendingCapture(transactionId, resource);
+      break;
+    case 'PAYMENT.CAPTURE.DENIED':
+      await handleFailedPayment(transactionId, resource);
+      break;
+    case 'PAYMENT.CAPTURE.REFUNDED':
+      await handleCaptureRefunded(transactionId, resource);
+      break;
+    case 'PAYMENT.CAPTURE.REVERSED':
+      await handleCaptureReversed(transactionId, resource);
+      break;
+    default:
+      console.log(`Unhandled PayPal event type: ${event_type}`);
+  }
+};
+
+// Headers PayPal signs every webhook delivery with
+const WEBHOOK_SIGNATURE_HEADERS = [
+  'paypal-auth-algo',
+  'paypal-cert-url',
+  'paypal-transmission-id',
+  'paypal-transmission-sig',
+  'paypal-transmission-time'
+];
+
+/**
+ * Verifies a PayPal webhook with PayPal's verify-webhook-signature API,
+ * using the webhook ID the merchant registered in their PayPal app
+ * @param {string} merchantId - The merchant the webhook endpoint belongs to
  * @param {Object} headers - Request headers
- * @param {string} body - Request body
- * @param {string} webhookId - PayPal webhook ID
+ * @param {Buffer|string} rawBody - The raw request body
  * @returns {Promise<boolean>} - Whether the signature is valid
  */
-const verifyWebhookSignature = async (headers, body, webhookId) => {
+const verifyWebhookSignature = async (merchantId, headers, rawBody) => {
   try {
-    // This is a simplified version - in production, you should implement proper verification
-    // using PayPal's verify-webhook-signature API
-    return true;
+    if (!merchantId || !rawBody) {
+      return false;
+    }
+    
+    const missingHeaders = WEBHOOK_SIGNATURE_HEADERS.filter(header => !headers[header]);
+    if (missingHeaders.length > 0) {
+      console.error('PayPal webhook is missing signature headers:', missingHeaders);
+      return false;
+    }
+    
+    const settingsDoc = await getDoc(firestoreDoc(firestoreDb, 'merchantSettings', merchantId));
+    const webhookId = settingsDoc.exists() ? settingsDoc.data().paypal?.webhookId : null;
+    
+    if (!webhookId) {
+      console.error(`PayPal webhook ID not configured for merchant ${merchantId}`);
+      return false;
+    }
+    
+    const credentials = await getPayPalCredentials(merchantId);
+    
+    // The event is embedded exactly as received, since re-serializing it can change the signed bytes
+    const data = `{"auth_algo":${JSON.stringify(headers['paypal-auth-algo'])},` +
+      `"cert_url":${JSON.stringify(headers['paypal-cert-url'])},` +
+      `"transmission_id":${JSON.stringify(headers['paypal-transmission-id'])},` +
+      `"transmission_sig":${JSON.stringify(headers['paypal-transmission-sig'])},` +
+      `"transmission_time":${JSON.stringify(headers['paypal-transmission-time'])},` +
+      `"webhook_id":${JSON.stringify(webhookId)},` +
+      `"webhook_event":${rawBody.toString()}}`;
+    
+    const response = await sendPayPalRequest(credentials, {
+      method: 'post',
+      path: '/v1/notifications/verify-webhook-signature',
+      data
+    });
+    
+    return response.data.verification_status === 'SUCCESS';
   } catch (error) {
-    console.error('Error verifying PayPal webhook signature:', error);
+    console.error('Error verifying PayPal webhook signature:', error.response?.data || error.message);
     return false;
   }
 };
@@ -354,9 +814,66 @@ const testCredentials = async (credentials) => {
   }
 };
 
+/**
+ * Gets the current status of a PayPal order
+ * @param {string} merchantId - The merchant's user ID
+ * @param {string} orderId - PayPal order ID
+ * @returns {Promise<Object>} - Normalized status and the order
+ */
+const getOrderStatus = async (merchantId, orderId) => {
+  const credentials = await getPayPalCredentials(merchantId);
+  const response = await sendPayPalRequest(credentials, {
+    method: 'get',
+    path: `/v2/checkout/orders/${orderId}`
+  });
+  
+  const capture = response.data.purchase_units?.[0]?.payments?.captures?.[0];
+  let status = 'pending';
+  if (capture?.status === 'COMPLETED') {
+    status = 'success';
+  } else if (capture?.status === 'DECLINED' || capture?.status === 'FAILED') {
+    status = 'failed';
+  } else if (response.data.status === 'VOIDED') {
+    status = 'cancelled';
+  }
+  
+  return { status, providerResponse: response.data };
+};
+
+/**
+ * PayPal payment provider, registered in providerRegistry.js
+ */
+const provider = {
+  name: 'paypal',
+  initiate: async (merchantId, { amount, currency, description, metadata, transactionId }) => {
+    const order = await createOrder({ amount, currency, description, metadata, transactionId, merchantId });
+    return { reference: order.orderId, status: order.status, links: order.links };
+  },
+  verify: getOrderStatus,
+  refund: (refund, transactionData) => refundCapture({
+    merchantId: refund.merchantId,
+    captureId: transactionData.paypalCaptureId,
+    amount: refund.amount,
+    currency: refund.currency,
+    refundId: refund.id,
+    reason: refund.reason
+  }),
+  parseWebhook: async ({ merchantId, headers, rawBody, body }) => {
+    const isValid = await verifyWebhookSignature(merchantId, headers, rawBody);
+    if (!isValid) {
+      throw new Error('PayPal webhook signature verification failed');
+    }
+    return { merchantId, payload: body };
+  },
+  handleWebhook: (event) => handleWebhookEvent(event.merchantId, event.payload)
+};
+
 module.exports = {
+  provider,
   createOrder,
+  getOrderStatus,
   capturePayment,
+  refundCapture,
   handleWebhookEvent,
   verifyWebhookSignature,
   testCredentials,
@@ -1,7 +1,12 @@
 const axios = require('axios');
-const { doc, updateDoc, serverTimestamp, getDoc } = require("firebase/firestore");
+const crypto = require('crypto');
+const { doc, getDoc } = require("firebase/firestore");
 const { db } = require("./firebase");
-const { sendPaymentConfirmationEmail } = require("./emailService");
+const { markPaymentSuccessful } = require("./paymentService");
+const { emitTransactionEvent } = require("./webhookService");
+const { processOnce } = require("./idempotencyService");
+const { canTransitionTransaction, transitionTransaction } = require("./statusService");
+const { decryptValue } = require("./credentialService");
 
 // Paystack API base URL
 const PAYSTACK_API_URL = 'https://api.paystack.co';
@@ -9,8 +14,12 @@ const PAYSTACK_API_URL = 'https://api.paystack.co';
 // Default Paystack key for testing
 const DEFAULT_PAYSTACK_SECRET_KEY = 'sk_test_c449a3c5c2bef1e8f7b87add1c6a5a9b1b66a88c';
 
+// IP addresses Paystack sends webhooks from (https://paystack.com/docs/payments/webhooks)
+const PAYSTACK_WEBHOOK_IPS = ['52.31.139.75', '52.49.173.169', '52.214.14.220'];
+
 /**
- * Gets the Paystack secret key for a merchant
+ * Gets the Paystack secret key for a merchant. Errors reading or decrypting it are thrown,
+ * so charges never silently go to the default account.
  * @param {string} merchantId - The merchant's user ID
  * @returns {Promise<string>} - Paystack secret key
  */
@@ -20,28 +29,23 @@ const getPaystackSecretKey = async (merchantId) => {
     return DEFAULT_PAYSTACK_SECRET_KEY;
   }
   
-  try {
-    // Get merchant settings from Firestore
-    const settingsRef = doc(db, 'merchantSettings', merchantId);
-    const settingsDoc = await getDoc(settingsRef);
-    
-    if (!settingsDoc.exists()) {
-      console.warn(`No settings found for merchant ${merchantId}, using default key`);
-      return DEFAULT_PAYSTACK_SECRET_KEY;
-    }
-    
-    const settings = settingsDoc.data();
-    
-    if (!settings.paystack || !settings.paystack.secretKey || !settings.paystack.enabled) {
-      console.warn(`Paystack not properly configured for merchant ${merchantId}, using default key`);
-      return DEFAULT_PAYSTACK_SECRET_KEY;
-    }
-    
-    return settings.paystack.secretKey;
-  } catch (error) {
-    console.error('Error getting Paystack secret key:', error);
+  // Get merchant settings from Firestore
+  const settingsRef = doc(db, 'merchantSettings', merchantId);
+  const settingsDoc = await getDoc(settingsRef);
+  
+  if (!settingsDoc.exists()) {
+    console.warn(`No settings found for merchant ${merchantId}, using default key`);
+    return DEFAULT_PAYSTACK_SECRET_KEY;
+  }
+  
+  const settings = settingsDoc.data();
+  
+  if (!settings.paystack || !settings.paystack.secretKey || !settings.paystack.enabled) {
+    console.warn(`Paystack not properly configured for merchant ${merchantId}, using default key`);
     return DEFAULT_PAYSTACK_SECRET_KEY;
   }
+  
+  return await decryptValue(settings.paystack.secretKey);
 };
 
 /**
@@ -115,25 +119,185 @@ const verifyTransaction = async (reference, merchantId) => {
   }
 };
 
+/**
+ * Refunds all or part of a Paystack transaction
+ * @param {Object} refundData - Merchant ID, Paystack reference, amount and reason
+ * @returns {Promise<Object>} - Provider refund ID, normalized status and raw response
+ */
+const refundTransaction = async (refundData) => {
+  const { merchantId, reference, amount, currency, reason } = refundData;
+  
+  if (!reference) {
+    throw new Error('Transaction has no Paystack reference to refund');
+  }
+  
+  const secretKey = await getPaystackSecretKey(merchantId);
+  
+  const response = await axios.post(`${PAYSTACK_API_URL}/refund`, {
+    transaction: reference,
+    amount: Math.round(amount * 100),
+    ...(currency && { currency: currency.toUpperCase() }),
+    merchant_note: reason || 'Refund from PayNow'
+  }, {
+    headers: {
+      'Authorization': `Bearer ${secretKey}`,
+      'Content-Type': 'application/json'
+    }
+  });
+  
+  const refund = response.data.data;
+  
+  // Paystack refunds complete asynchronously and are confirmed by a refund.processed webhook
+  return {
+    providerRefundId: refund.id?.toString(),
+    status: refund.status === 'processed' ? 'success' : refund.status === 'failed' ? 'failed' : 'processing',
+    failureReason: null,
+    providerResponse: { id: refund.id, status: refund.status }
+  };
+};
+
+/**
+ * Applies a Paystack refund webhook to the refund it belongs to
+ * @param {string} eventType - refund.processed or refund.failed
+ * @param {Object} data - Paystack refund data
+ * @returns {Promise<void>}
+ */
+const handleRefundEvent = async (eventType, data) => {
+  // Required here because refundService depends on this module
+  const { findOpenRefund, completeRefund } = require('./refundService');
+  
+  // Refund events identify the refund by ID where available, otherwise only by the charge reference
+  const refund = await findOpenRefund('paystack', {
+    providerRefundId: data?.id?.toString(),
+    transactionId: data?.transaction_reference
+  });
+  
+  if (!refund) {
+    console.warn('No open refund found for Paystack refund event:', data?.transaction_reference);
+    return;
+  }
+  
+  await completeRefund(refund.id, {
+    status: eventType === 'refund.processed' ? 'success' : 'failed',
+    failureReason: eventType === 'refund.failed' ? (data.merchant_note || 'Refund failed') : null
+  });
+};
+
+/**
+ * Gets the metadata of a Paystack event, which may arrive as a JSON string
+ * @param {Object} data - The event data
+ * @returns {Object} - Event metadata
+ */
+const getEventMetadata = (data) => {
+  if (typeof data?.metadata === 'string') {
+    try {
+      return JSON.parse(data.metadata);
+    } catch (error) {
+      return {};
+    }
+  }
+  return data?.metadata || {};
+};
+
+/**
+ * Finds the merchant a Paystack event belongs to from the stored transaction it references.
+ * The body isn't verified yet, so its metadata is only used to reject events that disagree.
+ * @param {Object} event - Paystack webhook event
+ * @returns {Promise<string|null>} - Merchant ID
+ */
+const resolveWebhookMerchant = async (event) => {
+  const data = event?.data || {};
+  const metadata = getEventMetadata(data);
+
+  const transactionId = metadata.transactionId || data.reference || data.transaction_reference;
+  if (!transactionId) {
+    return null;
+  }
+
+  const transactionDoc = await getDoc(doc(db, 'transactions', transactionId.toString()));
+  const merchantId = transactionDoc.exists() ? transactionDoc.data().ownerUid || null : null;
+
+  if (merchantId && metadata.merchantId && metadata.merchantId !== merchantId) {
+    throw new Error('Paystack event does not belong to the merchant that owns its transaction');
+  }
+
+  return merchantId;
+};
+
+/**
+ * Verifies a Paystack webhook signature against the secret key of the merchant it belongs to
+ * @param {Buffer} rawBody - The raw request body
+ * @param {string} signature - The x-paystack-signature header
+ * @returns {Promise<string>} - The merchant ID the webhook was verified for
+ */
+const verifyWebhookSignature = async (rawBody, signature) => {
+  if (!rawBody || !signature) {
+    throw new Error('Missing Paystack webhook body or signature');
+  }
+
+  // The merchant has to be resolved before the body is trusted, but only to pick the secret
+  const merchantId = await resolveWebhookMerchant(JSON.parse(rawBody.toString()));
+  if (!merchantId) {
+    throw new Error('Could not determine the merchant for this Paystack event');
+  }
+
+  const settingsDoc = await getDoc(doc(db, 'merchantSettings', merchantId));
+  const secretKey = settingsDoc.exists() ? await decryptValue(settingsDoc.data().paystack?.secretKey) : null;
+
+  // Never fall back to the default key, or anyone who knows it could forge events
+  if (!secretKey) {
+    throw new Error(`Paystack secret key not configured for merchant ${merchantId}`);
+  }
+
+  const expected = Buffer.from(crypto.createHmac('sha512', secretKey).update(rawBody).digest('hex'));
+  const received = Buffer.from(signature.toString());
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new Error('Invalid Paystack webhook signature');
+  }
+
+  return merchantId;
+};
+
+/**
+ * Checks whether a request came from one of Paystack's webhook IP addresses
+ * @param {string} ip - The client IP address
+ * @returns {boolean} - Whether the IP is one of Paystack's
+ */
+const isPaystackSourceIp = (ip) => {
+  // Express reports IPv4 clients on dual-stack sockets as IPv4-mapped IPv6 addresses
+  return PAYSTACK_WEBHOOK_IPS.includes((ip || '').replace(/^::ffff:/, ''));
+};
+
 /**
  * Handles Paystack webhook events
+ * @param {string} merchantId - The merchant whose secret key verified the event
  * @param {Object} event - Paystack webhook event
  * @returns {Promise<void>}
  */
-const handleWebhookEvent = async (event) => {
+const handleWebhookEvent = async (merchantId, event) => {
   try {
     const { event: eventType, data } = event;
     
-    switch (eventType) {
-      case 'charge.success':
-        await handleSuccessfulPayment(data);
-        break;
-      case 'charge.failed':
-        await handleFailedPayment(data);
-        break;
-      default:
-        console.log(`Unhandled event type: ${eventType}`);
-    }
+    // Paystack retries webhooks, so each event is only applied once
+    const eventId = data?.id ? `${eventType}_${data.id}` : null;
+    
+    await processOnce('paystack', eventId, async () => {
+      switch (eventType) {
+        case 'charge.success':
+          await handleSuccessfulPayment(merchantId, data);
+          break;
+        case 'charge.failed':
+          await handleFailedPayment(data);
+          break;
+        case 'refund.processed':
+        case 'refund.failed':
+          await handleRefundEvent(eventType, data);
+          break;
+        default:
+          console.log(`Unhandled event type: ${eventType}`);
+      }
+    }, { eventType });
   } catch (error) {
     console.error('Error handling Paystack webhook:', error);
     throw error;
@@ -142,12 +306,14 @@ const handleWebhookEvent = async (event) => {
 
 /**
  * Handles successful Paystack payments
+ * @param {string} merchantId - The merchant whose secret key verified the event
  * @param {Object} paymentData - Paystack payment data
  * @returns {Promise<void>}
  */
-const handleSuccessfulPayment = async (paymentData) => {
+const handleSuccessfulPayment = async (merchantId, paymentData) => {
   try {
-    const { reference, metadata, customer } = paymentData;
+    const { reference, customer } = paymentData;
+    const metadata = getEventMetadata(paymentData);
     const transactionId = metadata?.transactionId || reference;
     
     if (!transactionId) {
@@ -155,40 +321,23 @@ const handleSuccessfulPayment = async (paymentData) => {
       return;
     }
     
-    // Update transaction in Firestore
-    const transactionRef = doc(db, 'transactions', transactionId);
-    await updateDoc(transactionRef, {
-      status: 'success',
-      paystackReference: reference,
-      completedAt: serverTimestamp(),
-      paymentProcessor: 'paystack'
-    });
-    
-    // Get the full transaction data for the email
-    const transactionDoc = await getDoc(transactionRef);
-    if (transactionDoc.exists()) {
-      const transactionData = transactionDoc.data();
-      
-      // Send email confirmation if email is available
-      const email = transactionData.payerEmail || customer?.email;
-      if (email) {
-        await sendPaymentConfirmationEmail({
-          transactionId,
-          email: email,
-          customerName: transactionData.payerName || customer?.name,
-          amount: transactionData.amount,
-          currency: transactionData.currency,
-          paymentMethod: 'Paystack',
-          description: transactionData.description,
-          receiptNumber: reference
-        });
+    await markPaymentSuccessful(transactionId, {
+      merchantId,
+      // Paystack reports amounts and fees in the smallest currency unit
+      paidAmount: paymentData.amount / 100,
+      currency: paymentData.currency,
+      paymentProcessor: 'paystack',
+      receiptNumber: reference,
+      fee: paymentData.fees ? paymentData.fees / 100 : 0,
+      updates: { paystackReference: reference },
+      payer: {
+        email: customer?.email,
+        name: [customer?.first_name, customer?.last_name].filter(Boolean).join(' ') || customer?.name
       }
-    }
-    
-    console.log(`Transaction ${transactionId} marked as successful`);
+    });
   } catch (error) {
     console.error('Error handling successful payment:', error);
-    // Don't throw error to prevent webhook processing failure
+    throw error;
   }
 };
 
@@ -199,7 +348,8 @@ const handleSuccessfulPayment = async (paymentData) => {
  */
 const handleFailedPayment = async (paymentData) => {
   try {
-    const { reference, metadata, gateway_response } = paymentData;
+    const { reference, gateway_response } = paymentData;
+    const metadata = getEventMetadata(paymentData);
     const transactionId = metadata?.transactionId || reference;
     
     if (!transactionId) {
@@ -207,26 +357,77 @@ const handleFailedPayment = async (paymentData) => {
       return;
     }
     
-    // Update transaction in Firestore
     const transactionRef = doc(db, 'transactions', transactionId);
-    await updateDoc(transactionRef, {
-      status: 'failed',
-      paystackReference: reference,
-      failureReason: gateway_response || 'Payment failed',
-      updatedAt: serverTimestamp(),
-      paymentProcessor: 'paystack'
+    const existingDoc = await getDoc(transactionRef);
+    
+    // A late failure must never downgrade a successful payment
+    if (existingDoc.exists() && !canTransitionTransaction(existingDoc.data().status, 'failed')) {
+      console.log(`Transaction ${transactionId} already ${existingDoc.data().status}, ignoring failure`);
+      return;
+    }
+    
+    // Update transaction in Firestore
+    await transitionTransaction(transactionId, 'failed', {
+      actor: 'provider:paystack',
+      sourceEvent: `paystack.charge.failed:${reference}`,
+      updates: {
+        paystackReference: reference,
+        failureReason: gateway_response || 'Payment failed',
+        paymentProcessor: 'paystack'
+      }
     });
     
     console.log(`Transaction ${transactionId} marked as failed`);
+
+    await emitTransactionEvent('payment.failed', transactionId);
   } catch (error) {
     console.error('Error handling failed payment:', error);
     throw error;
   }
 };
 
+/**
+ * Paystack payment provider, registered in providerRegistry.js
+ */
+const provider = {
+  name: 'paystack',
+  initiate: async (merchantId, { amount, email, callbackUrl, metadata, transactionId }) => {
+    const result = await initializeTransaction({ amount, email, reference: transactionId, callbackUrl, metadata, merchantId });
+    return { reference: result.reference, authorizationUrl: result.authorization_url, accessCode: result.access_code };
+  },
+  verify: async (merchantId, reference) => {
+    const result = await verifyTransaction(reference, merchantId);
+    let status = 'pending';
+    if (result.status === 'success') {
+      status = 'success';
+    } else if (result.status === 'failed' || result.status === 'reversed') {
+      status = 'failed';
+    } else if (result.status === 'abandoned') {
+      status = 'cancelled';
+    }
+    return { status, providerResponse: result };
+  },
+  refund: (refund, transactionData) => refundTransaction({
+    merchantId: refund.merchantId,
+    reference: transactionData.paystackReference || refund.transactionId,
+    amount: refund.amount,
+    currency: transactionData.currency,
+    reason: refund.reason
+  }),
+  parseWebhook: async ({ headers, rawBody, body }) => {
+    const merchantId = await verifyWebhookSignature(rawBody, headers['x-paystack-signature']);
+    return { merchantId, payload: body };
+  },
+  handleWebhook: (event) => handleWebhookEvent(event.merchantId, event.payload)
+};
+
 module.exports = {
+  provider,
   initializeTransaction,
   verifyTransaction,
+  refundTransaction,
   handleWebhookEvent,
+  verifyWebhookSignature,
+  isPaystackSourceIp,
   getPaystackSecretKey,
 };
@@ -0,0 +1,68 @@
+const { provider: mpesaProvider } = require("./mpesaService");
+const { provider: stripeProvider } = require("./stripeService");
+const { provider: paypalProvider } = require("./paypalService");
+const { provider: paystackProvider } = require("./paystackService");
+const { provider: airtelProvider } = require("./airtelService");
+const { provider: flutterwaveProvider } = require("./flutterwaveService");
+
+/**
+ * A payment provider. Each provider module exports one of these as `provider`;
+ * successful payments must be settled through markPaymentSuccessful in paymentService.js.
+ * @typedef {Object} PaymentProvider
+ * @property {string} name - The provider's `paymentProcessor` value
+ * @property {Function} initiate - (merchantId, paymentData) => Promise<{ reference, ... }> starts a payment
+ * @property {Function} verify - (merchantId, reference) => Promise<{ status, providerResponse }> checks a payment,
+ *   status being 'success', 'pending', 'failed' or 'cancelled'
+ * @property {Function} refund - (refund, transactionData) => Promise<{ providerRefundId, status, ... }> refunds a payment,
+ *   status being 'success', 'processing' or 'failed'
+ * @property {Function} parseWebhook - ({ merchantId, params, headers, rawBody, body }) => Promise<Object> verifies
+ *   a webhook and returns the event, throwing if it can't be trusted
+ * @property {Function} handleWebhook - (event) => Promise applies an event returned by parseWebhook
+ */
+
+// Providers keyed by the paymentProcessor stored on transactions
+const providers = new Map();
+
+/**
+ * Registers a payment provider
+ * @param {PaymentProvider} provider - The provider
+ */
+const registerProvider = (provider) => {
+  const missing = ['initiate', 'verify', 'refund', 'parseWebhook', 'handleWebhook']
+    .filter(method => typeof provider[method] !== 'function');
+
+  if (!provider.name || missing.length > 0) {
+    throw new Error(`Invalid payment provider '${provider.name}': missing ${missing.join(', ') || 'name'}`);
+  }
+
+  providers.set(provider.name, provider);
+};
+
+/**
+ * Gets the provider for a payment processor
+ * @param {string} paymentProcessor - The payment processor (mpesa, stripe, paypal, paystack, airtel, flutterwave)
+ * @returns {PaymentProvider} - The provider
+ */
+const getProvider = (paymentProcessor) => {
+  const provider = providers.get(paymentProcessor);
+
+  if (!provider) {
+    throw new Error(`Unsupported payment processor '${paymentProcessor}'`);
+  }
+
+  return provider;
+};
+
+/**
+ * Lists the registered payment processors
+ * @returns {Array<string>} - Payment processor names
+ */
+const getProviderNames = () => Array.from(providers.keys());
+
+[mpesaProvider, stripeProvider, paypalProvider, paystackProvider, airtelProvider, flutterwaveProvider].forEach(registerProvider);
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  getProviderNames
+};
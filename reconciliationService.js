@@ -0,0 +1,186 @@
+const { doc, collection, query, where, getDocs, getDoc, updateDoc, serverTimestamp } = require("firebase/firestore");
+const { db } = require("./firebase");
+const { queryStkPushStatus } = require("./mpesaService");
+const { markPaymentSuccessful } = require("./paymentService");
+const { emitTransactionEvent } = require("./webhookService");
+const { canTransitionTransaction, transitionTransaction } = require("./statusService");
+
+// How long a transaction must have been pending before we query it
+const DEFAULT_PENDING_MINUTES = parseInt(process.env.MPESA_RECONCILE_AFTER_MINUTES, 10) || 5;
+
+// Give up on transactions M-Pesa still can't tell us about after this many queries
+const MAX_RECONCILE_ATTEMPTS = 10;
+
+/**
+ * Gets the time a pending transaction was sent to M-Pesa
+ * @param {Object} transactionData - The transaction data
+ * @returns {Date|null} - When the STK push was sent
+ */
+const getPendingSince = (transactionData) => {
+  const timestamp = transactionData.stkPushedAt || transactionData.createdAt;
+  return timestamp?.seconds ? new Date(timestamp.seconds * 1000) : null;
+};
+
+/**
+ * Applies an STK query result to a pending transaction
+ * @param {string} transactionId - The transaction ID
+ * @param {Object} queryResult - The Daraja STK query response
+ * @returns {Promise<string>} - The outcome ('success', 'cancelled', 'failed' or 'pending')
+ */
+const applyQueryResult = async (transactionId, queryResult) => {
+  const transactionRef = doc(db, 'transactions', transactionId);
+  const transactionDoc = await getDoc(transactionRef);
+
+  // The callback may have arrived while we were querying
+  if (!transactionDoc.exists() || transactionDoc.data().status !== 'pending') {
+    return transactionDoc.exists() ? transactionDoc.data().status : 'missing';
+  }
+
+  const transactionData = transactionDoc.data();
+  const resultCode = queryResult.ResultCode?.toString();
+
+  if (resultCode === '0') {
+    // The STK query reports neither the amount nor the receipt number, so the payment is
+    // checked against the amount that was pushed and the pipeline runs without a receipt
+    const applied = await markPaymentSuccessful(transactionId, {
+      merchantId: transactionData.ownerUid,
+      paidAmount: transactionData.stkAmount,
+      currency: 'KES',
+      paymentProcessor: 'mpesa',
+      receiptNumber: transactionData.mpesaReceiptNumber || null,
+      updates: {
+        paidAmount: transactionData.stkAmount,
+        resultDescription: 'Payment successful',
+        reconciledAt: serverTimestamp(),
+        reconciliationResult: queryResult
+      },
+      sourceEvent: `mpesa.stk_query:${transactionData.checkoutRequestId}`
+    });
+
+    return applied ? 'success' : 'pending';
+  }
+
+  // Special case for ResultCode 4999 - "The transaction is still under processing"
+  if (resultCode === '4999') {
+    await updateDoc(transactionRef, {
+      reconcileAttempts: (transactionData.reconcileAttempts || 0) + 1,
+      lastReconciledAt: serverTimestamp()
+    });
+    return 'pending';
+  }
+
+  const newStatus = resultCode === '1032' ? 'cancelled' : 'failed';
+  await transitionTransaction(transactionId, newStatus, {
+    actor: 'system:reconciliation',
+    sourceEvent: `mpesa.stk_query:${transactionData.checkoutRequestId}`,
+    updates: {
+      resultDescription: queryResult.ResultDesc || (newStatus === 'cancelled' ? 'Transaction canceled by user' : 'Payment failed'),
+      reconciledAt: serverTimestamp(),
+      reconciliationResult: queryResult
+    }
+  });
+
+  await emitTransactionEvent('payment.failed', transactionId);
+
+  return newStatus;
+};
+
+/**
+ * Records a failed reconciliation attempt, failing the transaction once we run out of attempts
+ * @param {string} transactionId - The transaction ID
+ * @param {Object} transactionData - The transaction data
+ * @param {Error} error - The error from the STK query
+ * @returns {Promise<string>} - The outcome ('failed' or 'pending')
+ */
+const recordQueryError = async (transactionId, transactionData, error) => {
+  const attempts = (transactionData.reconcileAttempts || 0) + 1;
+  const errorMessage = error.response?.data?.errorMessage || error.message;
+  const transactionRef = doc(db, 'transactions', transactionId);
+
+  if (attempts >= MAX_RECONCILE_ATTEMPTS) {
+    // The callback may have settled the transaction since it was listed
+    const currentDoc = await getDoc(transactionRef);
+    if (!currentDoc.exists() || !canTransitionTransaction(currentDoc.data().status, 'failed')) {
+      return currentDoc.exists() ? currentDoc.data().status : 'missing';
+    }
+
+    await transitionTransaction(transactionId, 'failed', {
+      actor: 'system:reconciliation',
+      sourceEvent: `mpesa.stk_query:${transactionData.checkoutRequestId}`,
+      updates: {
+        resultDescription: `Payment status could not be confirmed: ${errorMessage}`,
+        reconcileAttempts: attempts,
+        reconciledAt: serverTimestamp()
+      }
+    });
+
+    await emitTransactionEvent('payment.failed', transactionId);
+    return 'failed';
+  }
+
+  await updateDoc(transactionRef, {
+    reconcileAttempts: attempts,
+    lastReconciledAt: serverTimestamp(),
+    lastReconcileError: errorMessage
+  });
+  return 'pending';
+};
+
+/**
+ * Finds M-Pesa transactions stuck in pending and queries their status with Daraja
+ * @param {Object} options - Reconciliation options
+ * @param {number} options.olderThanMinutes - Only reconcile transactions pending for at least this long
+ * @returns {Promise<Array>} - Array of reconciled transactions and their outcomes
+ */
+const reconcilePendingMpesaTransactions = async ({ olderThanMinutes = DEFAULT_PENDING_MINUTES } = {}) => {
+  try {
+    console.log('Checking for pending M-Pesa transactions to reconcile...');
+    const reconciled = [];
+    const cutoff = Date.now() - olderThanMinutes * 60 * 1000;
+
+    const pendingQuery = query(
+      collection(db, 'transactions'),
+      where('status', '==', 'pending'),
+      where('paymentProcessor', '==', 'mpesa')
+    );
+
+    const pendingSnapshot = await getDocs(pendingQuery);
+
+    for (const transactionDoc of pendingSnapshot.docs) {
+      const transactionId = transactionDoc.id;
+      const transactionData = transactionDoc.data();
+
+      // Without a CheckoutRequestID there is nothing to query, and without the pushed amount
+      // a successful result can't be checked, so those are left for the callback
+      if (!transactionData.checkoutRequestId || !transactionData.ownerUid || transactionData.stkAmount === undefined) {
+        continue;
+      }
+
+      const pendingSince = getPendingSince(transactionData);
+      if (!pendingSince || pendingSince.getTime() > cutoff) {
+        continue;
+      }
+
+      let outcome;
+      try {
+        const queryResult = await queryStkPushStatus(transactionData.ownerUid, transactionData.checkoutRequestId);
+        outcome = await applyQueryResult(transactionId, queryResult);
+      } catch (error) {
+        console.error(`Error querying M-Pesa status for transaction ${transactionId}:`, error.response?.data || error.message);
+        outcome = await recordQueryError(transactionId, transactionData, error);
+      }
+
+      reconciled.push({ transactionId, outcome });
+      console.log(`Reconciled transaction ${transactionId}: ${outcome}`);
+    }
+
+    return reconciled;
+  } catch (error) {
+    console.error('Error reconciling pending M-Pesa transactions:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  reconcilePendingMpesaTransactions
+};
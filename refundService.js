@@ -0,0 +1,417 @@
+const { doc, getDoc, updateDoc, collection, query, where, getDocs, runTransaction, serverTimestamp } = require("firebase/firestore");
+const { db } = require("./firebase");
+const { sendRefundConfirmationEmail } = require("./emailService");
+const { adjustCustomerSpend, updateInvoiceStatus } = require("./invoiceService");
+const { sendSMS } = require("./smsService");
+const { getPaymentMethodName } = require("./paymentService");
+const { getProvider } = require("./providerRegistry");
+const { emitWebhookEvent } = require("./webhookService");
+const { applyStatusChange } = require("./statusService");
+const { recordRefundReserved, recordRefundCompleted } = require("./ledgerService");
+
+// Transaction statuses that can still be refunded
+const REFUNDABLE_STATUSES = ['success', 'partially_refunded', 'partially_reversed'];
+
+// How M-Pesa payments can be refunded
+const MPESA_REFUND_METHODS = ['reversal', 'b2c'];
+
+/**
+ * Gets how much of a transaction can still be refunded
+ * @param {Object} transactionData - The transaction data
+ * @returns {number} - Refundable amount
+ */
+const getRefundableAmount = (transactionData) => {
+  return Number(transactionData.amount) -
+    (transactionData.refundedAmount || 0) -
+    (transactionData.reversedAmount || 0) -
+    (transactionData.pendingRefundAmount || 0) -
+    (transactionData.pendingReversalAmount || 0);
+};
+
+/**
+ * Creates a refund record, reserving the amount on the transaction so concurrent
+ * refunds can't exceed what was paid, and out of the merchant's available balance
+ * @param {Object} refundRequest - Merchant ID, transaction ID, optional amount and reason
+ * @returns {Promise<Object>} - The refund record and the transaction data
+ */
+const reserveRefund = async ({ merchantId, transactionId, amount, reason, method }) => {
+  const transactionRef = doc(db, 'transactions', transactionId);
+  const refundRef = doc(collection(db, 'refunds'));
+
+  return runTransaction(db, async (transaction) => {
+    const transactionDoc = await transaction.get(transactionRef);
+
+    if (!transactionDoc.exists() || transactionDoc.data().ownerUid !== merchantId) {
+      throw new Error('Transaction not found');
+    }
+
+    const transactionData = transactionDoc.data();
+
+    if (!REFUNDABLE_STATUSES.includes(transactionData.status)) {
+      throw new Error(`Transaction cannot be refunded from status '${transactionData.status}'`);
+    }
+
+    // Fail before reserving anything if the processor has no provider
+    getProvider(transactionData.paymentProcessor);
+
+    const refundableAmount = getRefundableAmount(transactionData);
+
+    // Default to refunding whatever hasn't been refunded yet
+    const refundAmount = amount ? Number(amount) : refundableAmount;
+
+    if (isNaN(refundAmount) || refundAmount <= 0 || refundAmount > refundableAmount) {
+      throw new Error(`Invalid refund amount. Must be greater than 0 and at most ${refundableAmount}`);
+    }
+
+    const refund = {
+      merchantId,
+      transactionId,
+      paymentProcessor: transactionData.paymentProcessor,
+      method: transactionData.paymentProcessor === 'mpesa' ? method : transactionData.paymentProcessor,
+      amount: refundAmount,
+      currency: transactionData.currency || 'KES',
+      reason: reason || '',
+      status: 'pending',
+      providerRefundId: null,
+      // Refunds reserved in the ledger are paid out of the reserved balance when they complete
+      ledgerReserved: true,
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp()
+    };
+
+    transaction.set(refundRef, refund);
+    recordRefundReserved(transaction, refundRef.id, refund);
+    transaction.update(transactionRef, {
+      pendingRefundAmount: (transactionData.pendingRefundAmount || 0) + refundAmount,
+      refundStatus: 'pending',
+      lastRefundId: refundRef.id,
+      updatedAt: serverTimestamp()
+    });
+
+    return { refund: { id: refundRef.id, ...refund }, transactionData };
+  });
+};
+
+/**
+ * Sends a refund to the provider the transaction was paid with
+ * @param {Object} refund - The refund record
+ * @param {Object} transactionData - The transaction data
+ * @returns {Promise<Object>} - Provider refund ID, status ('success', 'processing' or 'failed') and response
+ */
+const dispatchRefund = (refund, transactionData) => {
+  return getProvider(transactionData.paymentProcessor).refund(refund, transactionData);
+};
+
+/**
+ * Refunds all or part of a successful transaction
+ * @param {Object} refundRequest - Refund request
+ * @param {string} refundRequest.merchantId - The merchant's user ID
+ * @param {string} refundRequest.transactionId - The transaction to refund
+ * @param {number} [refundRequest.amount] - Amount to refund, defaults to everything still refundable
+ * @param {string} [refundRequest.reason] - Reason shown to the payer
+ * @param {string} [refundRequest.method] - For M-Pesa, 'reversal' (default) or 'b2c'
+ * @returns {Promise<Object>} - The refund record
+ */
+const createRefund = async ({ merchantId, transactionId, amount, reason, method = 'reversal' }) => {
+  if (!merchantId || !transactionId) {
+    throw new Error('Merchant ID and transaction ID are required for refunds');
+  }
+
+  if (!MPESA_REFUND_METHODS.includes(method)) {
+    throw new Error(`Invalid refund method. Must be one of: ${MPESA_REFUND_METHODS.join(', ')}`);
+  }
+
+  const { refund, transactionData } = await reserveRefund({ merchantId, transactionId, amount, reason, method });
+
+  await emitWebhookEvent(merchantId, 'refund.created', {
+    id: refund.id,
+    transactionId,
+    amount: refund.amount,
+    currency: refund.currency,
+    reason: refund.reason,
+    paymentProcessor: refund.paymentProcessor,
+    status: refund.status
+  });
+
+  let result;
+  try {
+    result = await dispatchRefund(refund, transactionData);
+  } catch (error) {
+    const errorMessage = error.response?.data?.message || error.response?.data?.errorMessage || error.message;
+    console.error(`Error refunding transaction ${transactionId}:`, error.response?.data || error.message);
+
+    await completeRefund(refund.id, { status: 'failed', failureReason: errorMessage });
+    throw new Error('Failed to refund payment: ' + errorMessage);
+  }
+
+  // Final outcomes are applied by completeRefund, which only acts on open refunds
+  await updateDoc(doc(db, 'refunds', refund.id), {
+    status: 'processing',
+    providerRefundId: result.providerRefundId || null,
+    ...(result.reversalId && { reversalId: result.reversalId }),
+    ...(result.payoutId && { payoutId: result.payoutId }),
+    ...(result.providerResponse && { providerResponse: result.providerResponse }),
+    updatedAt: serverTimestamp()
+  });
+
+  if (result.status === 'success' || result.status === 'failed') {
+    await completeRefund(refund.id, result);
+  }
+
+  const refundDoc = await getDoc(doc(db, 'refunds', refund.id));
+  return { id: refund.id, ...refundDoc.data() };
+};
+
+/**
+ * Notifies the payer that their refund went through
+ * @param {Object} refund - The refund record
+ * @param {Object} transactionData - The transaction data
+ * @returns {Promise<void>}
+ */
+const notifyPayer = async (refund, transactionData) => {
+  const paymentMethod = refund.paymentProcessor ? getPaymentMethodName(refund.paymentProcessor) : 'original payment';
+
+  if (transactionData.payerPhone) {
+    const message = `Your refund of ${refund.currency} ${refund.amount} for ${transactionData.description || 'your payment'} has been processed to your ${paymentMethod} account. Transaction ID: ${refund.transactionId.substring(0, 8)}. Thank you for using PayNow.`;
+    try {
+      await sendSMS(transactionData.payerPhone, message);
+    } catch (smsError) {
+      console.error('Failed to send refund SMS:', smsError);
+    }
+  }
+
+  if (transactionData.payerEmail) {
+    await sendRefundConfirmationEmail({
+      transactionId: refund.transactionId,
+      email: transactionData.payerEmail,
+      customerName: transactionData.payerName,
+      amount: refund.amount,
+      currency: refund.currency,
+      paymentMethod,
+      description: transactionData.description,
+      reason: refund.reason
+    });
+  }
+};
+
+/**
+ * Applies the final outcome of a refund to the refund record, transaction, invoice and customer
+ * @param {string} refundId - The refund ID
+ * @param {Object} outcome - Final status ('success' or 'failed'), provider refund ID and failure reason
+ * @returns {Promise<void>}
+ */
+const completeRefund = async (refundId, { status, providerRefundId, failureReason }) => {
+  const refundRef = doc(db, 'refunds', refundId);
+  let transactionData;
+  let refund;
+
+  const applied = await runTransaction(db, async (transaction) => {
+    const refundDoc = await transaction.get(refundRef);
+
+    if (!refundDoc.exists()) {
+      console.warn('No refund found with ID:', refundId);
+      return false;
+    }
+
+    refund = refundDoc.data();
+
+    // Providers may report the same outcome more than once
+    if (['success', 'failed'].includes(refund.status)) {
+      return false;
+    }
+
+    const transactionRef = doc(db, 'transactions', refund.transactionId);
+    const transactionDoc = await transaction.get(transactionRef);
+    transactionData = { id: refund.transactionId, ...transactionDoc.data() };
+
+    transaction.update(refundRef, {
+      status,
+      ...(providerRefundId && { providerRefundId }),
+      ...(status === 'failed' && { failureReason: failureReason || 'Refund failed' }),
+      completedAt: serverTimestamp(),
+      updatedAt: serverTimestamp()
+    });
+    recordRefundCompleted(transaction, refundId, refund, status);
+
+    const pendingRefundAmount = Math.max((transactionData.pendingRefundAmount || 0) - refund.amount, 0);
+
+    if (status !== 'success') {
+      transaction.update(transactionRef, {
+        pendingRefundAmount,
+        refundStatus: 'failed',
+        updatedAt: serverTimestamp()
+      });
+      return true;
+    }
+
+    const refundedAmount = (transactionData.refundedAmount || 0) + refund.amount;
+    const fullRefund = refundedAmount + (transactionData.reversedAmount || 0) >= Number(transactionData.amount);
+
+    transactionData.refundedAmount = refundedAmount;
+    transactionData.fullRefund = fullRefund;
+
+    applyStatusChange(transaction, transactionRef, transactionDoc.data().status, fullRefund ? 'refunded' : 'partially_refunded', {
+      actor: `provider:${refund.paymentProcessor}`,
+      sourceEvent: `refund:${refundId}`,
+      updates: {
+        refundedAmount,
+        pendingRefundAmount,
+        refundStatus: 'success',
+        refundedAt: serverTimestamp()
+      }
+    });
+    return true;
+  });
+
+  if (!applied) {
+    return;
+  }
+
+  if (status !== 'success') {
+    console.log(`Refund ${refundId} failed: ${failureReason}`);
+    return;
+  }
+
+  const newStatus = transactionData.fullRefund ? 'refunded' : 'partially_refunded';
+
+  await updateInvoiceStatus(refund.transactionId, {
+    status: newStatus,
+    refundedAmount: transactionData.refundedAmount
+  });
+
+  await adjustCustomerSpend(transactionData, {
+    amount: refund.amount,
+    status: newStatus,
+    fullReversal: transactionData.fullRefund
+  });
+
+  await notifyPayer(refund, transactionData);
+
+  console.log(`Refund ${refundId} completed, transaction ${refund.transactionId} marked as ${newStatus}`);
+};
+
+/**
+ * Finds a refund that is still waiting for its provider's outcome
+ * @param {string} paymentProcessor - The payment processor
+ * @param {Object} identifiers - The provider's refund ID and/or our transaction ID
+ * @returns {Promise<Object|null>} - The refund, or null if none is open
+ */
+const findOpenRefund = async (paymentProcessor, { providerRefundId, transactionId }) => {
+  const refundsRef = collection(db, 'refunds');
+
+  if (providerRefundId) {
+    const snapshot = await getDocs(query(
+      refundsRef,
+      where('paymentProcessor', '==', paymentProcessor),
+      where('providerRefundId', '==', providerRefundId)
+    ));
+    const match = snapshot.docs.find(refundDoc => refundDoc.data().status === 'processing');
+    if (match) {
+      return { id: match.id, ...match.data() };
+    }
+  }
+
+  if (!transactionId) {
+    return null;
+  }
+
+  // Fall back to the oldest refund still processing for the transaction
+  const snapshot = await getDocs(query(
+    refundsRef,
+    where('transactionId', '==', transactionId),
+    where('status', '==', 'processing')
+  ));
+  const open = snapshot.docs
+    .filter(refundDoc => refundDoc.data().paymentProcessor === paymentProcessor)
+    .sort((a, b) => (a.data().createdAt?.seconds || 0) - (b.data().createdAt?.seconds || 0));
+
+  return open.length > 0 ? { id: open[0].id, ...open[0].data() } : null;
+};
+
+/**
+ * Records a refund that was made outside the refunds API, e.g. from the provider's dashboard,
+ * and applies it like any other refund
+ * @param {string} paymentProcessor - The payment processor
+ * @param {string} transactionId - The transaction ID
+ * @param {Object} providerRefund - The provider's refund ID, amount and reason
+ * @returns {Promise<void>}
+ */
+const recordProviderRefund = async (paymentProcessor, transactionId, { providerRefundId, amount, reason }) => {
+  if (providerRefundId) {
+    const existing = await getDocs(query(
+      collection(db, 'refunds'),
+      where('paymentProcessor', '==', paymentProcessor),
+      where('providerRefundId', '==', providerRefundId)
+    ));
+
+    // Refunds made through the API are completed through their own record
+    if (!existing.empty) {
+      const refundDoc = existing.docs[0];
+      await completeRefund(refundDoc.id, { status: 'success', providerRefundId });
+      return;
+    }
+  }
+
+  const transactionRef = doc(db, 'transactions', transactionId);
+  const refundRef = doc(collection(db, 'refunds'));
+
+  const created = await runTransaction(db, async (transaction) => {
+    const transactionDoc = await transaction.get(transactionRef);
+
+    if (!transactionDoc.exists()) {
+      console.warn(`No transaction ${transactionId} found for ${paymentProcessor} refund`);
+      return false;
+    }
+
+    const transactionData = transactionDoc.data();
+
+    transaction.set(refundRef, {
+      merchantId: transactionData.ownerUid || null,
+      transactionId,
+      paymentProcessor,
+      method: paymentProcessor,
+      amount: Number(amount),
+      currency: transactionData.currency || 'KES',
+      reason: reason || 'Refunded by provider',
+      status: 'processing',
+      providerRefundId: providerRefundId || null,
+      external: true,
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp()
+    });
+    transaction.update(transactionRef, {
+      pendingRefundAmount: (transactionData.pendingRefundAmount || 0) + Number(amount),
+      lastRefundId: refundRef.id,
+      updatedAt: serverTimestamp()
+    });
+    return true;
+  });
+
+  if (created) {
+    await completeRefund(refundRef.id, { status: 'success', providerRefundId });
+  }
+};
+
+/**
+ * Lists the refunds made against a transaction
+ * @param {string} merchantId - The merchant's user ID
+ * @param {string} transactionId - The transaction ID
+ * @returns {Promise<Array>} - The transaction's refunds
+ */
+const getTransactionRefunds = async (merchantId, transactionId) => {
+  const snapshot = await getDocs(query(
+    collection(db, 'refunds'),
+    where('merchantId', '==', merchantId),
+    where('transactionId', '==', transactionId)
+  ));
+
+  return snapshot.docs.map(refundDoc => ({ id: refundDoc.id, ...refundDoc.data() }));
+};
+
+module.exports = {
+  createRefund,
+  completeRefund,
+  findOpenRefund,
+  recordProviderRefund,
+  getTransactionRefunds
+};
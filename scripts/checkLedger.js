@@ -0,0 +1,36 @@
+/**
+ * Checks the ledger: every journal must balance, total debits must equal total credits,
+ * and each account's stored totals must match the journals posted to it.
+ * Exits with status 1 if any problem is found.
+ *
+ * Usage:
+ *   node scripts/checkLedger.js
+ */
+require('dotenv').config();
+const { checkLedgerIntegrity } = require('../ledgerService');
+
+const run = async () => {
+  const result = await checkLedgerIntegrity();
+
+  console.log(`${result.journalCount} journals, ${result.accountCount} accounts`);
+  console.log(`Total debits ${result.totalDebits}, total credits ${result.totalCredits}`);
+
+  result.unbalancedJournals.forEach(({ id, debits, credits }) => {
+    console.log(`Unbalanced journal ${id}: ${debits} debited, ${credits} credited`);
+  });
+
+  result.mismatchedAccounts.forEach(({ account, recorded, expected }) => {
+    const recordedTotals = recorded ? `${recorded.debits} debits, ${recorded.credits} credits` : 'no totals';
+    console.log(`Account ${account} has ${recordedTotals}; journals add up to ${expected.debits} debits, ${expected.credits} credits`);
+  });
+
+  console.log(result.ok ? 'Ledger is consistent' : 'Ledger check failed');
+  return result.ok;
+};
+
+run()
+  .then(ok => process.exit(ok ? 0 : 1))
+  .catch(error => {
+    console.error('Error:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,27 @@
+/**
+ * Issues a merchant's first publishable and secret API key pair.
+ * Later keys can be issued, rotated and revoked through the /api-keys endpoints.
+ *
+ * Usage: node scripts/createApiKeys.js <merchantId> [test|live]
+ */
+require('dotenv').config();
+const { createApiKeyPair, KEY_MODES } = require('../apiKeyService');
+
+const [merchantId, mode = 'test'] = process.argv.slice(2);
+
+if (!merchantId || !KEY_MODES.includes(mode)) {
+  console.error(`Usage: node scripts/createApiKeys.js <merchantId> [${KEY_MODES.join('|')}]`);
+  process.exit(1);
+}
+
+createApiKeyPair(merchantId, mode)
+  .then(({ publishable, secret }) => {
+    console.log(`Issued ${mode} API keys for merchant ${merchantId}. Store the secret key now, it can't be shown again.`);
+    console.log(`Publishable key (${publishable.id}): ${publishable.apiKey}`);
+    console.log(`Secret key (${secret.id}): ${secret.apiKey}`);
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error('Error issuing API keys:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,23 @@
+/**
+ * Encrypts plaintext provider credentials in existing merchantSettings documents.
+ * Safe to run more than once; values that are already encrypted are skipped.
+ *
+ * Usage: node scripts/encryptMerchantSettings.js [--dry-run]
+ */
+require('dotenv').config();
+const { encryptStoredCredentials } = require('../credentialService');
+
+const dryRun = process.argv.includes('--dry-run');
+
+encryptStoredCredentials({ dryRun })
+  .then(migrated => {
+    migrated.forEach(({ merchantId, fields }) => {
+      console.log(`${dryRun ? 'Would encrypt' : 'Encrypted'} ${fields.join(', ')} for merchant ${merchantId}`);
+    });
+    console.log(`${migrated.length} merchantSettings documents ${dryRun ? 'need' : 'were'} migrated`);
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error('Error encrypting merchant credentials:', error.message);
+    process.exit(1);
+  });
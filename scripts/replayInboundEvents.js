@@ -0,0 +1,73 @@
+/**
+ * Lists stored provider webhooks and callbacks that failed, and replays them through their handlers.
+ *
+ * Usage:
+ *   node scripts/replayInboundEvents.js list [--status failed] [--provider mpesa] [--from 2024-01-01T00:00:00Z] [--to ...]
+ *   node scripts/replayInboundEvents.js replay <eventId> [<eventId> ...]
+ *   node scripts/replayInboundEvents.js replay --from <date> [--to <date>] [--status failed] [--provider mpesa]
+ */
+require('dotenv').config();
+const { listInboundEvents, replayInboundEvents } = require('../inboundEventService');
+
+const [command, ...args] = process.argv.slice(2);
+
+/**
+ * Splits command line arguments into --name value options and positional event IDs
+ * @param {Array<string>} argv - The arguments after the command
+ * @returns {Object} - Options and event IDs
+ */
+const parseArgs = (argv) => {
+  const options = {};
+  const eventIds = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      options[argv[i].substring(2)] = argv[++i];
+    } else {
+      eventIds.push(argv[i]);
+    }
+  }
+
+  return { options, eventIds };
+};
+
+const { options, eventIds } = parseArgs(args);
+const filters = {
+  status: options.status,
+  provider: options.provider,
+  from: options.from,
+  to: options.to,
+  maxResults: options.limit
+};
+
+const run = async () => {
+  if (command === 'list') {
+    const events = await listInboundEvents(filters);
+    events.forEach(event => {
+      console.log(`${event.id}  ${event.provider}  ${event.receivedAt?.toDate().toISOString()}  ${event.status}  ${event.path}  ${event.error || ''}`);
+    });
+    console.log(`${events.length} events`);
+    return;
+  }
+
+  if (command === 'replay' && (eventIds.length > 0 || options.from || options.to)) {
+    const results = await replayInboundEvents({ eventIds, ...filters }, 'cli');
+    results.forEach(({ eventId, status, error }) => {
+      console.log(`${eventId}  ${status || 'not replayed'}${error ? `  ${error}` : ''}`);
+    });
+    console.log(`Replayed ${results.filter(result => result.status === 'processed').length} of ${results.length} events`);
+    return;
+  }
+
+  console.error('Usage: node scripts/replayInboundEvents.js list [--status failed] [--provider <provider>] [--from <date>] [--to <date>]');
+  console.error('       node scripts/replayInboundEvents.js replay <eventId> [<eventId> ...]');
+  console.error('       node scripts/replayInboundEvents.js replay --from <date> [--to <date>] [--status failed] [--provider <provider>]');
+  process.exit(1);
+};
+
+run()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('Error:', error.message);
+    process.exit(1);
+  });
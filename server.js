@@ -1,12 +1,10 @@
 const express = require("express");
 const bodyParser = require("body-parser");
 const axios = require("axios");
-const moment = require("moment");
 const cors = require("cors");
 const https = require('https');
 const path = require('path');
 const fs = require('fs');
-const crypto = require('crypto');
 const stripe = require('stripe');
 const { doc, updateDoc, serverTimestamp, getDoc } = require("firebase/firestore");
 const { db } = require("./firebase");
@@ -18,18 +16,90 @@ const {
 } = require('./emailService');
 const { processTransactionInvoice, storeCustomerInformation } = require('./invoiceService');
 const { checkUnpaidLinks, sendManualReminder } = require('./reminderService');
-const { createOrder, capturePayment, handleWebhookEvent: handlePayPalWebhook, verifyWebhookSignature, testCredentials } = require('./paypalService');
-const { initializeTransaction, verifyTransaction, handleWebhookEvent: handlePaystackWebhook, getPaystackSecretKey } = require('./paystackService');
+const { reconcilePendingMpesaTransactions } = require('./reconciliationService');
+const { processOnce, idempotencyKey } = require('./idempotencyService');
+const { createRefund, getTransactionRefunds } = require('./refundService');
+const { createOrder, capturePayment, testCredentials } = require('./paypalService');
+const { createPaymentIntent } = require('./stripeService');
+const { initializeTransaction, verifyTransaction, isPaystackSourceIp, getPaystackSecretKey } = require('./paystackService');
+const { initiateCollection: initiateAirtelCollection, checkCollectionStatus: checkAirtelCollectionStatus, testCredentials: testAirtelCredentials } = require('./airtelService');
+const { initializePayment: initializeFlutterwavePayment, verifyTransaction: verifyFlutterwaveTransaction, applyVerifiedTransaction: applyFlutterwaveTransaction } = require('./flutterwaveService');
+const { receiveInboundEvent, applyInboundEvent, getInboundEvent, listInboundEvents, replayInboundEvent, replayInboundEvents } = require('./inboundEventService');
+const { createApiKeyPair, listApiKeys, rotateApiKey, revokeApiKey } = require('./apiKeyService');
+const { requireApiKey, requireRole, requireMerchantAuth, requireOwnership, isKeyModeAllowed, getRequestActor, setUserRole } = require('./authMiddleware');
+const { canTransitionOrder, transitionOrder } = require('./statusService');
+const { getMaskedProviderSettings, saveProviderSettings } = require('./credentialService');
+const {
+  WEBHOOK_EVENTS,
+  createWebhookEndpoint,
+  listWebhookEndpoints,
+  updateWebhookEndpoint,
+  rotateWebhookSecret,
+  emitWebhookEvent,
+  retryDueDeliveries,
+  listWebhookDeliveries,
+  getWebhookDelivery,
+  redeliverWebhook
+} = require('./webhookService');
+const { settleDuePayments, getMerchantBalances, getMerchantStatement } = require('./ledgerService');
 const { sendPaymentLinkSMS, sendPaymentLinkEmailNotification, addCustomer } = require('./customerService');
 const { sendSMS } = require('./smsService');
+const {
+  getAccessToken,
+  initiateStkPush,
+  getStkConfig,
+  queryStkPushStatus,
+  initiateB2CPayment,
+  handleB2CResult,
+  handleB2CTimeout,
+  registerC2BUrls,
+  findC2BMatch,
+  handleC2BConfirmation,
+  validateC2BPayment,
+  queryTransactionStatus,
+  queryAccountBalance,
+  handleQueryResult,
+  handleQueryTimeout,
+  initiateReversal,
+  handleReversalResult,
+  handleReversalTimeout,
+  isSafaricomSourceIp
+} = require('./mpesaService');
 
 // Add environment variables for email configuration
 require('dotenv').config();
 
 const app = express();
 
-// Increase the size limit for JSON payloads
-app.use(bodyParser.json({ limit: '10mb' }));
+/**
+ * Reads which proxies to trust for req.ip from TRUST_PROXY: a hop count such as 1 behind a single
+ * load balancer, true, or a list of proxy addresses. Without it req.ip is the connecting address
+ * and X-Forwarded-For is ignored, so clients can't spoof their IP.
+ * @returns {boolean|number|string} - Express 'trust proxy' setting
+ */
+const getTrustProxySetting = () => {
+  const setting = process.env.TRUST_PROXY;
+
+  if (!setting || setting === 'false') {
+    return false;
+  }
+
+  if (setting === 'true') {
+    return true;
+  }
+
+  return /^\d+$/.test(setting) ? Number(setting) : setting;
+};
+
+app.set('trust proxy', getTrustProxySetting());
+
+// Increase the size limit for JSON payloads, keeping the raw body for webhook signature checks
+app.use(bodyParser.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(bodyParser.urlencoded({ extended: false, limit: '10mb' }));
 
 // Get allowed origins from environment variable or use default values
@@ -55,8 +125,9 @@ const corsOptions = {
       callback(new Error('Not allowed by CORS'));
     }
   },
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Accept', 'Authorization'],
+  methods: ['GET', 'POST', 'PUT', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Accept', 'Authorization', 'X-API-Key', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed'],
   credentials: true,
   optionsSuccessStatus: 200
 };
@@ -65,9 +136,8 @@ app.use(cors(corsOptions));
 
 // Add middleware to log all requests
 app.use((req, res, next) => {
+  // Headers and bodies carry API keys, tokens and provider credentials, so they aren't logged
   console.log(`${req.method} ${req.path}`);
-  console.log('Request Headers:', req.headers);
-  console.log('Request Body:', req.body);
   console.log('Origin:', req.headers.origin);
   
   // Add CORS headers manually for preflight requests
@@ -98,66 +168,6 @@ app.use((err, req, res, next) => {
   });
 });
 
-// ACCESS TOKEN FUNCTION
-async function getAccessToken(merchantId) {
-  try {
-    if (!merchantId) {
-      throw new Error('Merchant ID is required for M-Pesa access token');
-    }
-    
-    console.log('Fetching merchant-specific M-Pesa settings for:', merchantId);
-    // Get merchant settings from Firestore
-    const merchantSettingsRef = doc(db, 'merchantSettings', merchantId);
-    const merchantSettingsDoc = await getDoc(merchantSettingsRef);
-    
-    if (!merchantSettingsDoc.exists() || !merchantSettingsDoc.data().mpesa) {
-      throw new Error('M-Pesa settings not found for this merchant');
-    }
-    
-    const mpesaSettings = merchantSettingsDoc.data().mpesa;
-    
-    // Only use merchant settings if they are enabled and have required fields
-    if (!mpesaSettings.enabled) {
-      throw new Error('M-Pesa payments are not enabled for this merchant');
-    }
-    
-    if (!mpesaSettings.consumerKey || !mpesaSettings.consumerSecret) {
-      throw new Error('Incomplete M-Pesa API credentials for this merchant');
-    }
-    
-    console.log('Using merchant-specific M-Pesa settings');
-    const consumer_key = mpesaSettings.consumerKey;
-    const consumer_secret = mpesaSettings.consumerSecret;
-    
-    // Set the correct URL based on environment
-    let baseUrl = "https://api.safaricom.co.ke"; // Production URL
-    if (mpesaSettings.environment === 'sandbox') {
-      baseUrl = "https://sandbox.safaricom.co.ke";
-    }
-    
-    const url = `${baseUrl}/oauth/v1/generate?grant_type=client_credentials`;
-    const auth = "Basic " + Buffer.from(consumer_key + ":" + consumer_secret).toString("base64");
-
-    console.log('Requesting access token...');
-    const response = await axios.get(url, {
-      headers: {
-        Authorization: auth,
-      },
-    });
-    console.log('Access token response:', response.data);
-    const accessToken = response.data.access_token;
-    return accessToken;
-  } catch (error) {
-    console.error('Error getting access token:', {
-      status: error.response?.status,
-      statusText: error.response?.statusText,
-      data: error.response?.data,
-      error: error.message
-    });
-    throw new Error('Failed to get access token: ' + (error.response?.data?.errorMessage || error.message));
-  }
-}
-
 // Routes
 app.get("/", (req, res) => {
   sendJsonResponse(res, 200, { 
@@ -166,7 +176,7 @@ app.get("/", (req, res) => {
   });
 });
 
-app.get("/access_token", async (req, res) => {
+app.get("/access_token", requireMerchantAuth({ secret: true, provider: 'mpesa' }), async (req, res) => {
   try {
     const { merchantId } = req.query;
     const accessToken = await getAccessToken(merchantId);
@@ -191,79 +201,134 @@ app.post("/validation/:orderId", async (req, res) => {
     
     console.log('Received M-Pesa validation request for order:', orderId, validationData);
 
+    const validationRequest = {
+      TransactionType: validationData.TransactionType || "Pay Bill",
+      TransID: validationData.TransID || "",
+      TransTime: validationData.TransTime || "",
+      TransAmount: validationData.TransAmount || "",
+      BusinessShortCode: validationData.BusinessShortCode || "",
+      BillRefNumber: validationData.BillRefNumber || "",
+      InvoiceNumber: validationData.InvoiceNumber || "",
+      OrgAccountBalance: validationData.OrgAccountBalance || "",
+      ThirdPartyTransID: validationData.ThirdPartyTransID || "",
+      MSISDN: validationData.MSISDN || "",
+      FirstName: validationData.FirstName || "",
+      MiddleName: validationData.MiddleName || "",
+      LastName: validationData.LastName || ""
+    };
+
+    // Check if this is a transaction or an order
+    let match = null;
+    let matchRef = null;
+    let merchantId = null;
+
+    const transactionRef = doc(db, 'transactions', orderId);
+    const transactionDoc = await getDoc(transactionRef);
+    
+    if (transactionDoc.exists()) {
+      match = { type: 'transaction', id: orderId, data: transactionDoc.data() };
+      matchRef = transactionRef;
+      merchantId = transactionDoc.data().ownerUid;
+    } else {
+      // Try as an order instead
+      const orderRef = doc(db, 'orders', orderId);
+      const orderDoc = await getDoc(orderRef);
+      
+      if (orderDoc.exists()) {
+        match = { type: 'order', id: orderId, data: orderDoc.data() };
+        matchRef = orderRef;
+        merchantId = orderDoc.data().merchantId || orderDoc.data().ownerUid;
+      } else {
+        console.warn('No transaction or order found with ID:', orderId);
+      }
+    }
+
+    const result = await validateC2BPayment({ merchantId, match, validationData });
+
     // Store validation request in Firestore
-    if (orderId) {
+    if (matchRef) {
       try {
-        // Check if this is a transaction or an order
-        const transactionRef = doc(db, 'transactions', orderId);
-        const transactionDoc = await getDoc(transactionRef);
-        
-        if (transactionDoc.exists()) {
-          // Update the transaction with validation data
-          await updateDoc(transactionRef, {
-            validationRequest: {
-              TransactionType: validationData.TransactionType || "Pay Bill",
-              TransID: validationData.TransID || "",
-              TransTime: validationData.TransTime || "",
-              TransAmount: validationData.TransAmount || "",
-              BusinessShortCode: validationData.BusinessShortCode || "",
-              BillRefNumber: validationData.BillRefNumber || "",
-              InvoiceNumber: validationData.InvoiceNumber || "",
-              OrgAccountBalance: validationData.OrgAccountBalance || "",
-              ThirdPartyTransID: validationData.ThirdPartyTransID || "",
-              MSISDN: validationData.MSISDN || "",
-              FirstName: validationData.FirstName || "",
-              MiddleName: validationData.MiddleName || "",
-              LastName: validationData.LastName || ""
-            },
-            validationTimestamp: serverTimestamp(),
-            validationStatus: 'received'
-          });
-          console.log('Validation data stored for transaction:', orderId);
-        } else {
-          // Try as an order instead
-          const orderRef = doc(db, 'orders', orderId);
-          const orderDoc = await getDoc(orderRef);
-          
-          if (orderDoc.exists()) {
-            await updateDoc(orderRef, {
-              validationRequest: {
-                TransactionType: validationData.TransactionType || "Pay Bill",
-                TransID: validationData.TransID || "",
-                TransTime: validationData.TransTime || "",
-                TransAmount: validationData.TransAmount || "",
-                BusinessShortCode: validationData.BusinessShortCode || "",
-                BillRefNumber: validationData.BillRefNumber || "",
-                InvoiceNumber: validationData.InvoiceNumber || "",
-                OrgAccountBalance: validationData.OrgAccountBalance || "",
-                ThirdPartyTransID: validationData.ThirdPartyTransID || "",
-                MSISDN: validationData.MSISDN || "",
-                FirstName: validationData.FirstName || "",
-                MiddleName: validationData.MiddleName || "",
-                LastName: validationData.LastName || ""
-              },
-              validationTimestamp: serverTimestamp(),
-              validationStatus: 'received'
-            });
-            console.log('Validation data stored for order:', orderId);
-          } else {
-            console.warn('No transaction or order found with ID:', orderId);
-          }
-        }
+        await updateDoc(matchRef, {
+          validationRequest,
+          validationTimestamp: serverTimestamp(),
+          validationStatus: result.accepted ? 'accepted' : 'rejected',
+          validationResultCode: result.ResultCode,
+          validationReason: result.reason
+        });
+        console.log(`Validation data stored for ${match.type}:`, orderId);
       } catch (dbError) {
         console.error('Error storing validation data:', dbError);
         // Continue processing - we don't want to fail the validation
       }
     }
 
-    // Always respond with success to M-Pesa
+    if (!result.accepted) {
+      console.warn('Rejected M-Pesa payment for order:', orderId, result.reason);
+    }
+
+    res.json({
+      ResultCode: result.ResultCode,
+      ResultDesc: result.ResultDesc
+    });
+  } catch (error) {
+    console.error('Validation error:', error);
+    // Don't block the customer's payment because of our own errors
     res.json({
       ResultCode: 0,
       ResultDesc: "Accepted"
     });
+  }
+});
+
+// Register C2B confirmation and validation URLs for a merchant's shortcode
+app.post("/mpesa/c2b/register-url", requireMerchantAuth({ secret: true, provider: 'mpesa' }), async (req, res) => {
+  try {
+    const { merchantId, responseType } = req.body;
+
+    if (!merchantId) {
+      return res.status(400).json({
+        ResponseCode: "1",
+        errorMessage: "Merchant ID is required"
+      });
+    }
+
+    const result = await registerC2BUrls(merchantId, responseType || 'Completed');
+
+    res.json({
+      ResponseCode: "0",
+      message: "C2B URLs registered successfully",
+      result
+    });
   } catch (error) {
-    console.error('Validation error:', error);
-    // Still send success response to M-Pesa
+    console.error('Error registering C2B URLs:', error);
+    res.status(500).json({
+      ResponseCode: "1",
+      errorMessage: error.message || "Failed to register C2B URLs"
+    });
+  }
+});
+
+// C2B validation URL for Paybill/Till payments made outside STK push
+app.post("/c2b/validation/:merchantId", async (req, res) => {
+  try {
+    const { merchantId } = req.params;
+    const validationData = req.body;
+    console.log('Received C2B validation request for merchant:', merchantId, validationData);
+
+    const match = await findC2BMatch(merchantId, validationData.BillRefNumber);
+    const result = await validateC2BPayment({ merchantId, match, validationData });
+
+    if (!result.accepted) {
+      console.warn('Rejected C2B payment for merchant:', merchantId, result.reason);
+    }
+
+    res.json({
+      ResultCode: result.ResultCode,
+      ResultDesc: result.ResultDesc
+    });
+  } catch (error) {
+    console.error('C2B validation error:', error);
+    // Don't block the customer's payment because of our own errors
     res.json({
       ResultCode: 0,
       ResultDesc: "Accepted"
@@ -271,7 +336,34 @@ app.post("/validation/:orderId", async (req, res) => {
   }
 });
 
-app.post("/stkpush", async (req, res) => {
+// C2B confirmation URL for Paybill/Till payments made outside STK push
+app.post("/c2b/confirmation/:merchantId", async (req, res) => {
+  // Confirmations mark payments as paid, so only Safaricom may send them
+  if (!isSafaricomSourceIp(req.ip)) {
+    console.error('Rejected C2B confirmation from unexpected IP:', req.ip);
+    return res.status(403).json({ ResultCode: 1, ResultDesc: "Forbidden" });
+  }
+
+  try {
+    const { merchantId } = req.params;
+    console.log('Received C2B confirmation for merchant:', merchantId, req.body);
+
+    // Confirmations are retried by M-Pesa, so each receipt number is only applied once
+    await processOnce('mpesa', req.body.TransID && `c2b_${req.body.TransID}`, () => handleC2BConfirmation(merchantId, req.body), {
+      merchantId
+    });
+  } catch (error) {
+    console.error('C2B confirmation error:', error);
+  }
+
+  // Always acknowledge receipt to M-Pesa
+  res.json({
+    ResultCode: 0,
+    ResultDesc: "Success"
+  });
+});
+
+app.post("/stkpush", requireApiKey({ provider: 'mpesa' }), requireOwnership('transactions', 'orderId'), idempotencyKey(), async (req, res) => {
   try {
     console.log("Received STK push request:", req.body);
     
@@ -324,6 +416,23 @@ app.post("/stkpush", async (req, res) => {
       });
     }
     
+    const transactionDoc = await getDoc(doc(db, 'transactions', orderId.toString()));
+
+    if (!transactionDoc.exists() || transactionDoc.data().ownerUid !== merchantId) {
+      return sendJsonResponse(res, 404, {
+        ResponseCode: "1",
+        errorMessage: "Transaction not found"
+      });
+    }
+
+    // The payer is only ever prompted for the amount stored on the transaction
+    if (Number(amount) !== Number(transactionDoc.data().amount)) {
+      return sendJsonResponse(res, 400, {
+        ResponseCode: "1",
+        errorMessage: "Amount does not match the transaction amount"
+      });
+    }
+
     console.log('Fetching merchant-specific M-Pesa settings for STK push:', merchantId);
     // Get merchant settings from Firestore
     const merchantSettingsRef = doc(db, 'merchantSettings', merchantId);
@@ -346,76 +455,28 @@ app.post("/stkpush", async (req, res) => {
       });
     }
     
-    if (!mpesaSettings.shortCode || !mpesaSettings.passkey) {
+    const stkConfig = getStkConfig(mpesaSettings);
+    if (!stkConfig) {
       return sendJsonResponse(res, 400, {
         ResponseCode: "1",
         errorMessage: "Incomplete M-Pesa configuration for this merchant"
       });
     }
     
-    console.log('Using merchant-specific M-Pesa settings for STK push');
-    const shortCode = mpesaSettings.shortCode;
-    const passkey = mpesaSettings.passkey;
-    
-    // Set the correct URL based on environment
-    let baseUrl = "https://api.safaricom.co.ke"; // Production URL
-    if (mpesaSettings.environment === 'sandbox') {
-      baseUrl = "https://sandbox.safaricom.co.ke";
-    }
-
-    const accessToken = await getAccessToken(merchantId);
-    const url = `${baseUrl}/mpesa/stkpush/v1/processrequest`;
-    const auth = "Bearer " + accessToken;
-    const timestampx = moment().format("YYYYMMDDHHmmss");
-    const password = Buffer.from(
-      shortCode +
-      passkey +
-      timestampx
-    ).toString("base64");
-
-    const requestBody = {
-      BusinessShortCode: shortCode,
-      Password: password,
-      Timestamp: timestampx,
-      TransactionType: "CustomerPayBillOnline",
-      Amount: amount,
-      PartyA: phoneNumber,
-      PartyB: shortCode,
-      PhoneNumber: phoneNumber,
-      CallBackURL: `${process.env.BASE_URL}/callback/${orderId}`,
-      AccountReference: "PAYNOW",
-      TransactionDesc: "Payment for order",
-    };
-
-    console.log('Making STK push request:', {
-      url,
-      body: requestBody,
-      headers: { Authorization: auth }
-    });
-
     try {
-      const response = await axios.post(url, requestBody, {
-        headers: {
-          Authorization: auth,
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
-        },
+      const stkResponse = await initiateStkPush(merchantId, {
+        phone: phoneNumber,
+        amount: Number(transactionDoc.data().amount),
+        orderId
       });
 
-      console.log('STK push response:', response.data);
-      
-      // Ensure the response has the expected format
-      if (!response.data.ResponseCode && response.data.ResponseCode !== "0") {
-        throw new Error('Invalid response format from M-Pesa API');
-      }
-
       // Send response with proper headers
       res.setHeader('Content-Type', 'application/json');
       res.json({
         ResponseCode: "0",
         ResponseDescription: "Success. Request accepted for processing",
-        CheckoutRequestID: response.data.CheckoutRequestID,
-        CustomerMessage: response.data.CustomerMessage,
+        CheckoutRequestID: stkResponse.CheckoutRequestID,
+        CustomerMessage: stkResponse.CustomerMessage,
         orderId: orderId
       });
     } catch (mpesaError) {
@@ -480,151 +541,9 @@ app.post("/callback/:orderId", async (req, res) => {
     
     console.log('Received M-Pesa callback for order:', orderId, callbackData);
 
-    // Update transaction status in Firebase
-    const transactionRef = doc(db, 'transactions', orderId);
-    const transactionDoc = await getDoc(transactionRef);
-    
-    if (transactionDoc.exists()) {
-      const transactionData = transactionDoc.data();
-      
-      let newStatus = 'failed';
-      let mpesaReceiptNumber = null;
-      let resultDesc = 'Payment failed';
-
-      if (callbackData.Body.stkCallback.ResultCode === 0) {
-        newStatus = 'success';
-        resultDesc = 'Payment successful';
-        const callbackItems = callbackData.Body.stkCallback.CallbackMetadata?.Item;
-        if (callbackItems) {
-          const receiptItem = callbackItems.find(item => item.Name === 'MpesaReceiptNumber');
-          if (receiptItem) {
-            mpesaReceiptNumber = receiptItem.Value;
-          }
-        }
-      } else {
-        resultDesc = callbackData.Body.stkCallback.ResultDesc || 'Payment failed';
-      }
-
-      // Extract additional data from callback metadata if available
-      let phoneNumber = transactionData.payerPhone || "";
-      let firstName = "Customer";
-      let middleName = "";
-      let lastName = "";
-      let transactionDate = moment().format("YYYYMMDDHHmmss");
-      let businessShortCode = callbackData.Body?.stkCallback?.BusinessShortCode || "4121151";
-      
-      // Try to extract real customer data from the callback
-      if (callbackData.Body?.stkCallback?.CallbackMetadata?.Item) {
-        const items = callbackData.Body.stkCallback.CallbackMetadata.Item;
-        
-        // Look for phone number
-        const phoneItem = items.find(item => item.Name === 'PhoneNumber');
-        if (phoneItem && phoneItem.Value) {
-          phoneNumber = phoneItem.Value.toString();
-        }
-        
-        // Look for transaction date
-        const dateItem = items.find(item => item.Name === 'TransactionDate');
-        if (dateItem && dateItem.Value) {
-          transactionDate = dateItem.Value.toString();
-        }
-      }
-      
-      // Try to get customer name from transaction data or generate it
-      if (transactionData.payerName) {
-        const nameParts = transactionData.payerName.split(' ');
-        firstName = nameParts[0] || "Customer";
-        if (nameParts.length === 2) {
-          lastName = nameParts[1] || ""; 
-        } else if (nameParts.length > 2) {
-          middleName = nameParts[1] || "";
-          lastName = nameParts.slice(2).join(' ') || "";
-        }
-      }
-      
-      await updateDoc(transactionRef, {
-        status: newStatus,
-        mpesaResponse: callbackData, // Store the full callback data
-        mpesaReceiptNumber: mpesaReceiptNumber,
-        updatedAt: serverTimestamp(),
-        resultDescription: resultDesc,
-        callbackData: {
-          TransactionType: "Pay Bill",
-          TransID: mpesaReceiptNumber || "",
-          TransTime: transactionDate,
-          TransAmount: transactionData.amount?.toString() || "",
-          BusinessShortCode: businessShortCode,
-          BillRefNumber: orderId,
-          InvoiceNumber: transactionData.invoiceNumber || "",
-          OrgAccountBalance: transactionData.accountBalance || "",
-          ThirdPartyTransID: transactionData.thirdPartyTransID || "",
-          MSISDN: phoneNumber,
-          FirstName: firstName,
-          MiddleName: middleName,
-          LastName: lastName
-        }
-      });
-      
-      // Generate invoice for successful payments
-      if (newStatus === 'success') {
-        try {
-          // Update transaction with customer information
-          const updatedTransactionData = {
-            ...transactionData,
-            status: newStatus,
-            mpesaReceiptNumber: mpesaReceiptNumber,
-            payerPhone: phoneNumber,
-            payerName: `${firstName} ${middleName} ${lastName}`.trim(),
-          };
-          
-          // Store customer information
-          await storeCustomerInformation(updatedTransactionData);
-          
-          // Generate and store invoice
-          const invoiceUrl = await processTransactionInvoice(updatedTransactionData);
-          console.log('Invoice generated successfully:', invoiceUrl);
-        } catch (invoiceError) {
-          console.error('Error generating invoice:', invoiceError);
-          // Don't fail the callback if invoice generation fails
-        }
-      }
-
-      // Send SMS notification if successful
-      if (newStatus === 'success') {
-        // Include invoice link in the SMS if available
-        let invoiceMessage = '';
-        if (transactionData.invoiceUrl) {
-          invoiceMessage = ` Your invoice is available at: ${transactionData.invoiceUrl}`;
-        }
-        
-        const message = `Thank you for your payment of KES ${transactionData.amount} for ${transactionData.description}! Your transaction was successful. Receipt: ${mpesaReceiptNumber}. Transaction ID: ${orderId.substring(0, 8)}.${invoiceMessage} Thank you for using PayNow.`;
-        try {
-          await sendSMS(transactionData.payerPhone, message);
-          console.log('SMS notification sent successfully to:', transactionData.payerPhone);
-        } catch (smsError) {
-          console.error('Failed to send SMS notification:', smsError);
-        }
-        
-        // Send email confirmation if email is available
-        if (transactionData.payerEmail) {
-          try {
-            await sendPaymentConfirmationEmail({
-              transactionId: orderId,
-              email: transactionData.payerEmail,
-              customerName: `${firstName} ${middleName} ${lastName}`.trim(),
-              amount: transactionData.amount,
-              currency: transactionData.currency || 'KES',
-              paymentMethod: 'M-Pesa',
-              description: transactionData.description,
-              receiptNumber: mpesaReceiptNumber
-            });
-            console.log('Email confirmation sent successfully to:', transactionData.payerEmail);
-          } catch (emailError) {
-            console.error('Failed to send email confirmation:', emailError);
-          }
-        }
-      }
-    }
+    // Stored before processing so a failed callback can be replayed
+    const inboundEvent = await receiveInboundEvent('mpesa', req);
+    await applyInboundEvent(inboundEvent);
 
     console.log('Transaction updated successfully:', orderId);
 
@@ -643,7 +562,7 @@ app.post("/callback/:orderId", async (req, res) => {
   }
 });
 
-app.post("/query", async (req, res) => {
+app.post("/query", requireApiKey({ provider: 'mpesa' }), async (req, res) => {
   try {
     console.log("Received query request:", req.body);
     const queryCode = req.body.queryCode;
@@ -695,7 +614,8 @@ app.post("/query", async (req, res) => {
       });
     }
     
-    if (!mpesaSettings.shortCode || !mpesaSettings.passkey) {
+    const stkConfig = getStkConfig(mpesaSettings);
+    if (!stkConfig) {
       return sendJsonResponse(res, 400, {
         ResponseCode: "1",
         ResultCode: "1",
@@ -705,51 +625,14 @@ app.post("/query", async (req, res) => {
     }
     
     console.log('Using merchant-specific M-Pesa settings for query');
-    const shortCode = mpesaSettings.shortCode;
-    const passkey = mpesaSettings.passkey;
-    
-    // Set the correct URL based on environment
-    let baseUrl = "https://api.safaricom.co.ke"; // Production URL
-    if (mpesaSettings.environment === 'sandbox') {
-      baseUrl = "https://sandbox.safaricom.co.ke";
-    }
-
-    const accessToken = await getAccessToken(merchantId);
-    const url = `${baseUrl}/mpesa/stkpushquery/v1/query`;
-    const auth = "Bearer " + accessToken;
-    const timestampx = moment().format("YYYYMMDDHHmmss");
-    const password = Buffer.from(
-      shortCode +
-      passkey +
-      timestampx
-    ).toString("base64");
-
-    const requestBody = {
-      BusinessShortCode: shortCode, 
-      Password: password,
-      Timestamp: timestampx,
-      CheckoutRequestID: queryCode,
-    };
-
-    console.log('Making query request:', {
-      url,
-      body: requestBody,
-      headers: { Authorization: auth }
-    });
 
     try {
-      const response = await axios.post(url, requestBody, {
-        headers: {
-          Authorization: auth,
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
-        },
-      });
+      const queryResult = await queryStkPushStatus(merchantId, queryCode);
 
-      console.log('Query response:', response.data);
+      console.log('Query response:', queryResult);
       
       // Check for successful payment
-      if (response.data.ResultCode === "0") {
+      if (queryResult.ResultCode === "0") {
         // Payment was successful
         return sendJsonResponse(res, 200, {
           ResponseCode: "0",
@@ -760,7 +643,7 @@ app.post("/query", async (req, res) => {
       }
       
       // Check for specific error codes that indicate cancellation
-      if (response.data.ResultCode === "1032") {
+      if (queryResult.ResultCode === "1032") {
         return sendJsonResponse(res, 200, {
           ResponseCode: "3", // Custom code for cancellation
           ResultCode: "1032",
@@ -772,7 +655,7 @@ app.post("/query", async (req, res) => {
 
       // Special case for ResultCode 4999 - "The transaction is still under processing"
       // This should be treated as processing, not as an error
-      if (response.data.ResultCode === "4999" || response.data.ResultCode === 4999) {
+      if (queryResult.ResultCode === "4999" || queryResult.ResultCode === 4999) {
         return sendJsonResponse(res, 200, {
           ResponseCode: "2", // Custom code for processing
           ResultCode: "4999",
@@ -783,8 +666,8 @@ app.post("/query", async (req, res) => {
 
       // Handle successful response
       return sendJsonResponse(res, 200, {
-        ...response.data,
-        ResponseCode: response.data.ResponseCode || "0"
+        ...queryResult,
+        ResponseCode: queryResult.ResponseCode || "0"
       });
     } catch (mpesaError) {
       console.error('M-Pesa API error response:', mpesaError.response?.data);
@@ -831,9 +714,9 @@ app.post("/query", async (req, res) => {
       return sendJsonResponse(res, 200, {
         ResponseCode: "1",
         ResultCode: "1",
-        ResultDesc: errorMessage || "Failed to check payment status",
+        ResultDesc: errorMessage || mpesaError.message || "Failed to check payment status",
         errorCode: errorCode || 'unknown',
-        errorMessage: errorMessage || "Payment query failed"
+        errorMessage: errorMessage || mpesaError.message || "Payment query failed"
       });
     }
   } catch (error) {
@@ -854,59 +737,450 @@ app.post("/query", async (req, res) => {
   }
 });
 
-// Update the order status update endpoint to include enhanced notification tracking
-app.post("/update-order-status", async (req, res) => {
+// M-Pesa B2C payout endpoint (refunds and merchant disbursements)
+app.post("/mpesa/b2c", requireMerchantAuth({ secret: true, provider: 'mpesa' }), async (req, res) => {
   try {
-    const { orderId, newStatus } = req.body;
+    const { merchantId, phone, amount, commandId, remarks, occasion, transactionId, orderId, purpose } = req.body;
 
-    if (!orderId || !newStatus) {
+    if (!merchantId || !phone || !amount) {
       return res.status(400).json({
         ResponseCode: "1",
-        errorMessage: "Order ID and new status are required"
+        errorMessage: "Merchant ID, phone and amount are required"
       });
     }
 
-    const orderRef = doc(db, 'orders', orderId);
-    const orderDoc = await getDoc(orderRef);
+    const payout = await initiateB2CPayment({
+      merchantId,
+      phone,
+      amount,
+      commandId,
+      remarks,
+      occasion,
+      transactionId,
+      orderId,
+      purpose
+    });
 
-    if (!orderDoc.exists()) {
-      return res.status(404).json({
+    res.json({
+      ResponseCode: "0",
+      message: "Payout request accepted for processing",
+      payoutId: payout.id,
+      status: payout.status,
+      conversationId: payout.conversationId
+    });
+  } catch (error) {
+    console.error('Error initiating M-Pesa payout:', error);
+    res.status(500).json({
+      ResponseCode: "1",
+      errorMessage: error.message || "Failed to initiate M-Pesa payout"
+    });
+  }
+});
+
+// M-Pesa B2C result callback
+app.post("/mpesa/b2c/result/:payoutId", async (req, res) => {
+  // B2C results settle payouts, refunds and ledger reservations, so only Safaricom may send them
+  if (!isSafaricomSourceIp(req.ip)) {
+    console.error('Rejected M-Pesa B2C result from unexpected IP:', req.ip);
+    return res.status(403).json({ ResultCode: 1, ResultDesc: "Forbidden" });
+  }
+
+  try {
+    const { payoutId } = req.params;
+    console.log('Received M-Pesa B2C result for payout:', payoutId, req.body);
+
+    await handleB2CResult(payoutId, req.body);
+  } catch (error) {
+    console.error('B2C result callback error:', error);
+  }
+
+  // Always acknowledge receipt to M-Pesa
+  res.json({
+    ResultCode: 0,
+    ResultDesc: "Accepted"
+  });
+});
+
+// M-Pesa B2C queue timeout callback
+app.post("/mpesa/b2c/timeout/:payoutId", async (req, res) => {
+  // B2C timeouts settle payouts, refunds and ledger reservations, so only Safaricom may send them
+  if (!isSafaricomSourceIp(req.ip)) {
+    console.error('Rejected M-Pesa B2C timeout from unexpected IP:', req.ip);
+    return res.status(403).json({ ResultCode: 1, ResultDesc: "Forbidden" });
+  }
+
+  try {
+    const { payoutId } = req.params;
+    console.log('Received M-Pesa B2C timeout for payout:', payoutId, req.body);
+
+    await handleB2CTimeout(payoutId, req.body);
+  } catch (error) {
+    console.error('B2C timeout callback error:', error);
+  }
+
+  // Always acknowledge receipt to M-Pesa
+  res.json({
+    ResultCode: 0,
+    ResultDesc: "Accepted"
+  });
+});
+
+// M-Pesa transaction status query by receipt number
+app.post("/mpesa/transaction-status", requireMerchantAuth({ secret: true, provider: 'mpesa' }), async (req, res) => {
+  try {
+    const { merchantId, receiptNumber, remarks } = req.body;
+
+    if (!merchantId || !receiptNumber) {
+      return res.status(400).json({
         ResponseCode: "1",
-        errorMessage: "Order not found"
+        errorMessage: "Merchant ID and receipt number are required"
       });
     }
 
-    const orderData = orderDoc.data();
+    const statusQuery = await queryTransactionStatus(merchantId, receiptNumber, remarks);
 
-    // Check if notification was already sent for this status
-    if (orderData.lastNotificationStatus === newStatus && orderData.notificationSent) {
-      return res.json({
-        ResponseCode: "0",
-        message: "Status already updated and notification sent"
+    res.json({
+      ResponseCode: "0",
+      message: "Transaction status query accepted for processing",
+      queryId: statusQuery.id,
+      status: statusQuery.status
+    });
+  } catch (error) {
+    console.error('Error querying M-Pesa transaction status:', error);
+    res.status(500).json({
+      ResponseCode: "1",
+      errorMessage: error.message || "Failed to query transaction status"
+    });
+  }
+});
+
+// M-Pesa account balance query for a merchant's shortcode
+app.post("/mpesa/account-balance", requireMerchantAuth({ secret: true, provider: 'mpesa' }), async (req, res) => {
+  try {
+    const { merchantId } = req.body;
+
+    if (!merchantId) {
+      return res.status(400).json({
+        ResponseCode: "1",
+        errorMessage: "Merchant ID is required"
       });
     }
 
-    // Update order status
-    await updateDoc(orderRef, {
-      status: newStatus,
-      updatedAt: serverTimestamp()
+    const balanceQuery = await queryAccountBalance(merchantId);
+
+    res.json({
+      ResponseCode: "0",
+      message: "Account balance query accepted for processing",
+      queryId: balanceQuery.id,
+      status: balanceQuery.status
+    });
+  } catch (error) {
+    console.error('Error querying M-Pesa account balance:', error);
+    res.status(500).json({
+      ResponseCode: "1",
+      errorMessage: error.message || "Failed to query account balance"
     });
+  }
+});
+
+// Result and timeout callbacks for transaction status and account balance queries
+["/mpesa/transaction-status", "/mpesa/account-balance"].forEach((routePrefix) => {
+  app.post(`${routePrefix}/result/:merchantId/:queryId`, async (req, res) => {
+    // Status results can settle transactions, so only Safaricom may send them
+    if (!isSafaricomSourceIp(req.ip)) {
+      console.error(`Rejected M-Pesa result on ${routePrefix} from unexpected IP:`, req.ip);
+      return res.status(403).json({ ResultCode: 1, ResultDesc: "Forbidden" });
+    }
 
     try {
-      // Send email notification
-      await sendOrderStatusUpdateEmail(orderData, newStatus);
-      console.log('Status update email sent successfully for order:', orderId);
+      const { merchantId, queryId } = req.params;
+      console.log(`Received M-Pesa result on ${routePrefix} for query:`, queryId, req.body);
 
-      // Send SMS notification based on status
-      let message = '';
-      switch (newStatus) {
-        case 'processing':
-          message = `Your PayNow order #${orderId.slice(-6)} is being processed. We'll notify you when it ships.`;
-          break;
-        case 'shipped':
-          message = `Great news! Your PayNow order #${orderId.slice(-6)} has been shipped and is on its way.`;
-          break;
-        case 'delivered':
+      await handleQueryResult(merchantId, queryId, req.body);
+    } catch (error) {
+      console.error('M-Pesa query result callback error:', error);
+    }
+
+    // Always acknowledge receipt to M-Pesa
+    res.json({
+      ResultCode: 0,
+      ResultDesc: "Accepted"
+    });
+  });
+
+  app.post(`${routePrefix}/timeout/:merchantId/:queryId`, async (req, res) => {
+    if (!isSafaricomSourceIp(req.ip)) {
+      console.error(`Rejected M-Pesa timeout on ${routePrefix} from unexpected IP:`, req.ip);
+      return res.status(403).json({ ResultCode: 1, ResultDesc: "Forbidden" });
+    }
+
+    try {
+      const { merchantId, queryId } = req.params;
+      console.log(`Received M-Pesa timeout on ${routePrefix} for query:`, queryId, req.body);
+
+      await handleQueryTimeout(merchantId, queryId, req.body);
+    } catch (error) {
+      console.error('M-Pesa query timeout callback error:', error);
+    }
+
+    // Always acknowledge receipt to M-Pesa
+    res.json({
+      ResultCode: 0,
+      ResultDesc: "Accepted"
+    });
+  });
+});
+
+// M-Pesa reversal endpoint for mistaken or duplicate payments
+app.post("/mpesa/reversal", requireMerchantAuth({ secret: true, provider: 'mpesa' }), async (req, res) => {
+  try {
+    const { merchantId, transactionId, amount, remarks } = req.body;
+
+    if (!merchantId || !transactionId) {
+      return res.status(400).json({
+        ResponseCode: "1",
+        errorMessage: "Merchant ID and transaction ID are required"
+      });
+    }
+
+    const reversal = await initiateReversal({ merchantId, transactionId, amount, remarks });
+
+    res.json({
+      ResponseCode: "0",
+      message: "Reversal request accepted for processing",
+      reversalId: reversal.id,
+      amount: reversal.amount,
+      status: reversal.status
+    });
+  } catch (error) {
+    console.error('Error initiating M-Pesa reversal:', error);
+    res.status(500).json({
+      ResponseCode: "1",
+      errorMessage: error.message || "Failed to initiate M-Pesa reversal"
+    });
+  }
+});
+
+// M-Pesa reversal result callback
+app.post("/mpesa/reversal/result/:reversalId", async (req, res) => {
+  // Reversal results update transactions and the ledger, so only Safaricom may send them
+  if (!isSafaricomSourceIp(req.ip)) {
+    console.error('Rejected M-Pesa reversal result from unexpected IP:', req.ip);
+    return res.status(403).json({ ResultCode: 1, ResultDesc: "Forbidden" });
+  }
+
+  try {
+    const { reversalId } = req.params;
+    console.log('Received M-Pesa reversal result for reversal:', reversalId, req.body);
+
+    await handleReversalResult(reversalId, req.body);
+  } catch (error) {
+    console.error('Reversal result callback error:', error);
+  }
+
+  // Always acknowledge receipt to M-Pesa
+  res.json({
+    ResultCode: 0,
+    ResultDesc: "Accepted"
+  });
+});
+
+// M-Pesa reversal queue timeout callback
+app.post("/mpesa/reversal/timeout/:reversalId", async (req, res) => {
+  // Reversal timeouts update transactions and the ledger, so only Safaricom may send them
+  if (!isSafaricomSourceIp(req.ip)) {
+    console.error('Rejected M-Pesa reversal timeout from unexpected IP:', req.ip);
+    return res.status(403).json({ ResultCode: 1, ResultDesc: "Forbidden" });
+  }
+
+  try {
+    const { reversalId } = req.params;
+    console.log('Received M-Pesa reversal timeout for reversal:', reversalId, req.body);
+
+    await handleReversalTimeout(reversalId, req.body);
+  } catch (error) {
+    console.error('Reversal timeout callback error:', error);
+  }
+
+  // Always acknowledge receipt to M-Pesa
+  res.json({
+    ResultCode: 0,
+    ResultDesc: "Accepted"
+  });
+});
+
+// Refund endpoint for all payment processors
+app.post("/refunds", requireMerchantAuth({ secret: true }), async (req, res) => {
+  try {
+    const { merchantId, transactionId, amount, reason, method } = req.body;
+
+    if (!merchantId || !transactionId) {
+      return res.status(400).json({
+        ResponseCode: "1",
+        errorMessage: "Merchant ID and transaction ID are required"
+      });
+    }
+
+    const transactionDoc = await getDoc(doc(db, 'transactions', transactionId));
+    if (transactionDoc.exists() && !(await isKeyModeAllowed(req.merchant, transactionDoc.data().paymentProcessor))) {
+      return res.status(403).json({
+        ResponseCode: "1",
+        errorMessage: "Test API keys can't refund payments taken with live credentials"
+      });
+    }
+
+    const refund = await createRefund({ merchantId, transactionId, amount, reason, method });
+
+    res.json({
+      ResponseCode: "0",
+      refundId: refund.id,
+      amount: refund.amount,
+      currency: refund.currency,
+      status: refund.status
+    });
+  } catch (error) {
+    console.error('Error creating refund:', error);
+    res.status(500).json({
+      ResponseCode: "1",
+      errorMessage: error.message || "Failed to create refund"
+    });
+  }
+});
+
+// List the refunds made against a transaction
+app.get("/transactions/:transactionId/refunds", requireMerchantAuth({ secret: true }), async (req, res) => {
+  try {
+    const { transactionId } = req.params;
+    const { merchantId } = req.query;
+
+    if (!merchantId) {
+      return res.status(400).json({
+        ResponseCode: "1",
+        errorMessage: "Merchant ID is required"
+      });
+    }
+
+    const refunds = await getTransactionRefunds(merchantId, transactionId);
+
+    res.json({
+      ResponseCode: "0",
+      refunds
+    });
+  } catch (error) {
+    console.error('Error fetching refunds:', error);
+    res.status(500).json({
+      ResponseCode: "1",
+      errorMessage: error.message || "Failed to fetch refunds"
+    });
+  }
+});
+
+// The merchant's available, pending and reserved balances in each currency
+app.get("/balance", requireMerchantAuth({ secret: true }), async (req, res) => {
+  try {
+    if (!req.merchant) {
+      return res.status(400).json({ ResponseCode: "1", errorMessage: "Merchant ID is required" });
+    }
+
+    const balances = await getMerchantBalances(req.merchant.id);
+    res.json({ ResponseCode: "0", balances });
+  } catch (error) {
+    console.error('Error getting merchant balance:', error);
+    res.status(500).json({
+      ResponseCode: "1",
+      errorMessage: error.message || "Failed to get balance"
+    });
+  }
+});
+
+// Ledger entries for one currency between two dates, with opening, running and closing balances
+app.get("/balance/statement", requireMerchantAuth({ secret: true }), async (req, res) => {
+  try {
+    if (!req.merchant) {
+      return res.status(400).json({ ResponseCode: "1", errorMessage: "Merchant ID is required" });
+    }
+
+    const { currency, from, to } = req.query;
+    const statement = await getMerchantStatement(req.merchant.id, { currency, from, to });
+    res.json({ ResponseCode: "0", statement });
+  } catch (error) {
+    console.error('Error building merchant statement:', error);
+    res.status(error.message === 'Invalid date range' ? 400 : 500).json({
+      ResponseCode: "1",
+      errorMessage: error.message || "Failed to build statement"
+    });
+  }
+});
+
+// Update the order status update endpoint to include enhanced notification tracking
+app.post("/update-order-status", requireMerchantAuth({ secret: true }), requireOwnership('orders', 'orderId'), async (req, res) => {
+  try {
+    const { orderId, newStatus } = req.body;
+
+    if (!orderId || !newStatus) {
+      return res.status(400).json({
+        ResponseCode: "1",
+        errorMessage: "Order ID and new status are required"
+      });
+    }
+
+    const orderRef = doc(db, 'orders', orderId);
+    const orderDoc = await getDoc(orderRef);
+
+    if (!orderDoc.exists()) {
+      return res.status(404).json({
+        ResponseCode: "1",
+        errorMessage: "Order not found"
+      });
+    }
+
+    const orderData = orderDoc.data();
+
+    // Check if notification was already sent for this status
+    if (orderData.lastNotificationStatus === newStatus && orderData.notificationSent) {
+      return res.json({
+        ResponseCode: "0",
+        message: "Status already updated and notification sent"
+      });
+    }
+
+    // Repeating the current status only retries its notifications
+    if (orderData.status !== newStatus) {
+      if (!canTransitionOrder(orderData.status, newStatus)) {
+        return res.status(400).json({
+          ResponseCode: "1",
+          errorMessage: `Invalid order status transition from '${orderData.status || 'pending'}' to '${newStatus}'`
+        });
+      }
+
+      // Update order status
+      await transitionOrder(orderId, newStatus, {
+        actor: getRequestActor(req),
+        sourceEvent: 'api.update_order_status'
+      });
+
+      await emitWebhookEvent(orderData.merchantId || orderData.ownerUid, 'order.status_changed', {
+        id: orderId,
+        previousStatus: orderData.status || null,
+        status: newStatus
+      });
+    }
+
+    try {
+      // Send email notification
+      await sendOrderStatusUpdateEmail(orderData, newStatus);
+      console.log('Status update email sent successfully for order:', orderId);
+
+      // Send SMS notification based on status
+      let message = '';
+      switch (newStatus) {
+        case 'processing':
+          message = `Your PayNow order #${orderId.slice(-6)} is being processed. We'll notify you when it ships.`;
+          break;
+        case 'shipped':
+          message = `Great news! Your PayNow order #${orderId.slice(-6)} has been shipped and is on its way.`;
+          break;
+        case 'delivered':
           message = `Your PayNow order #${orderId.slice(-6)} has been delivered. Thank you for shopping with us!`;
           break;
         default:
@@ -961,7 +1235,7 @@ app.post("/update-order-status", async (req, res) => {
 });
 
 // Update the order cancellation endpoint to include SMS
-app.post("/cancel-order", async (req, res) => {
+app.post("/cancel-order", requireMerchantAuth({ secret: true }), requireOwnership('orders', 'orderId'), async (req, res) => {
   try {
     const { orderId } = req.body;
 
@@ -983,9 +1257,23 @@ app.post("/cancel-order", async (req, res) => {
     }
 
     const orderData = orderDoc.data();
-    await updateDoc(orderRef, {
-      status: 'cancelled',
-      updatedAt: serverTimestamp()
+
+    if (!canTransitionOrder(orderData.status, 'cancelled')) {
+      return res.status(400).json({
+        ResponseCode: "1",
+        errorMessage: `Orders that are ${orderData.status} can't be cancelled`
+      });
+    }
+
+    await transitionOrder(orderId, 'cancelled', {
+      actor: getRequestActor(req),
+      sourceEvent: 'api.cancel_order'
+    });
+
+    await emitWebhookEvent(orderData.merchantId || orderData.ownerUid, 'order.status_changed', {
+      id: orderId,
+      previousStatus: orderData.status || null,
+      status: 'cancelled'
     });
 
     // Send cancellation email
@@ -1009,11 +1297,14 @@ app.post("/cancel-order", async (req, res) => {
 });
 
 // Add verification notification endpoint
-app.post("/api/notifications/verification", async (req, res) => {
+app.post("/api/notifications/verification", requireRole('admin'), async (req, res) => {
   try {
-    const { userId, status, rejectionReason, adminId } = req.body;
+    const { userId, status, rejectionReason } = req.body;
     
-    if (!userId || !status || !adminId) {
+    // The approving admin is the signed-in user, never a client-supplied ID
+    const adminId = req.user.uid;
+    
+    if (!userId || !status) {
       return res.status(400).json({
         ResponseCode: "1",
         errorMessage: "Missing required parameters"
@@ -1039,9 +1330,28 @@ app.post("/api/notifications/verification", async (req, res) => {
   }
 });
 
+// Set a dashboard user's role (merchant, staff or admin)
+app.post("/admin/users/:uid/role", requireRole('admin'), async (req, res) => {
+  try {
+    const { role, merchantId } = req.body;
+    await setUserRole(req.params.uid, role, merchantId, req.user.uid);
+    
+    res.json({
+      ResponseCode: "0",
+      message: `User role set to ${role}`
+    });
+  } catch (error) {
+    console.error('Error setting user role:', error);
+    res.status(400).json({
+      ResponseCode: "1",
+      errorMessage: error.message || "Failed to set user role"
+    });
+  }
+});
+
 const PORT = 8000; // Changed port to 8000
 // Add endpoint for checking unpaid links and sending reminders
-app.post("/check-unpaid-links", async (req, res) => {
+app.post("/check-unpaid-links", requireRole('admin'), async (req, res) => {
   try {
     console.log('Received request to check unpaid links');
     const processedLinks = await checkUnpaidLinks();
@@ -1060,8 +1370,106 @@ app.post("/check-unpaid-links", async (req, res) => {
   }
 });
 
+// Add endpoint for reconciling pending M-Pesa transactions
+app.post("/mpesa/reconcile", requireRole('admin'), async (req, res) => {
+  try {
+    const { olderThanMinutes } = req.body;
+    console.log('Received request to reconcile pending M-Pesa transactions');
+    const reconciled = await reconcilePendingMpesaTransactions(
+      olderThanMinutes ? { olderThanMinutes: Number(olderThanMinutes) } : undefined
+    );
+
+    res.json({
+      ResponseCode: "0",
+      message: `Reconciled ${reconciled.length} pending transactions`,
+      reconciled
+    });
+  } catch (error) {
+    console.error('Error reconciling M-Pesa transactions:', error);
+    res.status(500).json({
+      ResponseCode: "1",
+      errorMessage: error.message || "Failed to reconcile M-Pesa transactions"
+    });
+  }
+});
+
+// List stored provider webhooks and callbacks, by default those that failed
+app.get("/admin/inbound-events", requireRole('admin'), async (req, res) => {
+  try {
+    const { status, provider, from, to, limit } = req.query;
+    const events = await listInboundEvents({ status, provider, from, to, maxResults: limit });
+    res.json({ ResponseCode: "0", events });
+  } catch (error) {
+    console.error('Error listing inbound events:', error);
+    res.status(400).json({
+      ResponseCode: "1",
+      errorMessage: error.message || "Failed to list inbound events"
+    });
+  }
+});
+
+// A stored inbound event, including its headers and raw body
+app.get("/admin/inbound-events/:eventId", requireRole('admin'), async (req, res) => {
+  try {
+    const event = await getInboundEvent(req.params.eventId);
+    res.json({ ResponseCode: "0", event });
+  } catch (error) {
+    console.error('Error getting inbound event:', error);
+    res.status(404).json({
+      ResponseCode: "1",
+      errorMessage: error.message || "Inbound event not found"
+    });
+  }
+});
+
+// Replay a range of events, either eventIds or everything matching status, provider, from and to
+app.post("/admin/inbound-events/replay", requireRole('admin'), async (req, res) => {
+  try {
+    const { eventIds, status, provider, from, to, limit } = req.body;
+
+    if (!eventIds?.length && !from && !to) {
+      return res.status(400).json({
+        ResponseCode: "1",
+        errorMessage: "Event IDs or a from/to range are required"
+      });
+    }
+
+    const results = await replayInboundEvents({ eventIds, status, provider, from, to, maxResults: limit }, req.user.uid);
+    res.json({
+      ResponseCode: "0",
+      message: `Replayed ${results.filter(result => result.status === 'processed').length} of ${results.length} events`,
+      results
+    });
+  } catch (error) {
+    console.error('Error replaying inbound events:', error);
+    res.status(400).json({
+      ResponseCode: "1",
+      errorMessage: error.message || "Failed to replay inbound events"
+    });
+  }
+});
+
+// Replay one stored event through its provider's handler
+app.post("/admin/inbound-events/:eventId/replay", requireRole('admin'), async (req, res) => {
+  try {
+    const result = await replayInboundEvent(req.params.eventId, req.user.uid);
+
+    if (result.status !== 'processed') {
+      return res.json({ ResponseCode: "1", errorMessage: result.error, result });
+    }
+
+    res.json({ ResponseCode: "0", result });
+  } catch (error) {
+    console.error('Error replaying inbound event:', error);
+    res.status(400).json({
+      ResponseCode: "1",
+      errorMessage: error.message || "Failed to replay inbound event"
+    });
+  }
+});
+
 // Add endpoint for sending manual reminders
-app.post("/send-reminder", async (req, res) => {
+app.post("/send-reminder", requireMerchantAuth({ secret: true }), requireOwnership('paymentLinks', 'linkId'), async (req, res) => {
   try {
     const { linkId, phoneNumber, reminderType } = req.body;
     
@@ -1097,7 +1505,7 @@ app.post("/send-reminder", async (req, res) => {
 });
 
 // PayPal payment endpoint
-app.post("/paypal/create-order", async (req, res) => {
+app.post("/paypal/create-order", requireApiKey({ provider: 'paypal' }), requireOwnership('transactions', 'transactionId'), idempotencyKey(), async (req, res) => {
   try {
     console.log('Received PayPal create-order request:', req.body);
     const { amount, currency, description, metadata, transactionId, merchantId } = req.body;
@@ -1148,7 +1556,7 @@ app.post("/paypal/create-order", async (req, res) => {
 });
 
 // PayPal capture payment endpoint
-app.post("/paypal/capture-payment", async (req, res) => {
+app.post("/paypal/capture-payment", requireApiKey({ provider: 'paypal' }), async (req, res) => {
   try {
     const { orderId, merchantId } = req.body;
     
@@ -1176,29 +1584,28 @@ app.post("/paypal/capture-payment", async (req, res) => {
     });
   } catch (error) {
     console.error('Error capturing PayPal payment:', error);
-    res.status(500).json({
+    res.status(error.message === 'Transaction not found' ? 404 : 500).json({
       ResponseCode: "1",
       errorMessage: error.message || "Failed to capture PayPal payment"
     });
   }
 });
 
-// PayPal webhook endpoint
-app.post("/paypal/webhook", express.json(), async (req, res) => {
+// PayPal webhook endpoint, registered in each merchant's PayPal app
+app.post("/paypal/webhook/:merchantId", async (req, res) => {
   try {
-    const webhookId = process.env.PAYPAL_WEBHOOK_ID || '3SK663420S952222B';
-    const event = req.body;
-    
-    // Verify the webhook signature
-    const isValid = await verifyWebhookSignature(req.headers, JSON.stringify(event), webhookId);
+    let inboundEvent;
     
-    if (!isValid) {
-      console.error('PayPal webhook signature verification failed');
+    try {
+      // Store the event, then verify the webhook signature against the merchant's webhook ID
+      inboundEvent = await receiveInboundEvent('paypal', req);
+    } catch (error) {
+      console.error('PayPal webhook signature verification failed:', error.message);
       return res.status(400).send('Webhook signature verification failed');
     }
     
     // Handle the event
-    await handlePayPalWebhook(event);
+    await applyInboundEvent(inboundEvent);
     
     // Return a 200 response to acknowledge receipt of the event
     res.json({ received: true });
@@ -1210,8 +1617,94 @@ app.post("/paypal/webhook", express.json(), async (req, res) => {
   }
 });
 
-// Paystack initialization endpoint
-app.post("/paystack/initialize", async (req, res) => {
+// Stripe payment intent endpoint
+app.post("/stripe/create-payment-intent", requireApiKey({ provider: 'stripe' }), requireOwnership('transactions', 'transactionId'), idempotencyKey(), async (req, res) => {
+  try {
+    const { currency, description, metadata, transactionId, merchantId } = req.body;
+    
+    if (!transactionId) {
+      return res.status(400).json({
+        ResponseCode: "1",
+        errorMessage: "Transaction ID is required"
+      });
+    }
+    
+    if (!merchantId) {
+      return res.status(400).json({
+        ResponseCode: "1",
+        errorMessage: "Merchant ID is required"
+      });
+    }
+    
+    const transactionRef = doc(db, 'transactions', transactionId);
+    const transactionDoc = await getDoc(transactionRef);
+    
+    if (!transactionDoc.exists()) {
+      return res.status(404).json({
+        ResponseCode: "1",
+        errorMessage: "Transaction not found"
+      });
+    }
+    
+    // The amount always comes from the transaction, never from the client
+    const paymentIntent = await createPaymentIntent({
+      amount: Number(transactionDoc.data().amount),
+      currency: transactionDoc.data().currency || currency,
+      description,
+      metadata,
+      transactionId,
+      merchantId
+    });
+    
+    // Record the processor so the webhook and invoice know how this transaction is being paid
+    try {
+      await updateDoc(transactionRef, {
+        paymentProcessor: 'stripe',
+        stripePaymentIntentId: paymentIntent.paymentIntentId,
+        updatedAt: serverTimestamp()
+      });
+    } catch (dbError) {
+      console.error('Error storing Stripe payment intent reference:', dbError);
+    }
+    
+    res.json({
+      ResponseCode: "0",
+      clientSecret: paymentIntent.clientSecret,
+      paymentIntentId: paymentIntent.paymentIntentId
+    });
+  } catch (error) {
+    console.error('Error creating Stripe payment intent:', error);
+    res.status(500).json({
+      ResponseCode: "1",
+      errorMessage: error.message || "Failed to create Stripe payment intent"
+    });
+  }
+});
+
+// Stripe webhook endpoint, registered in each merchant's Stripe dashboard
+app.post("/stripe/webhook/:merchantId", async (req, res) => {
+  let inboundEvent;
+  
+  try {
+    inboundEvent = await receiveInboundEvent('stripe', req);
+  } catch (error) {
+    console.error('Stripe webhook signature verification failed:', error.message);
+    return res.status(400).send('Webhook signature verification failed');
+  }
+  
+  try {
+    await applyInboundEvent(inboundEvent);
+    res.json({ received: true });
+  } catch (error) {
+    console.error('Error handling Stripe webhook:', error);
+    res.status(500).json({
+      error: error.message || "Failed to process webhook"
+    });
+  }
+});
+
+// Paystack initialization endpoint
+app.post("/paystack/initialize", requireApiKey({ provider: 'paystack' }), requireOwnership('transactions', 'reference'), idempotencyKey(), async (req, res) => {
   try {
     const { amount, email, reference, callbackUrl, metadata, merchantId } = req.body;
     
@@ -1254,7 +1747,7 @@ app.post("/paystack/initialize", async (req, res) => {
 });
 
 // Paystack verification endpoint
-app.get("/paystack/verify/:reference", async (req, res) => {
+app.get("/paystack/verify/:reference", requireApiKey({ provider: 'paystack' }), async (req, res) => {
   try {
     const { reference } = req.params;
     const { merchantId } = req.query;
@@ -1303,18 +1796,27 @@ app.get("/paystack/verify/:reference", async (req, res) => {
 
 // Paystack webhook endpoint
 app.post("/paystack/webhook", async (req, res) => {
-  try {
-    // Validate that the request is from Paystack
-    const hash = crypto.createHmac('sha512', process.env.PAYSTACK_SECRET_KEY)
-                       .update(JSON.stringify(req.body))
-                       .digest('hex');
-                       
-    if (hash !== req.headers['x-paystack-signature']) {
-      return res.status(400).json({ error: 'Invalid signature' });
+  // Optional extra guard: only accept webhooks from Paystack's published IP addresses
+  if (process.env.PAYSTACK_VERIFY_SOURCE_IP === 'true') {
+    if (!isPaystackSourceIp(req.ip)) {
+      console.error('Rejected Paystack webhook from unexpected IP:', req.ip);
+      return res.status(403).json({ error: 'Forbidden' });
     }
-    
+  }
+  
+  let inboundEvent;
+  
+  try {
+    // Store the event, then validate that the request is from Paystack using the secret of the merchant it belongs to
+    inboundEvent = await receiveInboundEvent('paystack', req);
+  } catch (error) {
+    console.error('Paystack webhook signature verification failed:', error.message);
+    return res.status(400).json({ error: 'Invalid signature' });
+  }
+  
+  try {
     // Handle the event
-    await handlePaystackWebhook(req.body);
+    await applyInboundEvent(inboundEvent);
     
     // Return a 200 response to acknowledge receipt of the event
     res.sendStatus(200);
@@ -1326,6 +1828,187 @@ app.post("/paystack/webhook", async (req, res) => {
   }
 });
 
+// Flutterwave standard checkout initialization endpoint
+app.post("/flutterwave/initialize", requireApiKey({ provider: 'flutterwave' }), requireOwnership('transactions', 'reference'), idempotencyKey(), async (req, res) => {
+  try {
+    const { amount, currency, email, phone, name, reference, redirectUrl, description, paymentOptions, metadata, merchantId } = req.body;
+    
+    if (!amount || !email || !reference) {
+      return res.status(400).json({
+        ResponseCode: "1",
+        errorMessage: "Amount, email, and reference are required"
+      });
+    }
+    
+    if (!merchantId) {
+      return res.status(400).json({
+        ResponseCode: "1",
+        errorMessage: "Merchant ID is required"
+      });
+    }
+    
+    const payment = await initializeFlutterwavePayment({
+      amount,
+      currency,
+      email,
+      phone,
+      name,
+      reference,
+      redirectUrl,
+      description,
+      paymentOptions,
+      metadata,
+      merchantId
+    });
+    
+    res.json({
+      ResponseCode: "0",
+      link: payment.link,
+      reference: payment.reference
+    });
+  } catch (error) {
+    console.error('Error initializing Flutterwave payment:', error);
+    res.status(500).json({
+      ResponseCode: "1",
+      errorMessage: error.response?.data?.message || error.message || "Failed to initialize payment"
+    });
+  }
+});
+
+// Flutterwave verification endpoint, called after the checkout redirect
+app.get("/flutterwave/verify/:reference", requireApiKey({ provider: 'flutterwave' }), async (req, res) => {
+  try {
+    const { reference } = req.params;
+    const { merchantId } = req.query;
+    
+    if (!merchantId) {
+      return res.status(400).json({
+        ResponseCode: "1",
+        errorMessage: "Merchant ID is required"
+      });
+    }
+    
+    const transaction = await verifyFlutterwaveTransaction(reference, merchantId);
+    
+    // Settle the payment here too in case the webhook is late
+    await applyFlutterwaveTransaction(merchantId, transaction);
+    
+    res.json({
+      ResponseCode: transaction.status === 'successful' ? "0" : "2",
+      status: transaction.status,
+      reference: transaction.tx_ref,
+      amount: transaction.amount,
+      currency: transaction.currency,
+      ...(transaction.status !== 'successful' && { message: transaction.processor_response || "Payment not successful" }),
+      transaction
+    });
+  } catch (error) {
+    console.error('Error verifying Flutterwave transaction:', error);
+    res.status(500).json({
+      ResponseCode: "1",
+      errorMessage: error.response?.data?.message || error.message || "Failed to verify transaction"
+    });
+  }
+});
+
+// Flutterwave webhook endpoint, registered in each merchant's Flutterwave dashboard
+app.post("/flutterwave/webhook/:merchantId", async (req, res) => {
+  let inboundEvent;
+  
+  try {
+    // Store the event, then check the verif-hash header against the merchant's secret hash
+    inboundEvent = await receiveInboundEvent('flutterwave', req);
+  } catch (error) {
+    console.error('Flutterwave webhook verification failed:', error.message);
+    return res.status(401).json({ error: 'Invalid verif-hash' });
+  }
+  
+  try {
+    await applyInboundEvent(inboundEvent);
+    res.sendStatus(200);
+  } catch (error) {
+    console.error('Error handling Flutterwave webhook:', error);
+    res.status(500).json({
+      error: error.message || "Failed to process webhook"
+    });
+  }
+});
+
+// Airtel Money USSD push endpoint
+app.post("/airtel/pay", requireApiKey({ provider: 'airtel' }), idempotencyKey(), async (req, res) => {
+  try {
+    const { phone, amount, orderId, merchantId } = req.body;
+    
+    if (!merchantId) {
+      return sendJsonResponse(res, 400, {
+        ResponseCode: "1",
+        errorMessage: "Merchant ID is required for Airtel Money payments"
+      });
+    }
+    
+    const result = await initiateAirtelCollection(merchantId, { phone, amount, orderId });
+    
+    res.json({
+      ResponseCode: "0",
+      ResponseDescription: result.message || "Success. Request accepted for processing",
+      airtelTransactionId: result.airtelTransactionId,
+      orderId
+    });
+  } catch (error) {
+    console.error('Airtel Money payment error:', error.response?.data || error.message);
+    sendJsonResponse(res, error.response ? 502 : 400, {
+      ResponseCode: "1",
+      errorCode: error.response?.data?.status?.response_code || 'unknown',
+      errorMessage: error.response?.data?.status?.message || error.message || "Failed to initiate Airtel Money payment"
+    });
+  }
+});
+
+// Airtel Money status enquiry, applying the result if the callback hasn't arrived
+app.post("/airtel/status", requireApiKey({ provider: 'airtel' }), async (req, res) => {
+  try {
+    const { transactionId, merchantId } = req.body;
+    
+    if (!transactionId || !merchantId) {
+      return sendJsonResponse(res, 400, {
+        ResponseCode: "1",
+        errorMessage: "Transaction ID and merchant ID are required"
+      });
+    }
+    
+    const result = await checkAirtelCollectionStatus(merchantId, transactionId);
+    
+    res.json({
+      ResponseCode: "0",
+      status: result.status,
+      statusCode: result.statusCode,
+      airtelMoneyId: result.airtelMoneyId,
+      message: result.message
+    });
+  } catch (error) {
+    console.error('Airtel Money status error:', error.response?.data || error.message);
+    sendJsonResponse(res, 500, {
+      ResponseCode: "1",
+      errorMessage: error.response?.data?.status?.message || error.message || "Failed to check Airtel Money payment"
+    });
+  }
+});
+
+// Airtel Money callback endpoint, configured in each merchant's Airtel app
+app.post("/airtel/callback/:merchantId", async (req, res) => {
+  try {
+    console.log('Received Airtel Money callback for merchant:', req.params.merchantId, req.body);
+    
+    const inboundEvent = await receiveInboundEvent('airtel', req);
+    await applyInboundEvent(inboundEvent);
+  } catch (error) {
+    console.error('Airtel Money callback error:', error);
+  }
+  
+  // Always acknowledge so Airtel stops retrying; results can be recovered with /airtel/status
+  res.json({ ResponseCode: "0", ResponseDesc: "Success" });
+});
+
 // Schedule automatic reminder checks (every hour)
 setInterval(async () => {
   try {
@@ -1336,6 +2019,34 @@ setInterval(async () => {
   }
 }, 60 * 60 * 1000); // 1 hour
 
+// Schedule reconciliation of M-Pesa transactions whose callback never arrived
+setInterval(async () => {
+  try {
+    console.log('Running scheduled M-Pesa reconciliation...');
+    await reconcilePendingMpesaTransactions();
+  } catch (error) {
+    console.error('Error in scheduled M-Pesa reconciliation:', error);
+  }
+}, (parseInt(process.env.MPESA_RECONCILE_INTERVAL_MINUTES, 10) || 5) * 60 * 1000);
+
+// Schedule retries of merchant webhook deliveries that failed
+setInterval(async () => {
+  try {
+    await retryDueDeliveries();
+  } catch (error) {
+    console.error('Error in scheduled webhook retries:', error);
+  }
+}, 60 * 1000); // 1 minute
+
+// Schedule settlement of pending payments into merchants' available balances
+setInterval(async () => {
+  try {
+    await settleDuePayments();
+  } catch (error) {
+    console.error('Error in scheduled ledger settlement:', error);
+  }
+}, 15 * 60 * 1000); // 15 minutes
+
 // API key testing endpoints
 app.post("/test-paypal-credentials", async (req, res) => {
   try {
@@ -1406,6 +2117,72 @@ app.post("/test-paystack-key", async (req, res) => {
   }
 });
 
+app.post("/test-flutterwave-key", async (req, res) => {
+  try {
+    const { secretKey } = req.body;
+    
+    if (!secretKey || !secretKey.startsWith('FLWSECK')) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid Flutterwave secret key format"
+      });
+    }
+    
+    // Try to make a simple API call to Flutterwave
+    await axios.get('https://api.flutterwave.com/v3/balances', {
+      headers: {
+        'Authorization': `Bearer ${secretKey}`
+      }
+    });
+    
+    // If we got here, the key is valid
+    res.json({
+      success: true,
+      message: "Flutterwave API key is valid"
+    });
+  } catch (error) {
+    console.error('Error testing Flutterwave key:', error);
+    res.status(400).json({
+      success: false,
+      error: error.response?.data?.message || error.message || "Invalid Flutterwave API key"
+    });
+  }
+});
+
+app.post("/test-airtel-credentials", async (req, res) => {
+  try {
+    const { clientId, clientSecret, environment } = req.body;
+    
+    if (!clientId || !clientSecret) {
+      return res.status(400).json({
+        success: false,
+        error: "Both Airtel Money Client ID and Client Secret are required"
+      });
+    }
+    
+    const result = await testAirtelCredentials({ clientId, clientSecret, environment });
+    
+    if (result.success) {
+      res.json({
+        success: true,
+        message: "Airtel Money credentials are valid",
+        environment: environment === 'sandbox' ? 'sandbox' : 'production'
+      });
+    } else {
+      res.status(400).json({
+        success: false,
+        error: result.error || "Invalid Airtel Money credentials"
+      });
+    }
+  } catch (error) {
+    console.error('Error testing Airtel Money credentials:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message || "Invalid Airtel Money credentials"
+    });
+  }
+});
+
 // Endpoint to test M-Pesa credentials
 app.post("/test-mpesa-credentials", async (req, res) => {
   try {
@@ -1465,6 +2242,201 @@ app.post("/test-mpesa-credentials", async (req, res) => {
   }
 });
 
+// Get a merchant's provider settings, with credentials masked
+app.get("/merchant-settings/:provider", requireMerchantAuth({ secret: true, roles: ['merchant', 'admin'] }), async (req, res) => {
+  try {
+    if (!req.merchant) {
+      return res.status(400).json({ ResponseCode: "1", errorMessage: "Merchant ID is required" });
+    }
+    
+    const settings = await getMaskedProviderSettings(req.merchant.id, req.params.provider);
+    res.json({ ResponseCode: "0", settings });
+  } catch (error) {
+    console.error('Error getting merchant settings:', error);
+    res.status(400).json({
+      ResponseCode: "1",
+      errorMessage: error.message || "Failed to get merchant settings"
+    });
+  }
+});
+
+// Create or update a merchant's provider settings; credentials are encrypted before they are stored
+app.put("/merchant-settings/:provider", requireMerchantAuth({ secret: true, roles: ['merchant', 'admin'] }), async (req, res) => {
+  try {
+    if (!req.merchant) {
+      return res.status(400).json({ ResponseCode: "1", errorMessage: "Merchant ID is required" });
+    }
+    
+    const settings = await saveProviderSettings(req.merchant.id, req.params.provider, req.body);
+    res.json({ ResponseCode: "0", settings });
+  } catch (error) {
+    console.error('Error saving merchant settings:', error);
+    res.status(400).json({
+      ResponseCode: "1",
+      errorMessage: error.message || "Failed to save merchant settings"
+    });
+  }
+});
+
+// List the authenticated merchant's API keys
+app.get("/api-keys", requireMerchantAuth({ secret: true, roles: ['merchant'] }), async (req, res) => {
+  try {
+    const keys = await listApiKeys(req.merchant.id);
+    res.json({ ResponseCode: "0", keys });
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    res.status(500).json({
+      ResponseCode: "1",
+      errorMessage: error.message || "Failed to list API keys"
+    });
+  }
+});
+
+// Issue a new publishable and secret key pair, e.g. test keys for a live merchant
+app.post("/api-keys", requireMerchantAuth({ secret: true, roles: ['merchant'] }), async (req, res) => {
+  try {
+    const { publishable, secret } = await createApiKeyPair(req.merchant.id, req.body.mode);
+    res.json({ ResponseCode: "0", publishable, secret });
+  } catch (error) {
+    console.error('Error creating API keys:', error);
+    res.status(400).json({
+      ResponseCode: "1",
+      errorMessage: error.message || "Failed to create API keys"
+    });
+  }
+});
+
+// Rotate an API key; the old key keeps working for graceHours (default 24, 0 revokes it now)
+app.post("/api-keys/:keyId/rotate", requireMerchantAuth({ secret: true, roles: ['merchant'] }), async (req, res) => {
+  try {
+    const key = await rotateApiKey(req.merchant.id, req.params.keyId, {
+      ...(req.body.graceHours !== undefined && { graceHours: req.body.graceHours })
+    });
+    res.json({ ResponseCode: "0", key });
+  } catch (error) {
+    console.error('Error rotating API key:', error);
+    res.status(400).json({
+      ResponseCode: "1",
+      errorMessage: error.message || "Failed to rotate API key"
+    });
+  }
+});
+
+// Revoke an API key immediately
+app.post("/api-keys/:keyId/revoke", requireMerchantAuth({ secret: true, roles: ['merchant'] }), async (req, res) => {
+  try {
+    await revokeApiKey(req.merchant.id, req.params.keyId);
+    res.json({ ResponseCode: "0", message: "API key revoked" });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(400).json({
+      ResponseCode: "1",
+      errorMessage: error.message || "Failed to revoke API key"
+    });
+  }
+});
+
+// List the authenticated merchant's webhook endpoints and the events they can subscribe to
+app.get("/webhook-endpoints", requireMerchantAuth({ secret: true, roles: ['merchant'] }), async (req, res) => {
+  try {
+    const endpoints = await listWebhookEndpoints(req.merchant.id);
+    res.json({ ResponseCode: "0", endpoints, events: WEBHOOK_EVENTS });
+  } catch (error) {
+    console.error('Error listing webhook endpoints:', error);
+    res.status(500).json({
+      ResponseCode: "1",
+      errorMessage: error.message || "Failed to list webhook endpoints"
+    });
+  }
+});
+
+// Add a webhook endpoint; its signing secret is only returned in this response
+app.post("/webhook-endpoints", requireMerchantAuth({ secret: true, roles: ['merchant'] }), async (req, res) => {
+  try {
+    const { url, events, description } = req.body;
+    const endpoint = await createWebhookEndpoint(req.merchant.id, { url, events, description });
+    res.json({ ResponseCode: "0", endpoint });
+  } catch (error) {
+    console.error('Error creating webhook endpoint:', error);
+    res.status(400).json({
+      ResponseCode: "1",
+      errorMessage: error.message || "Failed to create webhook endpoint"
+    });
+  }
+});
+
+// Change a webhook endpoint's URL, events, description or status
+app.put("/webhook-endpoints/:endpointId", requireMerchantAuth({ secret: true, roles: ['merchant'] }), async (req, res) => {
+  try {
+    const { url, events, description, status } = req.body;
+    const endpoint = await updateWebhookEndpoint(req.merchant.id, req.params.endpointId, { url, events, description, status });
+    res.json({ ResponseCode: "0", endpoint });
+  } catch (error) {
+    console.error('Error updating webhook endpoint:', error);
+    res.status(400).json({
+      ResponseCode: "1",
+      errorMessage: error.message || "Failed to update webhook endpoint"
+    });
+  }
+});
+
+// Replace a webhook endpoint's signing secret
+app.post("/webhook-endpoints/:endpointId/rotate-secret", requireMerchantAuth({ secret: true, roles: ['merchant'] }), async (req, res) => {
+  try {
+    const endpoint = await rotateWebhookSecret(req.merchant.id, req.params.endpointId);
+    res.json({ ResponseCode: "0", endpoint });
+  } catch (error) {
+    console.error('Error rotating webhook secret:', error);
+    res.status(400).json({
+      ResponseCode: "1",
+      errorMessage: error.message || "Failed to rotate webhook secret"
+    });
+  }
+});
+
+// Delivery log, optionally filtered by endpointId and status
+app.get("/webhook-deliveries", requireMerchantAuth({ secret: true, roles: ['merchant'] }), async (req, res) => {
+  try {
+    const { endpointId, status, limit } = req.query;
+    const deliveries = await listWebhookDeliveries(req.merchant.id, { endpointId, status, maxResults: limit });
+    res.json({ ResponseCode: "0", deliveries });
+  } catch (error) {
+    console.error('Error listing webhook deliveries:', error);
+    res.status(500).json({
+      ResponseCode: "1",
+      errorMessage: error.message || "Failed to list webhook deliveries"
+    });
+  }
+});
+
+// A delivery with every attempt made to send it
+app.get("/webhook-deliveries/:deliveryId", requireMerchantAuth({ secret: true, roles: ['merchant'] }), async (req, res) => {
+  try {
+    const delivery = await getWebhookDelivery(req.merchant.id, req.params.deliveryId);
+    res.json({ ResponseCode: "0", delivery });
+  } catch (error) {
+    console.error('Error getting webhook delivery:', error);
+    res.status(404).json({
+      ResponseCode: "1",
+      errorMessage: error.message || "Webhook delivery not found"
+    });
+  }
+});
+
+// Send a delivery again now, e.g. after fixing the endpoint
+app.post("/webhook-deliveries/:deliveryId/redeliver", requireMerchantAuth({ secret: true, roles: ['merchant'] }), async (req, res) => {
+  try {
+    const delivery = await redeliverWebhook(req.merchant.id, req.params.deliveryId);
+    res.json({ ResponseCode: "0", delivery });
+  } catch (error) {
+    console.error('Error redelivering webhook:', error);
+    res.status(400).json({
+      ResponseCode: "1",
+      errorMessage: error.message || "Failed to redeliver webhook"
+    });
+  }
+});
+
 // Health check endpoint
 app.use('/api/health', require('./api/health'));
 
@@ -1488,7 +2460,7 @@ if (process.env.NODE_ENV === 'production') {
 }
 
 // Customer API routes
-app.post('/send-sms', async (req, res) => {
+app.post('/send-sms', requireMerchantAuth({ secret: true }), async (req, res) => {
   try {
     const { to, name, paymentUrl, description, amount, currency, merchantId } = req.body;
     
@@ -1516,7 +2488,7 @@ app.post('/send-sms', async (req, res) => {
   }
 });
 
-app.post('/send-payment-link-email', async (req, res) => {
+app.post('/send-payment-link-email', requireMerchantAuth({ secret: true }), async (req, res) => {
   try {
     const { to, name, paymentUrl, description, amount, currency, merchantId } = req.body;
     
@@ -1544,7 +2516,7 @@ app.post('/send-payment-link-email', async (req, res) => {
   }
 });
 
-app.post('/customers', async (req, res) => {
+app.post('/customers', requireMerchantAuth({ secret: true }), async (req, res) => {
   try {
     const { merchantId, ...customerData } = req.body;
     
@@ -0,0 +1,147 @@
+const { doc, collection, runTransaction, serverTimestamp } = require("firebase/firestore");
+const { db } = require("./firebase");
+
+// Statuses each transaction status may move to. Failed and cancelled payments can be retried,
+// and a late success still settles them; settled payments only move on through refunds,
+// reversals and disputes, and refunded or reversed transactions are final.
+const TRANSACTION_TRANSITIONS = {
+  pending: ['pending', 'processing', 'success', 'failed', 'cancelled'],
+  processing: ['processing', 'success', 'failed', 'cancelled'],
+  failed: ['failed', 'pending', 'processing', 'success'],
+  cancelled: ['cancelled', 'pending', 'processing', 'success'],
+  success: ['partially_refunded', 'refunded', 'partially_reversed', 'reversed', 'disputed'],
+  partially_refunded: ['partially_refunded', 'refunded', 'partially_reversed', 'reversed', 'disputed'],
+  partially_reversed: ['partially_reversed', 'reversed', 'partially_refunded', 'refunded', 'disputed'],
+  disputed: ['disputed', 'success', 'partially_refunded', 'partially_reversed', 'reversed', 'refunded'],
+  refunded: [],
+  reversed: []
+};
+
+// Statuses each order status may move to
+const ORDER_TRANSITIONS = {
+  pending: ['paid', 'processing', 'cancelled'],
+  paid: ['processing', 'cancelled', 'refunded'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: ['refunded'],
+  cancelled: ['refunded'],
+  refunded: []
+};
+
+const STATE_MACHINES = {
+  transactions: TRANSACTION_TRANSITIONS,
+  orders: ORDER_TRANSITIONS
+};
+
+/**
+ * Checks whether a status change is allowed. Documents written before statuses were
+ * enforced may have no status, which is treated as pending.
+ * @param {Object} transitions - The state machine's transitions
+ * @param {string} fromStatus - The current status
+ * @param {string} toStatus - The new status
+ * @returns {boolean} - Whether the change is allowed
+ */
+const canTransition = (transitions, fromStatus, toStatus) => {
+  return (transitions[fromStatus || 'pending'] || []).includes(toStatus);
+};
+
+/**
+ * Checks whether a transaction may move to a new status
+ * @param {string} fromStatus - The transaction's current status
+ * @param {string} toStatus - The new status
+ * @returns {boolean} - Whether the change is allowed
+ */
+const canTransitionTransaction = (fromStatus, toStatus) => canTransition(TRANSACTION_TRANSITIONS, fromStatus, toStatus);
+
+/**
+ * Checks whether an order may move to a new status
+ * @param {string} fromStatus - The order's current status
+ * @param {string} toStatus - The new status
+ * @returns {boolean} - Whether the change is allowed
+ */
+const canTransitionOrder = (fromStatus, toStatus) => canTransition(ORDER_TRANSITIONS, fromStatus, toStatus);
+
+/**
+ * Applies a status change inside a Firestore transaction, appending it to the document's
+ * statusHistory subcollection. Throws if the change isn't allowed.
+ * @param {Object} transaction - The Firestore transaction
+ * @param {Object} documentRef - The transaction or order document
+ * @param {string} fromStatus - The status the document was read with
+ * @param {string} toStatus - The new status
+ * @param {Object} change - actor, sourceEvent and other fields to update with the status
+ */
+const applyStatusChange = (transaction, documentRef, fromStatus, toStatus, { actor, sourceEvent, updates = {} }) => {
+  const collectionName = documentRef.parent.id;
+
+  if (!canTransition(STATE_MACHINES[collectionName], fromStatus, toStatus)) {
+    throw new Error(`Invalid ${collectionName} status transition from '${fromStatus || 'pending'}' to '${toStatus}' for ${documentRef.id}`);
+  }
+
+  transaction.update(documentRef, {
+    ...updates,
+    status: toStatus,
+    updatedAt: serverTimestamp()
+  });
+
+  transaction.set(doc(collection(documentRef, 'statusHistory')), {
+    from: fromStatus || null,
+    to: toStatus,
+    actor: actor || 'system',
+    sourceEvent: sourceEvent || null,
+    createdAt: serverTimestamp()
+  });
+};
+
+/**
+ * Moves a transaction or order to a new status, atomically checking the transition
+ * against its current status and recording it in its status history
+ * @param {string} collectionName - 'transactions' or 'orders'
+ * @param {string} documentId - The document ID
+ * @param {string} toStatus - The new status
+ * @param {Object} change - Who made the change (e.g. 'provider:stripe', 'user:<uid>'), the event that caused it, and other fields to update
+ * @returns {Promise<Object>} - The status the document moved from and its data before the change
+ */
+const transitionStatus = async (collectionName, documentId, toStatus, change = {}) => {
+  const documentRef = doc(db, collectionName, documentId);
+
+  return runTransaction(db, async (transaction) => {
+    const snapshot = await transaction.get(documentRef);
+
+    if (!snapshot.exists()) {
+      throw new Error(`No ${collectionName} document found with ID ${documentId}`);
+    }
+
+    const data = snapshot.data();
+    applyStatusChange(transaction, documentRef, data.status, toStatus, change);
+
+    return { from: data.status || null, data };
+  });
+};
+
+/**
+ * Moves a transaction to a new status
+ * @param {string} transactionId - The transaction ID
+ * @param {string} toStatus - The new status
+ * @param {Object} change - actor, sourceEvent and other fields to update
+ * @returns {Promise<Object>} - The previous status and data
+ */
+const transitionTransaction = (transactionId, toStatus, change) => transitionStatus('transactions', transactionId, toStatus, change);
+
+/**
+ * Moves an order to a new status
+ * @param {string} orderId - The order ID
+ * @param {string} toStatus - The new status
+ * @param {Object} change - actor, sourceEvent and other fields to update
+ * @returns {Promise<Object>} - The previous status and data
+ */
+const transitionOrder = (orderId, toStatus, change) => transitionStatus('orders', orderId, toStatus, change);
+
+module.exports = {
+  TRANSACTION_TRANSITIONS,
+  ORDER_TRANSITIONS,
+  canTransitionTransaction,
+  canTransitionOrder,
+  applyStatusChange,
+  transitionTransaction,
+  transitionOrder
+};
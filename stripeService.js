@@ -2,15 +2,20 @@ const stripe = require('stripe');
 const admin = require('firebase-admin');
 const { doc: firestoreDoc, getDoc } = require("firebase/firestore");
 const { db: firestoreDb } = require("./firebase");
+const { decryptValue } = require("./credentialService");
 
 // Use a valid test key as fallback
 const DEFAULT_STRIPE_SECRET_KEY = 'sk_test_51NxMhLIgdXRfgqGLJkEbCTxBEJLcRgGZyUBbKGnMmzYAGxRHDQpLDDpbXwHKe3XRxvVMKWoAOUkrSzxCVTxGq00Jf9Qy1Jb';
 
+// Event types handleWebhookEvent acts on. Their objects carry the merchant and transaction they were created for.
+const HANDLED_EVENT_TYPES = ['payment_intent.succeeded', 'payment_intent.payment_failed', 'refund.updated', 'charge.refund.updated'];
+
 // Initialize Stripe with a function that gets the API key dynamically
 let stripeClient = null;
 
 /**
- * Gets a Stripe instance with the merchant's API key
+ * Gets a Stripe instance with the merchant's API key. The default key is only used when the merchant
+ * hasn't configured Stripe; errors reading or decrypting their key are thrown.
  * @param {string} merchantId - The merchant's user ID
  * @returns {Promise<Object>} - Stripe instance
  */
@@ -20,34 +25,74 @@ const getStripeInstance = async (merchantId) => {
     return stripe(DEFAULT_STRIPE_SECRET_KEY);
   }
   
-  try {
-    // Get merchant settings from Firestore
-    const settingsRef = firestoreDoc(firestoreDb, 'merchantSettings', merchantId);
-    const settingsDoc = await getDoc(settingsRef);
-    
-    if (!settingsDoc.exists()) {
-      console.warn(`No settings found for merchant ${merchantId}, using default key`);
-      return stripe(DEFAULT_STRIPE_SECRET_KEY);
-    }
-    
-    const settings = settingsDoc.data();
-    
-    if (!settings.stripe || !settings.stripe.secretKey || !settings.stripe.enabled) {
-      console.warn(`Stripe not properly configured for merchant ${merchantId}, using default key`);
-      return stripe(DEFAULT_STRIPE_SECRET_KEY);
-    }
-    
-    // Use the merchant's secret key
-    return stripe(settings.stripe.secretKey);
-  } catch (error) {
-    console.error('Error getting Stripe instance:', error);
-    // Fallback to default key
+  // Get merchant settings from Firestore
+  const settingsRef = firestoreDoc(firestoreDb, 'merchantSettings', merchantId);
+  const settingsDoc = await getDoc(settingsRef);
+  
+  if (!settingsDoc.exists()) {
+    console.warn(`No settings found for merchant ${merchantId}, using default key`);
+    return stripe(DEFAULT_STRIPE_SECRET_KEY);
+  }
+  
+  const settings = settingsDoc.data();
+  
+  if (!settings.stripe || !settings.stripe.secretKey || !settings.stripe.enabled) {
+    console.warn(`Stripe not properly configured for merchant ${merchantId}, using default key`);
     return stripe(DEFAULT_STRIPE_SECRET_KEY);
   }
+  
+  // Use the merchant's secret key
+  return stripe(await decryptValue(settings.stripe.secretKey));
 };
-const { doc, updateDoc, serverTimestamp } = require("firebase/firestore");
+const { doc } = require("firebase/firestore");
 const { db } = require("./firebase");
-const { sendPaymentConfirmationEmail } = require("./emailService");
+const { markPaymentSuccessful } = require("./paymentService");
+const { emitTransactionEvent } = require("./webhookService");
+const { processOnce } = require("./idempotencyService");
+const { canTransitionTransaction, transitionTransaction } = require("./statusService");
+
+/**
+ * Verifies a Stripe webhook against the merchant's webhook signing secret
+ * @param {string} merchantId - The merchant the webhook endpoint belongs to
+ * @param {Buffer} rawBody - The raw request body
+ * @param {string} signature - The Stripe-Signature header
+ * @returns {Promise<Object>} - The verified Stripe event
+ */
+const constructWebhookEvent = async (merchantId, rawBody, signature) => {
+  if (!merchantId) {
+    throw new Error('Merchant ID is required to verify Stripe webhooks');
+  }
+
+  if (!rawBody || !signature) {
+    throw new Error('Missing Stripe webhook body or signature');
+  }
+
+  const settingsDoc = await getDoc(firestoreDoc(firestoreDb, 'merchantSettings', merchantId));
+  const webhookSecret = settingsDoc.exists() ? await decryptValue(settingsDoc.data().stripe?.webhookSecret) : null;
+
+  // Never fall back to a shared secret, or one merchant could forge events for another
+  if (!webhookSecret) {
+    throw new Error('Stripe webhook signing secret not configured for this merchant');
+  }
+
+  const stripeInstance = await getStripeInstance(merchantId);
+  const event = stripeInstance.webhooks.constructEvent(rawBody, signature, webhookSecret);
+
+  // Events for another merchant's transaction must not be sent to this merchant's endpoint
+  const metadata = event.data?.object?.metadata || {};
+  if ((metadata.merchantId || HANDLED_EVENT_TYPES.includes(event.type)) && metadata.merchantId !== merchantId) {
+    throw new Error('Stripe event does not belong to this merchant');
+  }
+
+  if (metadata.transactionId) {
+    const transactionDoc = await getDoc(firestoreDoc(firestoreDb, 'transactions', metadata.transactionId));
+    if (!transactionDoc.exists() || transactionDoc.data().ownerUid !== merchantId) {
+      throw new Error('Stripe event does not belong to this merchant');
+    }
+  }
+
+  return event;
+};
 
 /**
  * Creates a payment intent for Stripe
@@ -89,31 +134,81 @@ const createPaymentIntent = async (paymentData) => {
   }
 };
 
+/**
+ * Refunds all or part of a Stripe payment
+ * @param {Object} refundData - Merchant ID, payment intent ID, amount and our refund/transaction IDs
+ * @returns {Promise<Object>} - Provider refund ID, normalized status and raw response
+ */
+const refundPayment = async (refundData) => {
+  const { merchantId, paymentIntentId, amount, refundId, transactionId, reason } = refundData;
+  
+  if (!paymentIntentId) {
+    throw new Error('Transaction has no Stripe payment to refund');
+  }
+  
+  const stripeInstance = await getStripeInstance(merchantId);
+  
+  const refund = await stripeInstance.refunds.create({
+    payment_intent: paymentIntentId,
+    amount: Math.round(amount * 100),
+    metadata: {
+      refundId,
+      transactionId,
+      merchantId,
+      reason: reason || ''
+    }
+  }, {
+    // Retrying the same refund must not refund the payment twice
+    idempotencyKey: refundId
+  });
+  
+  return {
+    providerRefundId: refund.id,
+    status: getRefundStatus(refund.status),
+    failureReason: refund.failure_reason || null,
+    providerResponse: { id: refund.id, status: refund.status }
+  };
+};
+
+/**
+ * Maps a Stripe refund status to our refund status
+ * @param {string} stripeStatus - The Stripe refund status
+ * @returns {string} - 'success', 'failed' or 'processing'
+ */
+const getRefundStatus = (stripeStatus) => {
+  if (stripeStatus === 'succeeded') {
+    return 'success';
+  }
+  return ['failed', 'canceled'].includes(stripeStatus) ? 'failed' : 'processing';
+};
+
 /**
  * Handles Stripe webhook events
+ * @param {string} merchantId - The merchant whose webhook secret verified the event
  * @param {Object} event - Stripe webhook event
  * @returns {Promise<void>}
  */
-const handleWebhookEvent = async (event) => {
+const handleWebhookEvent = async (merchantId, event) => {
   try {
     const { type, data } = event;
     
-    // Extract merchant ID from metadata to get the right Stripe instance
-    const merchantId = data?.object?.metadata?.merchantId;
-    
-    // We don't need a Stripe instance for webhook handling, just for verification
-    // which is handled at the server.js level
-    
-    switch (type) {
-      case 'payment_intent.succeeded':
-        await handleSuccessfulPayment(data.object);
-        break;
-      case 'payment_intent.payment_failed':
-        await handleFailedPayment(data.object);
-        break;
-      default:
-        console.log(`Unhandled event type: ${type}`);
-    }
+    // Stripe retries webhooks, so each event is only applied once
+    await processOnce('stripe', event.id, async () => {
+      switch (type) {
+        case 'payment_intent.succeeded':
+          await handleSuccessfulPayment(merchantId, data.object);
+          break;
+        case 'payment_intent.payment_failed':
+          await handleFailedPayment(data.object);
+          break;
+        case 'refund.updated':
+        case 'charge.refund.updated':
+          await handleRefundUpdated(data.object);
+          break;
+        default:
+          console.log(`Unhandled event type: ${type}`);
+      }
+    }, { eventType: type });
   } catch (error) {
     console.error('Error handling Stripe webhook:', error);
     throw error;
@@ -122,12 +217,13 @@ const handleWebhookEvent = async (event) => {
 
 /**
  * Handles successful Stripe payments
+ * @param {string} merchantId - The merchant whose webhook secret verified the event
  * @param {Object} paymentIntent - Stripe payment intent object
  * @returns {Promise<void>}
  */
-const handleSuccessfulPayment = async (paymentIntent) => {
+const handleSuccessfulPayment = async (merchantId, paymentIntent) => {
   try {
-    const { metadata, amount, id: stripePaymentId } = paymentIntent;
+    const { metadata, id: stripePaymentId, amount_received: amountReceived, currency } = paymentIntent;
     const { transactionId } = metadata;
     
     if (!transactionId) {
@@ -135,39 +231,18 @@ const handleSuccessfulPayment = async (paymentIntent) => {
       return;
     }
     
-    // Update transaction in Firestore
-    const transactionRef = doc(db, 'transactions', transactionId);
-    await updateDoc(transactionRef, {
-      status: 'success',
-      stripePaymentId,
-      completedAt: serverTimestamp(),
-      paymentProcessor: 'stripe'
+    await markPaymentSuccessful(transactionId, {
+      merchantId,
+      // Stripe reports amounts in the smallest currency unit
+      paidAmount: amountReceived / 100,
+      currency,
+      paymentProcessor: 'stripe',
+      receiptNumber: stripePaymentId,
+      updates: { stripePaymentId }
     });
-    
-    // Get the full transaction data for the email
-    const transactionDoc = await getDoc(transactionRef);
-    if (transactionDoc.exists()) {
-      const transactionData = transactionDoc.data();
-      
-      // Send email confirmation if email is available
-      if (transactionData.payerEmail) {
-        await sendPaymentConfirmationEmail({
-          transactionId,
-          email: transactionData.payerEmail,
-          customerName: transactionData.payerName,
-          amount: transactionData.amount,
-          currency: transactionData.currency,
-          paymentMethod: 'Credit/Debit Card',
-          description: transactionData.description,
-          receiptNumber: stripePaymentId
-        });
-      }
-    }
-    
-    console.log(`Transaction ${transactionId} marked as successful`);
   } catch (error) {
     console.error('Error handling successful payment:', error);
-    // Don't throw error to prevent webhook processing failure
+    throw error;
   }
 };
 
@@ -186,25 +261,110 @@ const handleFailedPayment = async (paymentIntent) => {
       return;
     }
     
-    // Update transaction in Firestore
     const transactionRef = doc(db, 'transactions', transactionId);
-    await updateDoc(transactionRef, {
-      status: 'failed',
-      stripePaymentId,
-      failureReason: last_payment_error?.message || 'Payment failed',
-      updatedAt: serverTimestamp(),
-      paymentProcessor: 'stripe'
+    const existingDoc = await getDoc(transactionRef);
+    
+    // A late failure must never downgrade a successful payment
+    if (existingDoc.exists() && !canTransitionTransaction(existingDoc.data().status, 'failed')) {
+      console.log(`Transaction ${transactionId} already ${existingDoc.data().status}, ignoring failure`);
+      return;
+    }
+    
+    // Update transaction in Firestore
+    await transitionTransaction(transactionId, 'failed', {
+      actor: 'provider:stripe',
+      sourceEvent: `stripe.payment_intent.payment_failed:${stripePaymentId}`,
+      updates: {
+        stripePaymentId,
+        failureReason: last_payment_error?.message || 'Payment failed',
+        paymentProcessor: 'stripe'
+      }
     });
     
     console.log(`Transaction ${transactionId} marked as failed`);
+
+    await emitTransactionEvent('payment.failed', transactionId);
   } catch (error) {
     console.error('Error handling failed payment:', error);
     throw error;
   }
 };
 
+/**
+ * Applies the final status of a refund that Stripe didn't complete immediately
+ * @param {Object} refund - Stripe refund object
+ * @returns {Promise<void>}
+ */
+const handleRefundUpdated = async (refund) => {
+  const refundId = refund.metadata?.refundId;
+  const status = getRefundStatus(refund.status);
+  
+  if (!refundId || status === 'processing') {
+    return;
+  }
+  
+  // Required here because refundService depends on this module
+  const { completeRefund } = require('./refundService');
+  await completeRefund(refundId, {
+    status,
+    providerRefundId: refund.id,
+    failureReason: refund.failure_reason || null
+  });
+};
+
+/**
+ * Gets the current status of a Stripe payment intent
+ * @param {string} merchantId - The merchant's user ID
+ * @param {string} paymentIntentId - The payment intent ID
+ * @returns {Promise<Object>} - Normalized status and the payment intent
+ */
+const getPaymentIntentStatus = async (merchantId, paymentIntentId) => {
+  const stripeInstance = await getStripeInstance(merchantId);
+  const paymentIntent = await stripeInstance.paymentIntents.retrieve(paymentIntentId);
+  
+  let status = 'pending';
+  if (paymentIntent.status === 'succeeded') {
+    status = 'success';
+  } else if (paymentIntent.status === 'canceled') {
+    status = 'cancelled';
+  } else if (paymentIntent.status === 'requires_payment_method' && paymentIntent.last_payment_error) {
+    status = 'failed';
+  }
+  
+  return { status, providerResponse: paymentIntent };
+};
+
+/**
+ * Stripe payment provider, registered in providerRegistry.js
+ */
+const provider = {
+  name: 'stripe',
+  initiate: async (merchantId, { amount, currency, description, metadata, transactionId }) => {
+    const paymentIntent = await createPaymentIntent({ amount, currency, description, metadata, transactionId, merchantId });
+    return { reference: paymentIntent.paymentIntentId, clientSecret: paymentIntent.clientSecret };
+  },
+  verify: getPaymentIntentStatus,
+  refund: (refund, transactionData) => refundPayment({
+    merchantId: refund.merchantId,
+    paymentIntentId: transactionData.stripePaymentId || transactionData.stripePaymentIntentId,
+    amount: refund.amount,
+    refundId: refund.id,
+    transactionId: refund.transactionId,
+    reason: refund.reason
+  }),
+  parseWebhook: async ({ merchantId, headers, rawBody }) => ({
+    merchantId,
+    payload: await constructWebhookEvent(merchantId, rawBody, headers['stripe-signature'])
+  }),
+  handleWebhook: (event) => handleWebhookEvent(event.merchantId, event.payload)
+};
+
 module.exports = {
+  provider,
   createPaymentIntent,
+  getPaymentIntentStatus,
+  refundPayment,
+  constructWebhookEvent,
   handleWebhookEvent,
   getStripeInstance,
 };
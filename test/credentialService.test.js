@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+process.env.CREDENTIALS_MASTER_KEY = crypto.randomBytes(32).toString('base64');
+delete process.env.CREDENTIALS_KEY_PROVIDER;
+
+const {
+  isEncrypted,
+  encryptValue,
+  decryptValue,
+  encryptProviderSettings,
+  decryptProviderSettings,
+  maskProviderSettings,
+  registerKeyProvider
+} = require("../credentialService");
+
+test('encryptValue round trips through decryptValue', async () => {
+  for (const plaintext of ['sk_live_abc123', 'päss wörd:with:colons']) {
+    const encrypted = await encryptValue(plaintext);
+
+    assert.ok(isEncrypted(encrypted));
+    assert.ok(encrypted.startsWith('enc:v1:local:'));
+    assert.ok(!encrypted.includes(plaintext));
+    assert.equal(await decryptValue(encrypted), plaintext);
+  }
+});
+
+test('encryptValue uses a fresh data key and IV for every value', async () => {
+  const first = await encryptValue('sk_live_abc123');
+  const second = await encryptValue('sk_live_abc123');
+
+  assert.notEqual(first, second);
+  assert.equal(await decryptValue(first), await decryptValue(second));
+});
+
+test('decryptValue returns values that were never encrypted unchanged', async () => {
+  assert.equal(isEncrypted('sk_test_plain'), false);
+  assert.equal(isEncrypted(undefined), false);
+  assert.equal(await decryptValue('sk_test_plain'), 'sk_test_plain');
+  assert.equal(await decryptValue(null), null);
+});
+
+test('decryptValue rejects a tampered ciphertext', async () => {
+  const parts = (await encryptValue('sk_live_abc123')).split(':');
+  const ciphertext = Buffer.from(parts[parts.length - 1], 'base64url');
+  ciphertext[0] ^= 1;
+  parts[parts.length - 1] = ciphertext.toString('base64url');
+
+  await assert.rejects(decryptValue(parts.join(':')));
+});
+
+test('decryptValue fails when the master key has changed', async () => {
+  const encrypted = await encryptValue('sk_live_abc123');
+  const masterKey = process.env.CREDENTIALS_MASTER_KEY;
+  process.env.CREDENTIALS_MASTER_KEY = crypto.randomBytes(32).toString('hex');
+
+  try {
+    await assert.rejects(decryptValue(encrypted));
+  } finally {
+    process.env.CREDENTIALS_MASTER_KEY = masterKey;
+  }
+});
+
+test('registered key providers wrap and unwrap the data key', async () => {
+  const wrappingKey = crypto.randomBytes(32);
+  registerKeyProvider({
+    name: 'test-kms',
+    wrapKey: async (dataKey) => ({ keyId: 'key-1', wrappedKey: Buffer.from(dataKey.map((byte, i) => byte ^ wrappingKey[i])) }),
+    unwrapKey: async ({ keyId, wrappedKey }) => {
+      assert.equal(keyId, 'key-1');
+      return Buffer.from(wrappedKey.map((byte, i) => byte ^ wrappingKey[i]));
+    }
+  });
+
+  process.env.CREDENTIALS_KEY_PROVIDER = 'test-kms';
+  try {
+    const encrypted = await encryptValue('sk_live_abc123');
+    assert.ok(encrypted.startsWith('enc:v1:test-kms:'));
+    assert.equal(await decryptValue(encrypted), 'sk_live_abc123');
+  } finally {
+    delete process.env.CREDENTIALS_KEY_PROVIDER;
+  }
+});
+
+test('provider settings only encrypt their credential fields', async () => {
+  const settings = { environment: 'production', clientId: 'client_1', clientSecret: 'secret_1' };
+
+  const encrypted = await encryptProviderSettings('paypal', settings);
+  assert.equal(encrypted.environment, 'production');
+  assert.equal(encrypted.clientId, 'client_1');
+  assert.ok(isEncrypted(encrypted.clientSecret));
+
+  // Already encrypted values aren't encrypted twice
+  const again = await encryptProviderSettings('paypal', encrypted);
+  assert.equal(again.clientSecret, encrypted.clientSecret);
+
+  assert.deepEqual(await decryptProviderSettings('paypal', encrypted), settings);
+  assert.equal(await decryptProviderSettings('paypal', undefined), undefined);
+});
+
+test('maskProviderSettings hides credentials that are set', () => {
+  const masked = maskProviderSettings('stripe', { secretKey: 'enc:v1:...', webhookSecret: '', publishableKey: 'pk_live_1' });
+
+  assert.equal(masked.secretKey, '********');
+  assert.equal(masked.webhookSecret, '');
+  assert.equal(masked.publishableKey, 'pk_live_1');
+});
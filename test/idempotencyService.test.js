@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { canonicalJson, getRequestHash } = require("../idempotencyService");
+
+test('canonicalJson sorts object keys at every level', () => {
+  assert.equal(
+    canonicalJson({ b: 1, a: { d: 2, c: 3 } }),
+    '{"a":{"c":3,"d":2},"b":1}'
+  );
+  assert.equal(
+    canonicalJson({ a: { c: 3, d: 2 }, b: 1 }),
+    canonicalJson({ b: 1, a: { d: 2, c: 3 } })
+  );
+});
+
+test('canonicalJson keeps array order', () => {
+  assert.equal(canonicalJson([3, 1, 2]), '[3,1,2]');
+  assert.notEqual(canonicalJson([1, 2]), canonicalJson([2, 1]));
+  assert.equal(canonicalJson([{ b: 1, a: 2 }]), '[{"a":2,"b":1}]');
+});
+
+test('canonicalJson drops undefined fields the way JSON.stringify does', () => {
+  assert.equal(canonicalJson({ a: 1, b: undefined }), '{"a":1}');
+  assert.equal(canonicalJson({ a: 1, b: undefined }), canonicalJson({ a: 1 }));
+  assert.equal(canonicalJson([undefined]), '[null]');
+});
+
+test('canonicalJson serializes primitives as JSON', () => {
+  assert.equal(canonicalJson('254700000000'), '"254700000000"');
+  assert.equal(canonicalJson(100), '100');
+  assert.equal(canonicalJson(false), 'false');
+  assert.equal(canonicalJson(null), 'null');
+  assert.equal(canonicalJson(undefined), 'null');
+  assert.notEqual(canonicalJson({ amount: 100 }), canonicalJson({ amount: '100' }));
+});
+
+test('getRequestHash ignores key order in the body', () => {
+  assert.equal(
+    getRequestHash('POST', '/stkpush', { phone: '254700000000', amount: 100 }),
+    getRequestHash('POST', '/stkpush', { amount: 100, phone: '254700000000' })
+  );
+});
+
+test('getRequestHash changes with the method, path or body', () => {
+  const hash = getRequestHash('POST', '/stkpush', { amount: 100 });
+
+  assert.match(hash, /^[0-9a-f]{64}$/);
+  assert.notEqual(hash, getRequestHash('PUT', '/stkpush', { amount: 100 }));
+  assert.notEqual(hash, getRequestHash('POST', '/refunds', { amount: 100 }));
+  assert.notEqual(hash, getRequestHash('POST', '/stkpush', { amount: 101 }));
+});
+
+test('getRequestHash treats a missing body as empty', () => {
+  assert.equal(getRequestHash('POST', '/refunds', undefined), getRequestHash('POST', '/refunds', {}));
+});
@@ -0,0 +1,187 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { increment } = require("firebase/firestore");
+const {
+  toMinorUnits,
+  fromMinorUnits,
+  writeJournals,
+  recordRefundReserved,
+  recordRefundCompleted
+} = require("../ledgerService");
+
+/**
+ * Records the writes made through a Firestore transaction, keyed by collection
+ * @returns {Object} - Fake transaction with the journals and account totals it received
+ */
+const createFakeTransaction = () => {
+  const journals = new Map();
+  const accounts = new Map();
+  return {
+    journals,
+    accounts,
+    set: (ref, data) => {
+      if (ref.parent.id === 'ledgerJournals') {
+        journals.set(ref.id, data);
+      } else if (ref.parent.id === 'ledgerAccounts') {
+        assert.ok(!accounts.has(ref.id), `account ${ref.id} written twice`);
+        accounts.set(ref.id, data);
+      }
+    }
+  };
+};
+
+/**
+ * Adds up the lines of every journal written, by account
+ * @param {Map} journals - Written journals
+ * @returns {Object} - Net debit minus credit per account, and total debits and credits
+ */
+const sumJournals = (journals) => {
+  const net = {};
+  let debits = 0;
+  let credits = 0;
+
+  for (const journal of journals.values()) {
+    for (const line of journal.lines) {
+      const signed = line.side === 'debit' ? line.amount : -line.amount;
+      net[line.account] = (net[line.account] || 0) + signed;
+      if (line.side === 'debit') {
+        debits += line.amount;
+      } else {
+        credits += line.amount;
+      }
+    }
+  }
+
+  return { net, debits, credits };
+};
+
+const refund = {
+  merchantId: 'merchant_1',
+  transactionId: 'tx_1',
+  paymentProcessor: 'stripe',
+  amount: 12.5,
+  currency: 'usd',
+  ledgerReserved: true
+};
+
+test('toMinorUnits stores amounts as whole hundredths', () => {
+  assert.equal(toMinorUnits(19.99), 1999);
+  assert.equal(toMinorUnits('100'), 10000);
+  assert.equal(toMinorUnits(0.1 + 0.2), 30);
+  assert.equal(toMinorUnits(null), 0);
+  assert.equal(toMinorUnits(undefined), 0);
+});
+
+test('fromMinorUnits reverses toMinorUnits', () => {
+  for (const amount of [0, 0.01, 1, 19.99, 1234.56]) {
+    assert.equal(fromMinorUnits(toMinorUnits(amount)), amount);
+  }
+});
+
+test('writeJournals rejects journals that do not balance', () => {
+  const transaction = createFakeTransaction();
+
+  assert.throws(() => writeJournals(transaction, [['j_1', {
+    lines: [
+      { account: 'provider:stripe:clearing:USD', side: 'debit', amount: 1000 },
+      { account: 'merchant:m:pending:USD', side: 'credit', amount: 999 }
+    ]
+  }]]), /doesn't balance: 1000 debited, 999 credited/);
+  assert.equal(transaction.journals.size, 0);
+  assert.equal(transaction.accounts.size, 0);
+});
+
+test('writeJournals rejects zero, negative and fractional amounts', () => {
+  for (const amount of [0, -100, 10.5]) {
+    const transaction = createFakeTransaction();
+
+    assert.throws(() => writeJournals(transaction, [['j_1', {
+      lines: [
+        { account: 'provider:stripe:clearing:USD', side: 'debit', amount },
+        { account: 'merchant:m:pending:USD', side: 'credit', amount }
+      ]
+    }]]), /invalid amount/);
+    assert.equal(transaction.journals.size, 0);
+  }
+});
+
+test('writeJournals records the journal amount and writes each account once', () => {
+  const transaction = createFakeTransaction();
+
+  writeJournals(transaction, [
+    ['payment_tx_1', {
+      type: 'payment',
+      lines: [
+        { account: 'provider:stripe:clearing:USD', side: 'debit', amount: 10000 },
+        { account: 'merchant:m:pending:USD', side: 'credit', amount: 10000 }
+      ]
+    }],
+    ['fee_tx_1', {
+      type: 'fee',
+      lines: [
+        { account: 'merchant:m:pending:USD', side: 'debit', amount: 320 },
+        { account: 'provider:stripe:clearing:USD', side: 'credit', amount: 320 }
+      ]
+    }]
+  ]);
+
+  assert.equal(transaction.journals.get('payment_tx_1').amount, 10000);
+  assert.equal(transaction.journals.get('fee_tx_1').amount, 320);
+  assert.equal(transaction.accounts.size, 2);
+
+  const pending = transaction.accounts.get('merchant:m:pending:USD');
+  assert.ok(pending.debits.isEqual(increment(320)));
+  assert.ok(pending.credits.isEqual(increment(10000)));
+  assert.equal(pending.ownerType, 'merchant');
+  assert.equal(pending.bucket, 'pending');
+  assert.equal(pending.normalSide, 'credit');
+
+  const clearing = transaction.accounts.get('provider:stripe:clearing:USD');
+  assert.ok(clearing.debits.isEqual(increment(10000)));
+  assert.ok(clearing.credits.isEqual(increment(320)));
+  assert.equal(clearing.normalSide, 'debit');
+});
+
+test('a reserved refund that succeeds moves the amount from available to the provider', () => {
+  // The refund is reserved when it is created and completed later, each in its own transaction
+  const created = createFakeTransaction();
+  recordRefundReserved(created, 'refund_1', refund);
+  const completed = createFakeTransaction();
+  recordRefundCompleted(completed, 'refund_1', refund, 'success');
+
+  const journals = new Map([...created.journals, ...completed.journals]);
+  const { net, debits, credits } = sumJournals(journals);
+  assert.equal(debits, credits);
+  assert.equal(net['merchant:merchant_1:available:USD'], 1250);
+  assert.equal(net['merchant:merchant_1:reserved:USD'], 0);
+  assert.equal(net['provider:stripe:clearing:USD'], -1250);
+});
+
+test('a reserved refund that fails releases the amount back to available', () => {
+  // The refund is reserved when it is created and completed later, each in its own transaction
+  const created = createFakeTransaction();
+  recordRefundReserved(created, 'refund_1', refund);
+  const completed = createFakeTransaction();
+  recordRefundCompleted(completed, 'refund_1', refund, 'failed');
+
+  const journals = new Map([...created.journals, ...completed.journals]);
+  const { net, debits, credits } = sumJournals(journals);
+  assert.equal(debits, credits);
+  assert.equal(net['merchant:merchant_1:available:USD'], 0);
+  assert.equal(net['merchant:merchant_1:reserved:USD'], 0);
+  assert.ok(journals.has('refund_released_refund_1'));
+});
+
+test('refunds that were never reserved only post on success', () => {
+  const unreserved = { ...refund, ledgerReserved: false };
+
+  const failed = createFakeTransaction();
+  recordRefundCompleted(failed, 'refund_2', unreserved, 'failed');
+  assert.equal(failed.journals.size, 0);
+
+  const succeeded = createFakeTransaction();
+  recordRefundCompleted(succeeded, 'refund_2', unreserved, 'success');
+  const { net } = sumJournals(succeeded.journals);
+  assert.equal(net['merchant:merchant_1:available:USD'], 1250);
+  assert.equal(net['provider:stripe:clearing:USD'], -1250);
+});
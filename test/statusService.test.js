@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { doc } = require("firebase/firestore");
+const { db } = require("../firebase");
+const {
+  TRANSACTION_TRANSITIONS,
+  ORDER_TRANSITIONS,
+  canTransitionTransaction,
+  canTransitionOrder,
+  applyStatusChange
+} = require("../statusService");
+
+/**
+ * Records the writes made through a Firestore transaction
+ * @returns {Object} - Fake transaction with the updates and sets it received
+ */
+const createFakeTransaction = () => {
+  const writes = { updates: [], sets: [] };
+  return {
+    writes,
+    update: (ref, data) => writes.updates.push({ ref, data }),
+    set: (ref, data) => writes.sets.push({ ref, data })
+  };
+};
+
+test('transaction transitions only lead to known statuses', () => {
+  const statuses = Object.keys(TRANSACTION_TRANSITIONS);
+  for (const [from, targets] of Object.entries(TRANSACTION_TRANSITIONS)) {
+    for (const to of targets) {
+      assert.ok(statuses.includes(to), `${from} -> ${to}`);
+    }
+  }
+});
+
+test('order transitions only lead to known statuses', () => {
+  const statuses = Object.keys(ORDER_TRANSITIONS);
+  for (const [from, targets] of Object.entries(ORDER_TRANSITIONS)) {
+    for (const to of targets) {
+      assert.ok(statuses.includes(to), `${from} -> ${to}`);
+    }
+  }
+});
+
+test('successful payments are never downgraded by a late failure', () => {
+  assert.equal(canTransitionTransaction('success', 'failed'), false);
+  assert.equal(canTransitionTransaction('success', 'pending'), false);
+  assert.equal(canTransitionTransaction('success', 'cancelled'), false);
+  assert.equal(canTransitionTransaction('success', 'success'), false);
+});
+
+test('failed and cancelled payments can be retried or settled late', () => {
+  for (const from of ['failed', 'cancelled']) {
+    assert.equal(canTransitionTransaction(from, 'pending'), true);
+    assert.equal(canTransitionTransaction(from, 'success'), true);
+  }
+});
+
+test('refunded and reversed transactions are final', () => {
+  for (const from of ['refunded', 'reversed']) {
+    for (const to of Object.keys(TRANSACTION_TRANSITIONS)) {
+      assert.equal(canTransitionTransaction(from, to), false, `${from} -> ${to}`);
+    }
+  }
+});
+
+test('disputes can be resolved back to success', () => {
+  assert.equal(canTransitionTransaction('success', 'disputed'), true);
+  assert.equal(canTransitionTransaction('disputed', 'success'), true);
+});
+
+test('documents without a status are treated as pending', () => {
+  assert.equal(canTransitionTransaction(undefined, 'success'), true);
+  assert.equal(canTransitionOrder(undefined, 'paid'), true);
+  assert.equal(canTransitionOrder(undefined, 'delivered'), false);
+});
+
+test('unknown statuses cannot move anywhere', () => {
+  assert.equal(canTransitionTransaction('mystery', 'success'), false);
+  assert.equal(canTransitionOrder('mystery', 'paid'), false);
+});
+
+test('orders must be shipped before they are delivered', () => {
+  assert.equal(canTransitionOrder('processing', 'delivered'), false);
+  assert.equal(canTransitionOrder('processing', 'shipped'), true);
+  assert.equal(canTransitionOrder('shipped', 'delivered'), true);
+  assert.equal(canTransitionOrder('shipped', 'cancelled'), false);
+});
+
+test('applyStatusChange writes the status and a history entry', () => {
+  const transaction = createFakeTransaction();
+  const transactionRef = doc(db, 'transactions', 'tx_1');
+
+  applyStatusChange(transaction, transactionRef, 'pending', 'success', {
+    actor: 'provider:stripe',
+    sourceEvent: 'stripe:pi_1',
+    updates: { stripePaymentId: 'pi_1' }
+  });
+
+  assert.equal(transaction.writes.updates.length, 1);
+  assert.equal(transaction.writes.updates[0].ref, transactionRef);
+  assert.equal(transaction.writes.updates[0].data.status, 'success');
+  assert.equal(transaction.writes.updates[0].data.stripePaymentId, 'pi_1');
+
+  assert.equal(transaction.writes.sets.length, 1);
+  const history = transaction.writes.sets[0];
+  assert.equal(history.ref.parent.id, 'statusHistory');
+  assert.equal(history.ref.parent.parent.id, 'tx_1');
+  assert.equal(history.data.from, 'pending');
+  assert.equal(history.data.to, 'success');
+  assert.equal(history.data.actor, 'provider:stripe');
+  assert.equal(history.data.sourceEvent, 'stripe:pi_1');
+});
+
+test('applyStatusChange defaults the actor to system', () => {
+  const transaction = createFakeTransaction();
+
+  applyStatusChange(transaction, doc(db, 'orders', 'order_1'), 'pending', 'paid', {});
+
+  assert.equal(transaction.writes.sets[0].data.actor, 'system');
+  assert.equal(transaction.writes.sets[0].data.sourceEvent, null);
+});
+
+test('applyStatusChange rejects invalid transitions without writing', () => {
+  const transaction = createFakeTransaction();
+
+  assert.throws(
+    () => applyStatusChange(transaction, doc(db, 'transactions', 'tx_1'), 'refunded', 'success', {}),
+    /Invalid transactions status transition from 'refunded' to 'success' for tx_1/
+  );
+  assert.equal(transaction.writes.updates.length, 0);
+  assert.equal(transaction.writes.sets.length, 0);
+});
+
+test('applyStatusChange checks orders against the order state machine', () => {
+  const transaction = createFakeTransaction();
+
+  assert.throws(
+    () => applyStatusChange(transaction, doc(db, 'orders', 'order_1'), 'pending', 'success', {}),
+    /Invalid orders status transition/
+  );
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { signPayload, isPrivateAddress } = require("../webhookService");
+
+test('signPayload signs the timestamp and body with HMAC-SHA256', () => {
+  const body = JSON.stringify({ type: 'payment.succeeded', data: { transactionId: 'tx_1' } });
+  const expected = crypto.createHmac('sha256', 'whsec_test')
+    .update(`1700000000.${body}`)
+    .digest('hex');
+
+  assert.equal(signPayload('whsec_test', 1700000000, body), `t=1700000000,v1=${expected}`);
+});
+
+test('signPayload changes with the secret, timestamp or body', () => {
+  const signature = signPayload('whsec_test', 1700000000, '{}');
+
+  assert.notEqual(signature, signPayload('whsec_other', 1700000000, '{}'));
+  assert.notEqual(signature.split(',')[1], signPayload('whsec_test', 1700000001, '{}').split(',')[1]);
+  assert.notEqual(signature, signPayload('whsec_test', 1700000000, '{"a":1}'));
+});
+
+test('isPrivateAddress blocks private, loopback and link-local IPv4 addresses', () => {
+  for (const address of ['0.0.0.0', '10.1.2.3', '100.64.0.1', '127.0.0.1', '169.254.169.254',
+    '172.16.0.1', '172.31.255.255', '192.168.1.1', '224.0.0.1', '255.255.255.255']) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+});
+
+test('isPrivateAddress blocks private and loopback IPv6 addresses', () => {
+  for (const address of ['::', '::1', 'fc00::1', 'fd12:3456::1', 'fe80::1', 'ff02::1']) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+});
+
+test('isPrivateAddress blocks IPv4-mapped IPv6 forms of private addresses', () => {
+  assert.equal(isPrivateAddress('::ffff:127.0.0.1'), true);
+  assert.equal(isPrivateAddress('::ffff:10.0.0.1'), true);
+});
+
+test('isPrivateAddress allows public addresses', () => {
+  for (const address of ['8.8.8.8', '1.1.1.1', '172.32.0.1', '100.128.0.1', '2606:4700:4700::1111']) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+});
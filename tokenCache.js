@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+
+// Refresh tokens this long before they expire so in-flight requests don't use a stale token
+const REFRESH_MARGIN_SECONDS = 5 * 60;
+
+// Cached tokens and in-flight token requests, keyed by provider and merchant
+const tokens = new Map();
+const pendingRequests = new Map();
+
+/**
+ * Builds a fingerprint of the credentials a token was issued for, so a token
+ * is never reused after the merchant changes their credentials
+ * @param {...string} credentials - The credentials used to request the token
+ * @returns {string} - Credential fingerprint
+ */
+const fingerprintCredentials = (...credentials) => {
+  return crypto.createHash('sha256').update(credentials.join(':')).digest('hex');
+};
+
+/**
+ * Gets a cached access token, requesting a new one when it is missing or about to expire
+ * @param {string} key - Cache key (e.g. "mpesa:<merchantId>")
+ * @param {string} fingerprint - Fingerprint of the credentials the token is for
+ * @param {Function} requestToken - Async function resolving to { accessToken, expiresIn }
+ * @returns {Promise<string>} - Access token
+ */
+const getCachedToken = async (key, fingerprint, requestToken) => {
+  const cached = tokens.get(key);
+
+  if (cached && cached.fingerprint === fingerprint && cached.refreshAt > Date.now()) {
+    return cached.accessToken;
+  }
+
+  // Concurrent checkouts for the same merchant share one token request
+  const pendingKey = `${key}:${fingerprint}`;
+  if (pendingRequests.has(pendingKey)) {
+    return pendingRequests.get(pendingKey);
+  }
+
+  const request = (async () => {
+    try {
+      const { accessToken, expiresIn } = await requestToken();
+      const lifetimeSeconds = Number(expiresIn) || 0;
+      const marginSeconds = Math.min(REFRESH_MARGIN_SECONDS, lifetimeSeconds / 2);
+
+      tokens.set(key, {
+        accessToken,
+        fingerprint,
+        refreshAt: Date.now() + (lifetimeSeconds - marginSeconds) * 1000
+      });
+
+      return accessToken;
+    } finally {
+      pendingRequests.delete(pendingKey);
+    }
+  })();
+
+  pendingRequests.set(pendingKey, request);
+  return request;
+};
+
+/**
+ * Removes a cached token, e.g. after the provider reports it as invalid
+ * @param {string} key - Cache key
+ */
+const invalidateToken = (key) => {
+  tokens.delete(key);
+};
+
+module.exports = {
+  getCachedToken,
+  invalidateToken,
+  fingerprintCredentials
+};
@@ -0,0 +1,636 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+const { doc, getDoc, setDoc, updateDoc, collection, query, where, limit, getDocs, runTransaction, serverTimestamp, Timestamp } = require("firebase/firestore");
+const { db } = require("./firebase");
+const { encryptValue, decryptValue } = require("./credentialService");
+
+// Events merchants can subscribe their endpoints to
+const WEBHOOK_EVENTS = [
+  'payment.succeeded',
+  'payment.failed',
+  'refund.created',
+  'order.status_changed',
+  'invoice.created'
+];
+
+// Attempts before a delivery is given up on, with an exponential backoff between them:
+// 1, 2, 4, 8 minutes and so on, capped at 6 hours (about 1.5 days in total)
+const MAX_DELIVERY_ATTEMPTS = 12;
+const BASE_RETRY_DELAY_MS = 60 * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+
+// How long a delivery is held by the attempt sending it, so the retry job doesn't send it twice
+const DELIVERY_LEASE_MS = 2 * 60 * 1000;
+
+// Merchant endpoints get this long to respond
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+
+// How much of an endpoint's response is kept in the delivery log
+const MAX_LOGGED_RESPONSE_LENGTH = 1000;
+
+// Addresses webhooks are never sent to, so endpoints can't reach this server's network:
+// this network, private, shared, loopback, link-local, multicast and reserved ranges
+const PRIVATE_ADDRESSES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]]
+  .forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Checks whether an IP address is one webhooks must not be sent to
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - Whether the address is private
+ */
+const isPrivateAddress = (address) => PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+/**
+ * dns.lookup for webhook deliveries that fails for hosts resolving to a private address.
+ * It runs on every connection, so a host can't be pointed at an internal address after it was validated.
+ * @param {string} hostname - The endpoint's host
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(new Error(`Webhook host ${hostname} resolves to a private address`));
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Deliveries connect through this agent so every address they reach is checked
+const deliveryAgent = new https.Agent({ lookup: publicLookup });
+
+/**
+ * Checks that a webhook URL's host is a public address, or resolves only to public addresses
+ * @param {string} url - The webhook URL
+ * @returns {Promise<void>}
+ */
+const assertPublicHost = async (url) => {
+  // URL keeps the brackets around IPv6 hosts
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+  if (net.isIP(hostname)) {
+    if (isPrivateAddress(hostname)) {
+      throw new Error('Webhook URLs must not point to a private address');
+    }
+    return;
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    throw new Error(`Webhook host ${hostname} could not be resolved`);
+  }
+
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new Error('Webhook URLs must not point to a private address');
+  }
+};
+
+/**
+ * Generates a signing secret for a webhook endpoint
+ * @returns {string} - Signing secret
+ */
+const generateSigningSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+/**
+ * Signs a webhook payload. Merchants recompute the HMAC over `${timestamp}.${body}` with their
+ * endpoint's secret and compare it to v1 in the PayNow-Signature header.
+ * @param {string} secret - The endpoint's signing secret
+ * @param {number} timestamp - Unix time in seconds the payload was signed at
+ * @param {string} body - The raw JSON body
+ * @returns {string} - PayNow-Signature header value
+ */
+const signPayload = (secret, timestamp, body) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Validates the URL and event subscriptions for a webhook endpoint
+ * @param {Object} endpoint - URL and subscribed events
+ * @returns {Promise<void>}
+ */
+const validateEndpoint = async ({ url, events }) => {
+  if (url !== undefined) {
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch (error) {
+      throw new Error('Invalid webhook URL');
+    }
+
+    if (parsedUrl.protocol !== 'https:') {
+      throw new Error('Webhook URLs must use https');
+    }
+
+    await assertPublicHost(url);
+  }
+
+  if (events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) {
+      throw new Error('At least one event is required');
+    }
+
+    const unknownEvents = events.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+    if (unknownEvents.length > 0) {
+      throw new Error(`Unknown events: ${unknownEvents.join(', ')}. Must be '*' or one of: ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+  }
+};
+
+/**
+ * Strips the signing secret from an endpoint before it is returned to a merchant
+ * @param {Object} endpoint - The stored endpoint
+ * @returns {Object} - Public endpoint details
+ */
+const formatEndpoint = ({ secret, ...endpoint }) => endpoint;
+
+/**
+ * Gets one of a merchant's webhook endpoints
+ * @param {string} merchantId - The merchant's user ID
+ * @param {string} endpointId - The endpoint ID
+ * @returns {Promise<Object>} - The stored endpoint
+ */
+const getMerchantEndpoint = async (merchantId, endpointId) => {
+  const endpointDoc = await getDoc(doc(db, 'webhookEndpoints', endpointId));
+
+  if (!endpointDoc.exists() || endpointDoc.data().merchantId !== merchantId) {
+    throw new Error('Webhook endpoint not found');
+  }
+
+  return { id: endpointDoc.id, ...endpointDoc.data() };
+};
+
+/**
+ * Adds a webhook endpoint for a merchant. The signing secret is only ever returned here
+ * and when it is rotated.
+ * @param {string} merchantId - The merchant's user ID
+ * @param {Object} endpoint - URL, subscribed events (defaults to all) and an optional description
+ * @returns {Promise<Object>} - The endpoint, including its signing secret
+ */
+const createWebhookEndpoint = async (merchantId, { url, events = ['*'], description = '' }) => {
+  if (!merchantId || !url) {
+    throw new Error('Merchant ID and URL are required for webhook endpoints');
+  }
+
+  await validateEndpoint({ url, events });
+
+  const secret = generateSigningSecret();
+  const endpointRef = doc(collection(db, 'webhookEndpoints'));
+
+  const endpoint = {
+    merchantId,
+    url,
+    events,
+    description,
+    status: 'enabled',
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp()
+  };
+  await setDoc(endpointRef, { ...endpoint, secret: await encryptValue(secret) });
+
+  return { id: endpointRef.id, ...endpoint, secret };
+};
+
+/**
+ * Lists a merchant's webhook endpoints, without their secrets
+ * @param {string} merchantId - The merchant's user ID
+ * @returns {Promise<Array<Object>>} - Endpoints
+ */
+const listWebhookEndpoints = async (merchantId) => {
+  const endpointsQuery = query(collection(db, 'webhookEndpoints'), where('merchantId', '==', merchantId));
+  const snapshot = await getDocs(endpointsQuery);
+
+  return snapshot.docs.map(endpointDoc => ({ id: endpointDoc.id, ...formatEndpoint(endpointDoc.data()) }));
+};
+
+/**
+ * Updates a webhook endpoint's URL, events, description or status ('enabled' or 'disabled')
+ * @param {string} merchantId - The merchant's user ID
+ * @param {string} endpointId - The endpoint ID
+ * @param {Object} updates - Fields to change
+ * @returns {Promise<Object>} - The updated endpoint
+ */
+const updateWebhookEndpoint = async (merchantId, endpointId, { url, events, description, status }) => {
+  await getMerchantEndpoint(merchantId, endpointId);
+  await validateEndpoint({ url, events });
+
+  if (status !== undefined && !['enabled', 'disabled'].includes(status)) {
+    throw new Error("Invalid status. Must be 'enabled' or 'disabled'");
+  }
+
+  await updateDoc(doc(db, 'webhookEndpoints', endpointId), {
+    ...(url !== undefined && { url }),
+    ...(events !== undefined && { events }),
+    ...(description !== undefined && { description }),
+    ...(status !== undefined && { status }),
+    updatedAt: serverTimestamp()
+  });
+
+  const endpoint = await getMerchantEndpoint(merchantId, endpointId);
+  return formatEndpoint(endpoint);
+};
+
+/**
+ * Replaces a webhook endpoint's signing secret. Deliveries sent from now on are signed with the new secret.
+ * @param {string} merchantId - The merchant's user ID
+ * @param {string} endpointId - The endpoint ID
+ * @returns {Promise<Object>} - The endpoint, including its new signing secret
+ */
+const rotateWebhookSecret = async (merchantId, endpointId) => {
+  const endpoint = await getMerchantEndpoint(merchantId, endpointId);
+  const secret = generateSigningSecret();
+
+  await updateDoc(doc(db, 'webhookEndpoints', endpointId), {
+    secret: await encryptValue(secret),
+    secretRotatedAt: serverTimestamp(),
+    updatedAt: serverTimestamp()
+  });
+
+  return { ...formatEndpoint(endpoint), secret };
+};
+
+/**
+ * Gets how long to wait before the next delivery attempt
+ * @param {number} attemptCount - Attempts made so far
+ * @returns {number} - Delay in milliseconds
+ */
+const getRetryDelay = (attemptCount) => {
+  return Math.min(BASE_RETRY_DELAY_MS * 2 ** (attemptCount - 1), MAX_RETRY_DELAY_MS);
+};
+
+/**
+ * Claims a delivery for an attempt by pushing its next attempt time past the lease
+ * @param {string} deliveryId - The delivery ID
+ * @param {boolean} force - Claim it even if it isn't due, for manual redeliveries
+ * @returns {Promise<Object|null>} - The delivery, or null if it isn't due or is being sent
+ */
+const claimDelivery = async (deliveryId, force = false) => {
+  const deliveryRef = doc(db, 'webhookDeliveries', deliveryId);
+
+  return runTransaction(db, async (transaction) => {
+    const deliveryDoc = await transaction.get(deliveryRef);
+
+    if (!deliveryDoc.exists()) {
+      return null;
+    }
+
+    const delivery = deliveryDoc.data();
+    const due = delivery.nextAttemptAt && delivery.nextAttemptAt.toMillis() <= Date.now();
+
+    if (!force && (delivery.status !== 'pending' || !due)) {
+      return null;
+    }
+
+    transaction.update(deliveryRef, {
+      nextAttemptAt: Timestamp.fromMillis(Date.now() + DELIVERY_LEASE_MS)
+    });
+
+    return { id: deliveryDoc.id, ...delivery };
+  });
+};
+
+/**
+ * Sends a delivery to its endpoint and records the attempt. Failed attempts are scheduled
+ * for a retry until MAX_DELIVERY_ATTEMPTS is reached.
+ * @param {string} deliveryId - The delivery ID
+ * @param {Object} [options] - Set force to send it even if it isn't due, for manual redeliveries
+ * @returns {Promise<Object|null>} - The attempt, or null if the delivery wasn't sent
+ */
+const attemptDelivery = async (deliveryId, { force = false } = {}) => {
+  const delivery = await claimDelivery(deliveryId, force);
+
+  if (!delivery) {
+    return null;
+  }
+
+  const deliveryRef = doc(db, 'webhookDeliveries', deliveryId);
+  const attemptCount = (delivery.attemptCount || 0) + 1;
+  const startedAt = Date.now();
+  let attempt;
+
+  try {
+    const endpointDoc = await getDoc(doc(db, 'webhookEndpoints', delivery.endpointId));
+
+    if (!endpointDoc.exists() || endpointDoc.data().status !== 'enabled') {
+      throw new Error('Webhook endpoint is disabled or has been removed');
+    }
+
+    const endpoint = endpointDoc.data();
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    // The agent checks host names again as it connects, but IP address URLs skip its lookup
+    await assertPublicHost(endpoint.url);
+
+    const response = await axios.post(endpoint.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'PayNow-Webhooks/1.0',
+        'PayNow-Event': delivery.eventType,
+        'PayNow-Delivery': deliveryId,
+        'PayNow-Signature': signPayload(await decryptValue(endpoint.secret), timestamp, body)
+      },
+      timeout: DELIVERY_TIMEOUT_MS,
+      maxRedirects: 0,
+      httpsAgent: deliveryAgent,
+      // Non-2xx responses are recorded as failed attempts rather than thrown
+      validateStatus: () => true
+    });
+
+    const responseBody = typeof response.data === 'string' ? response.data : JSON.stringify(response.data ?? '');
+
+    attempt = {
+      attemptNumber: attemptCount,
+      succeeded: response.status >= 200 && response.status < 300,
+      responseStatus: response.status,
+      responseBody: responseBody.substring(0, MAX_LOGGED_RESPONSE_LENGTH),
+      error: response.status >= 200 && response.status < 300 ? null : `Endpoint responded with HTTP ${response.status}`
+    };
+  } catch (error) {
+    attempt = {
+      attemptNumber: attemptCount,
+      succeeded: false,
+      responseStatus: null,
+      responseBody: null,
+      error: error.message
+    };
+  }
+
+  attempt.durationMs = Date.now() - startedAt;
+  attempt.manual = force;
+
+  // A failed manual redelivery leaves a finished delivery as it was rather than restarting its retries
+  let status = delivery.status;
+  if (attempt.succeeded) {
+    status = 'succeeded';
+  } else if (delivery.status === 'pending') {
+    status = attemptCount >= MAX_DELIVERY_ATTEMPTS ? 'failed' : 'pending';
+  }
+
+  // Each attempt is kept under the delivery so merchants can see why it failed
+  await setDoc(doc(collection(db, 'webhookDeliveries', deliveryId, 'attempts')), {
+    ...attempt,
+    attemptedAt: serverTimestamp()
+  });
+
+  await updateDoc(deliveryRef, {
+    status,
+    attemptCount,
+    lastAttemptAt: serverTimestamp(),
+    lastResponseStatus: attempt.responseStatus,
+    lastError: attempt.error,
+    nextAttemptAt: status === 'pending' ? Timestamp.fromMillis(Date.now() + getRetryDelay(attemptCount)) : null,
+    ...(attempt.succeeded && { deliveredAt: serverTimestamp() }),
+    updatedAt: serverTimestamp()
+  });
+
+  if (!attempt.succeeded) {
+    console.warn(`Webhook delivery ${deliveryId} attempt ${attemptCount} failed: ${attempt.error}`);
+  }
+
+  return attempt;
+};
+
+/**
+ * Emits an event to every enabled endpoint the merchant has subscribed to it. A delivery is
+ * recorded for each endpoint before anything is sent, and the first attempts run in the
+ * background so payment callbacks aren't held up by slow merchant servers. Errors are logged,
+ * never thrown, so a webhook problem can't fail the payment flow that emitted the event.
+ * @param {string} merchantId - The merchant's user ID
+ * @param {string} eventType - One of WEBHOOK_EVENTS
+ * @param {Object} data - The event's object, e.g. the transaction or refund
+ * @returns {Promise<string|null>} - The event ID, or null if nothing was emitted
+ */
+const emitWebhookEvent = async (merchantId, eventType, data) => {
+  try {
+    if (!merchantId) {
+      return null;
+    }
+
+    if (!WEBHOOK_EVENTS.includes(eventType)) {
+      throw new Error(`Unknown webhook event '${eventType}'`);
+    }
+
+    const endpointsQuery = query(
+      collection(db, 'webhookEndpoints'),
+      where('merchantId', '==', merchantId),
+      where('status', '==', 'enabled')
+    );
+    const snapshot = await getDocs(endpointsQuery);
+
+    const endpoints = snapshot.docs.filter(endpointDoc => {
+      const { events = [] } = endpointDoc.data();
+      return events.includes('*') || events.includes(eventType);
+    });
+
+    if (endpoints.length === 0) {
+      return null;
+    }
+
+    const eventId = `evt_${crypto.randomBytes(12).toString('hex')}`;
+    const payload = {
+      id: eventId,
+      type: eventType,
+      created: Math.floor(Date.now() / 1000),
+      data
+    };
+
+    const deliveryIds = [];
+    for (const endpointDoc of endpoints) {
+      const deliveryRef = doc(collection(db, 'webhookDeliveries'));
+      await setDoc(deliveryRef, {
+        merchantId,
+        endpointId: endpointDoc.id,
+        url: endpointDoc.data().url,
+        eventId,
+        eventType,
+        payload,
+        status: 'pending',
+        attemptCount: 0,
+        nextAttemptAt: Timestamp.now(),
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+      });
+      deliveryIds.push(deliveryRef.id);
+    }
+
+    for (const deliveryId of deliveryIds) {
+      attemptDelivery(deliveryId).catch(error => {
+        console.error(`Error delivering webhook ${deliveryId}:`, error);
+      });
+    }
+
+    return eventId;
+  } catch (error) {
+    console.error(`Error emitting ${eventType} webhook for merchant ${merchantId}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Formats a transaction for payment webhook payloads
+ * @param {string} transactionId - The transaction ID
+ * @param {Object} transactionData - The transaction data
+ * @returns {Object} - Transaction details sent to merchants
+ */
+const formatTransactionPayload = (transactionId, transactionData) => ({
+  id: transactionId,
+  status: transactionData.status,
+  amount: transactionData.amount,
+  currency: transactionData.currency || 'KES',
+  description: transactionData.description || null,
+  paymentProcessor: transactionData.paymentProcessor || null,
+  receiptNumber: transactionData.mpesaReceiptNumber || transactionData.stripePaymentId ||
+    transactionData.paypalCaptureId || transactionData.paystackReference ||
+    transactionData.flutterwaveReference || transactionData.airtelMoneyId || null,
+  failureReason: transactionData.failureReason || transactionData.resultDescription || null,
+  payer: {
+    name: transactionData.payerName || null,
+    email: transactionData.payerEmail || null,
+    phone: transactionData.payerPhone || null
+  },
+  metadata: transactionData.metadata || {}
+});
+
+/**
+ * Emits a payment event for a transaction, using its stored state
+ * @param {string} eventType - 'payment.succeeded' or 'payment.failed'
+ * @param {string} transactionId - The transaction ID
+ * @returns {Promise<string|null>} - The event ID, or null if nothing was emitted
+ */
+const emitTransactionEvent = async (eventType, transactionId) => {
+  try {
+    const transactionDoc = await getDoc(doc(db, 'transactions', transactionId));
+
+    if (!transactionDoc.exists()) {
+      return null;
+    }
+
+    const transactionData = transactionDoc.data();
+    return emitWebhookEvent(transactionData.ownerUid, eventType, formatTransactionPayload(transactionId, transactionData));
+  } catch (error) {
+    console.error(`Error emitting ${eventType} webhook for transaction ${transactionId}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Sends deliveries whose next attempt is due. Run on a schedule by server.js.
+ * @returns {Promise<number>} - Number of deliveries attempted
+ */
+const retryDueDeliveries = async () => {
+  // Finished deliveries have no next attempt time, so they never match
+  const dueQuery = query(
+    collection(db, 'webhookDeliveries'),
+    where('nextAttemptAt', '<=', Timestamp.now()),
+    limit(50)
+  );
+  const snapshot = await getDocs(dueQuery);
+
+  let attempted = 0;
+  for (const deliveryDoc of snapshot.docs) {
+    try {
+      if (await attemptDelivery(deliveryDoc.id)) {
+        attempted++;
+      }
+    } catch (error) {
+      console.error(`Error retrying webhook delivery ${deliveryDoc.id}:`, error);
+    }
+  }
+
+  return attempted;
+};
+
+/**
+ * Lists a merchant's webhook deliveries, newest first
+ * @param {string} merchantId - The merchant's user ID
+ * @param {Object} [filters] - Endpoint ID, status ('pending', 'succeeded' or 'failed') and maximum results
+ * @returns {Promise<Array<Object>>} - Deliveries
+ */
+const listWebhookDeliveries = async (merchantId, { endpointId, status, maxResults = 100 } = {}) => {
+  const deliveriesQuery = query(
+    collection(db, 'webhookDeliveries'),
+    where('merchantId', '==', merchantId),
+    ...(endpointId ? [where('endpointId', '==', endpointId)] : []),
+    ...(status ? [where('status', '==', status)] : [])
+  );
+  const snapshot = await getDocs(deliveriesQuery);
+
+  return snapshot.docs
+    .map(deliveryDoc => ({ id: deliveryDoc.id, ...deliveryDoc.data() }))
+    .sort((a, b) => (b.createdAt?.toMillis() || 0) - (a.createdAt?.toMillis() || 0))
+    .slice(0, Math.min(Number(maxResults) || 100, 500));
+};
+
+/**
+ * Gets one of a merchant's webhook deliveries with its attempt log
+ * @param {string} merchantId - The merchant's user ID
+ * @param {string} deliveryId - The delivery ID
+ * @returns {Promise<Object>} - The delivery and its attempts, oldest first
+ */
+const getWebhookDelivery = async (merchantId, deliveryId) => {
+  const deliveryDoc = await getDoc(doc(db, 'webhookDeliveries', deliveryId));
+
+  if (!deliveryDoc.exists() || deliveryDoc.data().merchantId !== merchantId) {
+    throw new Error('Webhook delivery not found');
+  }
+
+  const attemptsSnapshot = await getDocs(collection(db, 'webhookDeliveries', deliveryId, 'attempts'));
+  const attempts = attemptsSnapshot.docs
+    .map(attemptDoc => attemptDoc.data())
+    .sort((a, b) => a.attemptNumber - b.attemptNumber);
+
+  return { id: deliveryDoc.id, ...deliveryDoc.data(), attempts };
+};
+
+/**
+ * Sends a delivery again straight away, whatever its status, e.g. once a merchant has fixed their endpoint
+ * @param {string} merchantId - The merchant's user ID
+ * @param {string} deliveryId - The delivery ID
+ * @returns {Promise<Object>} - The delivery and its attempts
+ */
+const redeliverWebhook = async (merchantId, deliveryId) => {
+  await getWebhookDelivery(merchantId, deliveryId);
+
+  const attempt = await attemptDelivery(deliveryId, { force: true });
+
+  if (!attempt) {
+    throw new Error('Webhook delivery could not be sent');
+  }
+
+  return getWebhookDelivery(merchantId, deliveryId);
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  signPayload,
+  isPrivateAddress,
+  createWebhookEndpoint,
+  listWebhookEndpoints,
+  updateWebhookEndpoint,
+  rotateWebhookSecret,
+  emitWebhookEvent,
+  emitTransactionEvent,
+  retryDueDeliveries,
+  listWebhookDeliveries,
+  getWebhookDelivery,
+  redeliverWebhook
+};